@@ -0,0 +1,218 @@
+/**
+ * Game Map
+ *
+ * Arena geometry loaded from maps/<id>.json:
+ *
+ *   walkable   - polygon character centers must stay inside (edge already inset by the character radius)
+ *   bounds     - outer wall polygon knives stop at or ricochet off (default: walkable)
+ *   obstacles  - [{ id, polygon, blocksKnives }]; characters keep characterRadius away from them
+ *   zones      - named polygons a team's movement targets may be limited to
+ *   modes      - per game mode, per team: { zone?, facing, spawnArea | spawns }
+ *                spawnArea { minX, maxX, minZ, maxZ } is sampled with the room's seeded RNG,
+ *                spawns [[x, z], ...] are fixed, one per player slot
+ *
+ * Polygons are [[x, z], ...] and implicitly closed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pointInPolygon, distanceToPolygonEdge, segmentIntersection, segmentIntersectsPolygon } = require('./mapGeometry');
+
+const MAPS_DIR = path.join(__dirname, 'maps');
+const DEFAULT_MAP_ID = 'arena';
+const MAP_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+const loadedMaps = new Map(); // id -> GameMap
+
+function isPolygon(value) {
+    return Array.isArray(value) && value.length >= 3 &&
+        value.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+}
+
+class GameMap {
+    /**
+     * @param {Object} definition - Parsed map JSON
+     * @throws when the definition is malformed
+     */
+    constructor(definition) {
+        GameMap.validate(definition);
+
+        this.id = definition.id;
+        this.name = definition.name || definition.id;
+        this.characterRadius = definition.characterRadius !== undefined ? definition.characterRadius : 6;
+        this.walkable = definition.walkable;
+        this.bounds = definition.bounds || definition.walkable;
+        this.obstacles = definition.obstacles || [];
+        this.knifeWalls = this.buildKnifeWalls();
+        this.zones = definition.zones || {};
+        this.modes = definition.modes;
+        this.definition = definition;
+    }
+
+    static validate(definition) {
+        const fail = (message) => {
+            throw new Error(`Invalid map ${definition && definition.id}: ${message}`);
+        };
+
+        if (!definition || typeof definition.id !== 'string' || !MAP_ID_PATTERN.test(definition.id)) fail('id must match [a-z0-9_-]+');
+        if (!isPolygon(definition.walkable)) fail('walkable must be a polygon');
+        if (definition.bounds !== undefined && !isPolygon(definition.bounds)) fail('bounds must be a polygon');
+
+        for (const obstacle of definition.obstacles || []) {
+            if (!isPolygon(obstacle.polygon)) fail(`obstacle ${obstacle.id} needs a polygon`);
+        }
+
+        const zones = definition.zones || {};
+        for (const [name, zone] of Object.entries(zones)) {
+            if (!isPolygon(zone)) fail(`zone ${name} must be a polygon`);
+        }
+
+        if (!definition.modes || typeof definition.modes !== 'object') fail('modes is required');
+        for (const [mode, teams] of Object.entries(definition.modes)) {
+            for (const [team, layout] of Object.entries(teams)) {
+                if (layout.zone !== undefined && !zones[layout.zone]) fail(`${mode} team ${team} uses unknown zone ${layout.zone}`);
+                if (!layout.spawnArea && !Array.isArray(layout.spawns)) fail(`${mode} team ${team} needs spawnArea or spawns`);
+            }
+        }
+    }
+
+    static fromFile(filePath) {
+        return new GameMap(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    /**
+     * Load (once) and return a map from MAPS_DIR
+     * @throws on an unknown or invalid map
+     */
+    static get(id = DEFAULT_MAP_ID) {
+        if (!MAP_ID_PATTERN.test(String(id))) {
+            throw new Error(`Unknown map: ${id}`);
+        }
+
+        if (!loadedMaps.has(id)) {
+            const filePath = path.join(MAPS_DIR, `${id}.json`);
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`Unknown map: ${id}`);
+            }
+            const map = GameMap.fromFile(filePath);
+            if (map.id !== id) {
+                throw new Error(`Map file ${id}.json declares id ${map.id}`);
+            }
+            loadedMaps.set(id, map);
+            console.log(`[MAP] Loaded map ${id} (${map.obstacles.length} obstacles, modes: ${Object.keys(map.modes).join(', ')})`);
+        }
+        return loadedMaps.get(id);
+    }
+
+    /**
+     * Ids of the maps in MAPS_DIR
+     */
+    static list() {
+        return fs.readdirSync(MAPS_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    }
+
+    supportsMode(gameMode) {
+        return Object.prototype.hasOwnProperty.call(this.modes, gameMode);
+    }
+
+    /**
+     * @returns {Object|null} { zone?, facing, spawnArea | spawns } for a team in a mode
+     */
+    getTeamLayout(gameMode, team) {
+        const teams = this.modes[gameMode];
+        return (teams && teams[team]) || null;
+    }
+
+    /**
+     * A character can stand here: inside the walkable area and clear of every obstacle
+     */
+    isWalkable(x, z) {
+        if (!pointInPolygon(x, z, this.walkable)) {
+            return false;
+        }
+
+        for (const obstacle of this.obstacles) {
+            if (pointInPolygon(x, z, obstacle.polygon) ||
+                distanceToPolygonEdge(x, z, obstacle.polygon) < this.characterRadius) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Inside the team's movement zone for the mode (teams without a zone may go anywhere)
+     */
+    isInTeamZone(gameMode, team, x, z) {
+        const layout = this.getTeamLayout(gameMode, team);
+        if (!layout) return false;
+        return layout.zone === undefined || pointInPolygon(x, z, this.zones[layout.zone]);
+    }
+
+    /**
+     * Whether a knife can fly straight from a to b without crossing a knife-blocking obstacle
+     */
+    isKnifePathClear(ax, az, bx, bz) {
+        for (const obstacle of this.obstacles) {
+            if (obstacle.blocksKnives !== false && segmentIntersectsPolygon(ax, az, bx, bz, obstacle.polygon)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Wall segments knives collide with: every bounds edge and every edge of a knife-blocking obstacle
+     */
+    buildKnifeWalls() {
+        const walls = [];
+        const addEdges = (id, polygon) => {
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const [x1, z1] = polygon[j];
+                const [x2, z2] = polygon[i];
+                const length = Math.hypot(x2 - x1, z2 - z1);
+                walls.push({ key: `${id}:${i}`, x1, z1, x2, z2, normalX: (z2 - z1) / length, normalZ: -(x2 - x1) / length });
+            }
+        };
+
+        addEdges('bounds', this.bounds);
+        for (const obstacle of this.obstacles) {
+            if (obstacle.blocksKnives !== false) {
+                addEdges(obstacle.id, obstacle.polygon);
+            }
+        }
+        return walls;
+    }
+
+    /**
+     * Swept knife-vs-wall test: the first wall segment a->b crosses
+     * @param {string} [ignoreKey] - Wall the knife is leaving (just ricocheted off)
+     * @returns {{t: number, x: number, z: number, wall: Object}|null} t in [0, 1] along a->b
+     */
+    findKnifeWallHit(ax, az, bx, bz, ignoreKey) {
+        let best = null;
+        for (const wall of this.knifeWalls) {
+            if (wall.key === ignoreKey) continue;
+
+            const t = segmentIntersection(ax, az, bx, bz, wall.x1, wall.z1, wall.x2, wall.z2);
+            if (t !== null && (!best || t < best.t)) {
+                best = { t, x: ax + (bx - ax) * t, z: az + (bz - az) * t, wall };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The map as sent to clients
+     */
+    toJSON() {
+        return this.definition;
+    }
+}
+
+GameMap.DEFAULT_MAP_ID = DEFAULT_MAP_ID;
+GameMap.MAPS_DIR = MAPS_DIR;
+
+module.exports = GameMap;
@@ -0,0 +1,154 @@
+/**
+ * Match Recorder
+ *
+ * Opt-in per GameEngine (options.recorder). Writes a gzipped JSON-lines file:
+ *
+ *   {"type":"header", matchId, roomCode, gameMode, startTime, engine: {...}}
+ *   ["I", t, method, args]              state-changing engine call (addPlayer, handleKnifeThrow, ...)
+ *   ["T", t]                            physics tick
+ *   ["B", t]                            scheduled serverGameState broadcast
+ *   ["E", t, target, event, data]       emitted event
+ *   ["F", t, reason]                    recording finished
+ *
+ * t is milliseconds since startTime. Inputs, ticks and broadcasts are enough to
+ * re-simulate the match (matchReplay.js); events are what the replay is checked
+ * against and what spectators are streamed (ReplayStreamer.js).
+ *
+ * Lobby records are buffered in memory and the file is only created once the
+ * game begins, so rooms that never start leave nothing behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const REPLAY_EXTENSION = '.replay.gz';
+const REPLAY_FORMAT_VERSION = 1;
+
+class MatchRecorder {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory for replay files (created if missing)
+     * @param {string} options.matchId - File name stem; [A-Za-z0-9_-] only
+     */
+    constructor({ dir, matchId }) {
+        this.dir = dir;
+        this.matchId = matchId;
+        this.filePath = path.join(dir, `${matchId}${REPLAY_EXTENSION}`);
+        this.startTime = null;
+        this.finished = false;
+        this.gzip = null;
+        this.pending = []; // lines written before the game begins
+    }
+
+    /**
+     * Write the header (called by the GameEngine constructor)
+     */
+    start(engine) {
+        this.startTime = engine.now();
+
+        this.write({
+            type: 'header',
+            version: REPLAY_FORMAT_VERSION,
+            matchId: this.matchId,
+            roomCode: engine.roomCode,
+            gameMode: engine.gameMode,
+            startTime: this.startTime,
+            engine: {
+                tickRate: engine.TICK_RATE,
+                networkUpdateRate: engine.NETWORK_UPDATE_RATE,
+                historyRecordRate: engine.TICK_RATE / engine.historyRecordIntervalTicks,
+                collision: engine.collisionStrategy.name,
+                broadcast: engine.broadcastStrategy.name,
+                allowClientHitReports: engine.clientHitReportsEnabled,
+                spawnSeed: engine.spawnSeed,
+                map: engine.map.id,
+                knifeRicochets: engine.KNIFE_RICOCHETS,
+                abilities: engine.abilities,
+                assistWindowMs: engine.stats.assistWindowMs,
+                matchRules: engine.matchRules.config
+            }
+        });
+
+    }
+
+    /**
+     * Create the file and flush the buffered lobby records
+     */
+    open() {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+        } catch (err) {
+            console.error(`[REPLAY] Cannot create ${this.dir}:`, err.message);
+            this.finished = true;
+            return;
+        }
+
+        this.gzip = zlib.createGzip();
+        const file = fs.createWriteStream(this.filePath);
+        this.gzip.pipe(file);
+        file.on('error', (err) => {
+            console.error(`[REPLAY] Failed writing ${this.filePath}:`, err.message);
+        });
+
+        for (const line of this.pending) {
+            this.gzip.write(line);
+        }
+        this.pending = [];
+        console.log(`[REPLAY] Recording ${this.matchId} to ${this.filePath}`);
+    }
+
+    write(record) {
+        if (this.finished) return;
+
+        const line = JSON.stringify(record) + '\n';
+        if (this.gzip) {
+            this.gzip.write(line);
+        } else {
+            this.pending.push(line);
+        }
+    }
+
+    offset(time) {
+        return time - this.startTime;
+    }
+
+    recordInput(time, method, args) {
+        this.write(['I', this.offset(time), method, args]);
+        if (method === 'beginGame' && !this.gzip) {
+            this.open();
+        }
+    }
+
+    recordTick(time) {
+        this.write(['T', this.offset(time)]);
+    }
+
+    recordBroadcast(time) {
+        this.write(['B', this.offset(time)]);
+    }
+
+    recordEvent(time, target, event, data) {
+        this.write(['E', this.offset(time), target, event, data]);
+    }
+
+    finish(time, reason) {
+        if (this.finished) return;
+
+        if (!this.gzip) {
+            // Game never began: nothing worth keeping
+            this.finished = true;
+            this.pending = [];
+            return;
+        }
+
+        this.write(['F', this.offset(time), reason]);
+        this.finished = true;
+        this.gzip.end();
+        console.log(`[REPLAY] Finished ${this.matchId} (${reason})`);
+    }
+}
+
+MatchRecorder.REPLAY_EXTENSION = REPLAY_EXTENSION;
+
+module.exports = MatchRecorder;
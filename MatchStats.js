@@ -0,0 +1,159 @@
+/**
+ * Match Stats
+ *
+ * Per-player counters for one match, keyed by playerId so they survive
+ * reconnects (new socketId) and respawns:
+ *
+ *   knivesThrown, hits, accuracy (hits / knivesThrown), damageDealt, damageTaken,
+ *   kills, assists, deaths, distanceMoved
+ *
+ * knivesThrown and hits count the knife only, so accuracy is not skewed by
+ * utility projectiles such as frost or hook.
+ *
+ * Every damage or hostile status effect an enemy lands on a player is
+ * remembered as a contribution; when the player dies, the enemies other than
+ * the killer who contributed within assistWindowMs are credited an assist.
+ */
+
+const HOSTILE_EFFECTS = ['slow', 'stun', 'root', 'dot'];
+
+class MatchStats {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.assistWindowMs] - How far back contributions count towards an assist (default: 10000)
+     */
+    constructor({ assistWindowMs = 10000 } = {}) {
+        this.assistWindowMs = assistWindowMs;
+        this.players = new Map();        // playerId -> stats
+        this.contributions = new Map();  // victim playerId -> Map(attacker playerId -> last time)
+    }
+
+    /**
+     * Stats for a player, created on first use
+     */
+    get(player) {
+        if (!this.players.has(player.playerId)) {
+            this.players.set(player.playerId, {
+                playerId: player.playerId,
+                team: Number(player.team),
+                knivesThrown: 0,
+                hits: 0,
+                damageDealt: 0,
+                damageTaken: 0,
+                kills: 0,
+                assists: 0,
+                deaths: 0,
+                distanceMoved: 0
+            });
+        }
+        return this.players.get(player.playerId);
+    }
+
+    /**
+     * Teams can change in the lobby
+     */
+    updateTeam(player) {
+        const stats = this.players.get(player.playerId);
+        if (stats) {
+            stats.team = Number(player.team);
+        }
+    }
+
+    /**
+     * Forget a player who left before the match began
+     */
+    removePlayer(player) {
+        this.players.delete(player.playerId);
+        this.contributions.delete(player.playerId);
+    }
+
+    recordThrow(player) {
+        this.get(player).knivesThrown++;
+    }
+
+    recordHit(attacker) {
+        if (attacker) {
+            this.get(attacker).hits++;
+        }
+    }
+
+    recordMovement(player, distance) {
+        this.get(player).distanceMoved += distance;
+    }
+
+    /**
+     * Health actually lost by the victim (after shields)
+     */
+    recordDamage(victim, attacker, amount, time) {
+        this.get(victim).damageTaken += amount;
+        if (attacker && amount > 0) {
+            this.get(attacker).damageDealt += amount;
+            this.recordContribution(victim, attacker, time);
+        }
+    }
+
+    recordStatusEffect(victim, source, type, time) {
+        if (HOSTILE_EFFECTS.includes(type)) {
+            this.recordContribution(victim, source, time);
+        }
+    }
+
+    recordContribution(victim, attacker, time) {
+        if (!attacker || attacker.team === victim.team) return;
+
+        if (!this.contributions.has(victim.playerId)) {
+            this.contributions.set(victim.playerId, new Map());
+        }
+        this.contributions.get(victim.playerId).set(attacker.playerId, time);
+    }
+
+    /**
+     * Count a death, the kill and the assists; the victim's contributions start over
+     * @returns {string[]} playerIds credited with an assist
+     */
+    recordKill(victim, killer, time) {
+        this.get(victim).deaths++;
+        if (killer && killer.team !== victim.team) {
+            this.get(killer).kills++;
+        }
+
+        const assists = [];
+        const contributions = this.contributions.get(victim.playerId) || new Map();
+        for (const [attackerId, lastTime] of contributions.entries()) {
+            if (killer && attackerId === killer.playerId) continue;
+            if (time - lastTime > this.assistWindowMs) continue;
+
+            const stats = this.players.get(attackerId);
+            if (stats) {
+                stats.assists++;
+                assists.push(attackerId);
+            }
+        }
+        this.contributions.delete(victim.playerId);
+        return assists;
+    }
+
+    /**
+     * One player's stats with accuracy, as sent to clients
+     */
+    summarize(stats) {
+        return {
+            ...stats,
+            accuracy: stats.knivesThrown > 0 ? Math.round(stats.hits / stats.knivesThrown * 1000) / 1000 : 0,
+            distanceMoved: Math.round(stats.distanceMoved * 100) / 100
+        };
+    }
+
+    getPlayerSummary(player) {
+        return this.summarize(this.get(player));
+    }
+
+    /**
+     * Every player's stats, in the order they first appeared
+     */
+    getSummary() {
+        return Array.from(this.players.values()).map(stats => this.summarize(stats));
+    }
+}
+
+module.exports = MatchStats;
@@ -0,0 +1,347 @@
+/**
+ * Matchmaker
+ *
+ * Per-mode queues that group players of similar rating (see PlayerStore
+ * ratings) into a room. Every check, the longest-waiting player whose rating
+ * window holds enough other queued players is matched with the closest of
+ * them. The window starts at baseWindow rating points either side and widens
+ * by windowGrowthPerSecond while they wait, up to maxWindow.
+ *
+ * Teams are balanced by rating, the room is created through
+ * RoomManager.createMatchRoom and started at once. Players queue with their
+ * player token to be rated; guests (playerId only) are matched at the default
+ * rating and their results are not stored.
+ *
+ *   joinQueue  { gameMode, playerToken } or { gameMode, playerId }
+ *                                      -> queueJoined { gameMode, playerId, rating, rd, queueSize }
+ *   leaveQueue                         -> queueLeft { gameMode }
+ *   (match)                            -> matchFound { ...roomInfo, playerId, team, reconnectToken, teams }, then gameStarted
+ *
+ * Errors are reported with queueError { message }. Queues are per instance.
+ */
+
+const { getGameMode } = require('./gameModes');
+const { createRating } = require('./glicko2');
+
+const DEFAULT_QUEUE_MODES = ['1v1', '3v3'];
+
+class Matchmaker {
+    /**
+     * @param {Object} options
+     * @param {Object} options.io - socket.io server
+     * @param {Object} options.roomManager - RoomManager that hosts matched rooms
+     * @param {Object} [options.playerStore] - PlayerStore providing ratings (everyone is unrated without one)
+     * @param {string[]} [options.modes] - Game modes with a queue (default: 1v1, 3v3)
+     * @param {number} [options.intervalMs] - How often queues are checked (default: 1000)
+     * @param {number} [options.baseWindow] - Rating difference accepted straight away (default: 100)
+     * @param {number} [options.windowGrowthPerSecond] - Added to the window per second waited (default: 25)
+     * @param {number} [options.maxWindow] - Widest window (default: 1000)
+     */
+    constructor({
+        io,
+        roomManager,
+        playerStore = null,
+        modes = DEFAULT_QUEUE_MODES,
+        intervalMs = 1000,
+        baseWindow = 100,
+        windowGrowthPerSecond = 25,
+        maxWindow = 1000
+    }) {
+        this.io = io;
+        this.roomManager = roomManager;
+        this.playerStore = playerStore;
+        this.modes = modes.map(mode => getGameMode(mode));
+        this.intervalMs = intervalMs;
+        this.baseWindow = baseWindow;
+        this.windowGrowthPerSecond = windowGrowthPerSecond;
+        this.maxWindow = maxWindow;
+        this.queues = new Map(this.modes.map(mode => [mode.name, []])); // gameMode -> entries in join order
+        this.entries = new Map(); // socketId -> queue entry
+        this.pending = new Map(); // socketId -> gameMode, while the rating is being looked up
+        this.matching = new Map(); // socketId -> entry, while its match room is being created
+        this.timer = null;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.processQueues(), this.intervalMs);
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    emitError(socketId, message) {
+        console.log(`[MATCHMAKING] Rejected for ${socketId}: ${message}`);
+        this.io.to(socketId).emit('queueError', { message });
+    }
+
+    async joinQueue(socketId, data) {
+        const { gameMode, playerId, playerToken } = data || {};
+        if (!this.queues.has(gameMode)) {
+            return this.emitError(socketId, `No queue for game mode: ${gameMode}`);
+        }
+        const identity = this.roomManager.resolveIdentity({ playerId, playerToken });
+        if (identity.error) {
+            return this.emitError(socketId, identity.error);
+        }
+        if (!identity.playerId) {
+            return this.emitError(socketId, 'playerToken or playerId is required');
+        }
+        if (this.entries.has(socketId) || this.pending.has(socketId) || this.matching.has(socketId)) {
+            return this.emitError(socketId, 'Already queued');
+        }
+        if (this.roomManager.isBusy(socketId)) {
+            return this.emitError(socketId, 'Already in a room');
+        }
+
+        const id = identity.playerId;
+        for (const entry of [...this.entries.values(), ...this.matching.values()]) {
+            if (entry.playerId === id) {
+                return this.emitError(socketId, 'Player ID already queued');
+            }
+        }
+
+        this.pending.set(socketId, gameMode);
+        let rating;
+        try {
+            rating = this.playerStore && identity.registered ? await this.playerStore.getRating(id, gameMode) : createRating();
+        } catch (err) {
+            console.error(`[MATCHMAKING] Rating lookup failed for ${id}:`, err.message);
+            rating = createRating();
+        }
+        // Disconnected (or left the queue) while the rating was looked up
+        if (!this.pending.delete(socketId)) {
+            return;
+        }
+
+        const entry = {
+            socketId,
+            playerId: id,
+            playerToken: identity.registered ? playerToken : null,
+            gameMode,
+            rating: rating.rating,
+            rd: rating.rd,
+            joinedAt: Date.now()
+        };
+        this.entries.set(socketId, entry);
+        this.queues.get(gameMode).push(entry);
+        console.log(`[MATCHMAKING] ${id} queued for ${gameMode} at ${Math.round(entry.rating)} (${this.queues.get(gameMode).length} waiting)`);
+
+        this.io.to(socketId).emit('queueJoined', {
+            gameMode,
+            playerId: id,
+            rating: Math.round(entry.rating),
+            rd: Math.round(entry.rd),
+            queueSize: this.queues.get(gameMode).length
+        });
+    }
+
+    leaveQueue(socketId) {
+        const entry = this.removeEntry(socketId);
+        if (!entry) {
+            return this.emitError(socketId, 'Not queued');
+        }
+        this.io.to(socketId).emit('queueLeft', { gameMode: entry.gameMode });
+    }
+
+    handleDisconnect(socketId) {
+        this.removeEntry(socketId);
+    }
+
+    removeEntry(socketId) {
+        if (this.pending.has(socketId)) {
+            const gameMode = this.pending.get(socketId);
+            this.pending.delete(socketId);
+            return { gameMode };
+        }
+
+        // Being matched: not put back in the queue if the room cannot be created
+        if (this.matching.has(socketId)) {
+            const entry = this.matching.get(socketId);
+            this.matching.delete(socketId);
+            return entry;
+        }
+
+        const entry = this.entries.get(socketId);
+        if (!entry) return null;
+
+        this.entries.delete(socketId);
+        const queue = this.queues.get(entry.gameMode);
+        queue.splice(queue.indexOf(entry), 1);
+        return entry;
+    }
+
+    /**
+     * Put an entry back where it waited before (queues are in joinedAt order)
+     */
+    requeue(entry) {
+        const queue = this.queues.get(entry.gameMode);
+        const index = queue.findIndex(other => other.joinedAt > entry.joinedAt);
+        queue.splice(index === -1 ? queue.length : index, 0, entry);
+        this.entries.set(entry.socketId, entry);
+    }
+
+    /**
+     * Rating points either side of the entry's rating it accepts after waiting
+     */
+    getWindow(entry, now) {
+        const waitedSeconds = (now - entry.joinedAt) / 1000;
+        return Math.min(this.baseWindow + waitedSeconds * this.windowGrowthPerSecond, this.maxWindow);
+    }
+
+    /**
+     * Form every match the queues allow right now
+     */
+    processQueues(now = Date.now()) {
+        for (const mode of this.modes) {
+            // Sockets that joined a room some other way since queueing
+            for (const entry of this.queues.get(mode.name).slice()) {
+                if (this.roomManager.getMembership(entry.socketId)) {
+                    this.removeEntry(entry.socketId);
+                    this.io.to(entry.socketId).emit('queueLeft', { gameMode: mode.name });
+                }
+            }
+
+            let group;
+            while ((group = this.findMatch(mode, now))) {
+                for (const entry of group) {
+                    this.removeEntry(entry.socketId);
+                    this.matching.set(entry.socketId, entry);
+                }
+                this.startMatch(mode, group).catch(err => {
+                    console.error(`[MATCHMAKING] ${mode.name} match failed:`, err);
+                });
+            }
+        }
+    }
+
+    /**
+     * The longest-waiting entry with enough others inside its window, plus the closest of them
+     * @returns {Array|null} maxPlayers entries
+     */
+    findMatch(mode, now) {
+        const queue = this.queues.get(mode.name);
+        if (queue.length < mode.maxPlayers) {
+            return null;
+        }
+
+        for (const anchor of queue) {
+            const window = this.getWindow(anchor, now);
+            const candidates = queue
+                .filter(entry => entry !== anchor && Math.abs(entry.rating - anchor.rating) <= window)
+                .sort((a, b) => (Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating)) || (a.joinedAt - b.joinedAt));
+            if (candidates.length >= mode.maxPlayers - 1) {
+                return [anchor, ...candidates.slice(0, mode.maxPlayers - 1)];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Highest rated first, each onto the team with the lowest rating total that has a free slot
+     * @returns {Map} socketId -> team
+     */
+    balanceTeams(mode, group) {
+        const totals = new Map(mode.teamNumbers.map(team => [team, { rating: 0, players: 0 }]));
+        const teams = new Map();
+
+        for (const entry of group.slice().sort((a, b) => b.rating - a.rating)) {
+            let best = null;
+            for (const team of mode.teamNumbers) {
+                const total = totals.get(team);
+                if (total.players < mode.playersPerTeam && (best === null || total.rating < totals.get(best).rating)) {
+                    best = team;
+                }
+            }
+            totals.get(best).rating += entry.rating;
+            totals.get(best).players++;
+            teams.set(entry.socketId, best);
+        }
+        return teams;
+    }
+
+    /**
+     * Create and start the room for a matched group. If that fails, the player
+     * whose join failed gets a queueError; everyone else still connected goes
+     * back in the queue with their original joinedAt.
+     */
+    async startMatch(mode, group) {
+        const teams = this.balanceTeams(mode, group);
+        let result;
+        try {
+            result = await this.roomManager.createMatchRoom(mode.name, group.map(entry => ({
+                socketId: entry.socketId,
+                playerId: entry.playerId,
+                playerToken: entry.playerToken,
+                team: teams.get(entry.socketId)
+            })));
+        } catch (err) {
+            result = { error: err.message };
+        }
+
+        // Those who disconnected or left the queue meanwhile are no longer in matching
+        const waiting = group.filter(entry => this.matching.delete(entry.socketId));
+
+        if (result.error) {
+            console.error(`[MATCHMAKING] Could not create a ${mode.name} room:`, result.error);
+            for (const entry of waiting) {
+                if (entry.socketId === result.socketId) {
+                    this.emitError(entry.socketId, `Match could not be created: ${result.error}`);
+                } else {
+                    this.requeue(entry);
+                }
+            }
+            return;
+        }
+
+        const { room } = result;
+        const roomInfo = this.roomManager.getRoomInfo(room);
+        const ratings = new Map(group.map(entry => [entry.playerId, Math.round(entry.rating)]));
+        const teamRatings = mode.teamNumbers.map(team => {
+            const members = result.players.filter(p => p.team === team);
+            return {
+                team,
+                players: members.map(p => ({ playerId: p.playerId, rating: ratings.get(p.playerId) })),
+                averageRating: Math.round(members.reduce((sum, p) => sum + ratings.get(p.playerId), 0) / members.length)
+            };
+        });
+
+        console.log(`[MATCHMAKING] ${mode.name} match in room ${room.roomCode}: ` +
+            teamRatings.map(t => `Team ${t.team} (${t.averageRating})`).join(' vs '));
+
+        for (const player of result.players) {
+            this.io.to(player.socketId).emit('matchFound', {
+                ...roomInfo,
+                playerId: player.playerId,
+                team: player.team,
+                reconnectToken: player.reconnectToken,
+                teams: teamRatings
+            });
+        }
+        this.io.to(room.roomCode).emit('gameStarted', {
+            roomCode: room.roomCode,
+            gameMode: room.gameMode,
+            ...room.engine.getSnapshot()
+        });
+    }
+
+    /**
+     * Queue sizes and the longest wait, for diagnostics
+     */
+    getStats(now = Date.now()) {
+        const queues = {};
+        for (const [gameMode, queue] of this.queues.entries()) {
+            queues[gameMode] = {
+                players: queue.length,
+                longestWaitMs: queue.length > 0 ? now - queue[0].joinedAt : 0
+            };
+        }
+        return { queues };
+    }
+}
+
+module.exports = Matchmaker;
@@ -0,0 +1,316 @@
+/**
+ * Grid A* Path Finder
+ *
+ * Rasterizes one team's walkable area on a map (GameMap.isWalkable plus the
+ * team's movement zone) into square cells, finds 8-connected A* paths between
+ * cells and shortens them to the few waypoints that still keep a straight,
+ * walkable line between each other. Targets outside the walkable area are
+ * replaced by the nearest reachable point.
+ */
+
+const SQRT2 = Math.SQRT2;
+const BISECT_STEPS = 12;
+
+class MinHeap {
+    constructor() {
+        this.items = []; // [priority, value]
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, value) {
+        const items = this.items;
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent][0] <= items[i][0]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top[1];
+    }
+}
+
+class PathFinder {
+    /**
+     * @param {Object} options
+     * @param {(x: number, z: number) => boolean} options.isWalkable - Where this team's characters may stand
+     * @param {Array} options.area - Polygon bounding the grid (the map's walkable polygon)
+     * @param {number} [options.cellSize] - Grid resolution in world units
+     */
+    constructor({ isWalkable, area, cellSize = 2 }) {
+        this.isWalkable = isWalkable;
+        this.cellSize = cellSize;
+        this.minX = Math.min(...area.map(p => p[0]));
+        this.minZ = Math.min(...area.map(p => p[1]));
+        this.cols = Math.ceil((Math.max(...area.map(p => p[0])) - this.minX) / cellSize) + 1;
+        this.rows = Math.ceil((Math.max(...area.map(p => p[1])) - this.minZ) / cellSize) + 1;
+
+        this.walkable = new Uint8Array(this.cols * this.rows);
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const { x, z } = this.cellCenter(row * this.cols + col);
+                this.walkable[row * this.cols + col] = isWalkable(x, z) ? 1 : 0;
+            }
+        }
+
+        this.components = this.labelComponents();
+    }
+
+    cellCenter(cell) {
+        return {
+            x: this.minX + (cell % this.cols) * this.cellSize,
+            z: this.minZ + Math.floor(cell / this.cols) * this.cellSize
+        };
+    }
+
+    cellAt(x, z) {
+        const col = Math.round((x - this.minX) / this.cellSize);
+        const row = Math.round((z - this.minZ) / this.cellSize);
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+        return row * this.cols + col;
+    }
+
+    /**
+     * Walkable 8-neighbours of a cell; diagonals may not cut a blocked corner
+     * @returns {Array<[number, number]>} [cell, step cost]
+     */
+    neighbours(cell) {
+        const col = cell % this.cols;
+        const row = Math.floor(cell / this.cols);
+        const open = (c, r) => c >= 0 && r >= 0 && c < this.cols && r < this.rows && this.walkable[r * this.cols + c] === 1;
+        const result = [];
+
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                if (!open(col + dc, row + dr)) continue;
+                if (dr !== 0 && dc !== 0 && (!open(col + dc, row) || !open(col, row + dr))) continue;
+                result.push([(row + dr) * this.cols + col + dc, dr !== 0 && dc !== 0 ? SQRT2 : 1]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Connected-component id per cell (0 = blocked)
+     */
+    labelComponents() {
+        const labels = new Int32Array(this.walkable.length);
+        let next = 1;
+        for (let start = 0; start < labels.length; start++) {
+            if (!this.walkable[start] || labels[start]) continue;
+
+            const stack = [start];
+            labels[start] = next;
+            while (stack.length > 0) {
+                for (const [neighbour] of this.neighbours(stack.pop())) {
+                    if (!labels[neighbour]) {
+                        labels[neighbour] = next;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+            next++;
+        }
+        return labels;
+    }
+
+    /**
+     * Walkable cell for a position: its own cell, or the nearest walkable one within a few cells
+     */
+    nearestWalkableCell(x, z, maxRadius = 3) {
+        const own = this.cellAt(x, z);
+        if (own !== -1 && this.walkable[own]) return own;
+
+        let best = -1;
+        let bestDist = Infinity;
+        const col = Math.round((x - this.minX) / this.cellSize);
+        const row = Math.round((z - this.minZ) / this.cellSize);
+        for (let r = row - maxRadius; r <= row + maxRadius; r++) {
+            for (let c = col - maxRadius; c <= col + maxRadius; c++) {
+                if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) continue;
+                const cell = r * this.cols + c;
+                if (!this.walkable[cell]) continue;
+                const center = this.cellCenter(cell);
+                const dist = Math.hypot(center.x - x, center.z - z);
+                if (dist < bestDist) {
+                    best = cell;
+                    bestDist = dist;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Straight walk from a to b stays walkable (sampled every quarter cell)
+     */
+    hasLineOfSight(ax, az, bx, bz) {
+        const steps = Math.max(1, Math.ceil(Math.hypot(bx - ax, bz - az) / (this.cellSize / 4)));
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkable(ax + (bx - ax) * t, az + (bz - az) * t)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * The reachable point closest to a target: the target itself when walkable
+     * and connected, otherwise the nearest cell of the component, pushed
+     * towards the target up to the walkable edge
+     * @param {number|null} component - null for any walkable cell
+     */
+    resolveTarget(component, x, z) {
+        const inComponent = (cell) => (component === null ? this.components[cell] !== 0 : this.components[cell] === component);
+        const own = this.cellAt(x, z);
+        if (this.isWalkable(x, z) && own !== -1 && inComponent(own)) {
+            return { x, z, cell: own };
+        }
+
+        let best = -1;
+        let bestDist = Infinity;
+        for (let cell = 0; cell < this.components.length; cell++) {
+            if (!inComponent(cell)) continue;
+            const center = this.cellCenter(cell);
+            const dist = (center.x - x) ** 2 + (center.z - z) ** 2;
+            if (dist < bestDist) {
+                best = cell;
+                bestDist = dist;
+            }
+        }
+        if (best === -1) return null;
+
+        // Bisect from the cell center (walkable) towards the target (not walkable)
+        const center = this.cellCenter(best);
+        let inside = 0;
+        let outside = 1;
+        for (let i = 0; i < BISECT_STEPS; i++) {
+            const mid = (inside + outside) / 2;
+            if (this.isWalkable(center.x + (x - center.x) * mid, center.z + (z - center.z) * mid)) {
+                inside = mid;
+            } else {
+                outside = mid;
+            }
+        }
+        return { x: center.x + (x - center.x) * inside, z: center.z + (z - center.z) * inside, cell: best };
+    }
+
+    /**
+     * @returns {{waypoints: Array<{x: number, z: number}>, target: {x: number, z: number}, adjusted: boolean}|null}
+     *   waypoints end at target; null when the start has no walkable cell nearby
+     */
+    findPath(fromX, fromZ, toX, toZ) {
+        const start = this.nearestWalkableCell(fromX, fromZ);
+        if (start === -1) return null;
+
+        const target = this.resolveTarget(this.components[start], toX, toZ);
+        if (!target) return null;
+
+        const adjusted = target.x !== toX || target.z !== toZ;
+        if (this.hasLineOfSight(fromX, fromZ, target.x, target.z)) {
+            return { waypoints: [{ x: target.x, z: target.z }], target: { x: target.x, z: target.z }, adjusted };
+        }
+
+        const cells = this.searchCells(start, target.cell);
+        if (!cells) return null;
+
+        return { waypoints: this.smooth(fromX, fromZ, cells, target), target: { x: target.x, z: target.z }, adjusted };
+    }
+
+    /**
+     * A* over cells (octile heuristic)
+     * @returns {number[]|null} cells from start to goal
+     */
+    searchCells(start, goal) {
+        const goalCenter = this.cellCenter(goal);
+        const heuristic = (cell) => {
+            const c = this.cellCenter(cell);
+            const dx = Math.abs(c.x - goalCenter.x) / this.cellSize;
+            const dz = Math.abs(c.z - goalCenter.z) / this.cellSize;
+            return Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const cost = new Map([[start, 0]]);
+        const cameFrom = new Map();
+        const open = new MinHeap();
+        open.push(heuristic(start), start);
+
+        while (open.size > 0) {
+            const cell = open.pop();
+            if (cell === goal) {
+                const path = [cell];
+                while (cameFrom.has(path[0])) {
+                    path.unshift(cameFrom.get(path[0]));
+                }
+                return path;
+            }
+
+            for (const [neighbour, step] of this.neighbours(cell)) {
+                const next = cost.get(cell) + step;
+                if (!cost.has(neighbour) || next < cost.get(neighbour)) {
+                    cost.set(neighbour, next);
+                    cameFrom.set(neighbour, cell);
+                    open.push(next + heuristic(neighbour), neighbour);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Keep only the cell centers needed to walk the path in straight walkable lines
+     */
+    smooth(fromX, fromZ, cells, target) {
+        const points = cells.map(cell => this.cellCenter(cell));
+        points[points.length - 1] = { x: target.x, z: target.z };
+
+        const waypoints = [];
+        let anchor = { x: fromX, z: fromZ };
+        let index = 0;
+        while (index < points.length - 1) {
+            let furthest = index;
+            for (let j = points.length - 1; j > index; j--) {
+                if (this.hasLineOfSight(anchor.x, anchor.z, points[j].x, points[j].z)) {
+                    furthest = j;
+                    break;
+                }
+            }
+            if (furthest === index) {
+                furthest = index + 1; // adjacent cells; always walk on
+            }
+            anchor = points[furthest];
+            waypoints.push({ x: anchor.x, z: anchor.z });
+            index = furthest;
+        }
+        if (waypoints.length === 0) {
+            waypoints.push({ x: target.x, z: target.z });
+        }
+        return waypoints;
+    }
+}
+
+module.exports = PathFinder;
@@ -0,0 +1,426 @@
+/**
+ * Player Store
+ *
+ * Persists player profiles, completed match records and per-player aggregate
+ * stats (overall and per game mode), and rates players per game mode with
+ * Glicko-2 (see glicko2.js). Each match is one rating period in which every
+ * player is scored against each player of every other team: 1 against a team
+ * they beat, 0 against the winners, 0.5 otherwise. Ratings are rebuilt from
+ * the match history on load like the rest of the profile.
+ *
+ * Profiles count every match, but only the most recent maxMatches match
+ * records are kept (getMatch, listPlayerMatches).
+ *
+ * MemoryPlayerStore keeps everything in process (tests, PLAYER_STORE=memory).
+ * FilePlayerStore is the default: the same data in a snapshot file (profiles
+ * and the kept match records) plus a journal that each match is appended to
+ * as one JSON line. Every compactEvery matches the journal is folded into a
+ * new snapshot. Another backend only needs the async methods below
+ * (recordMatch, getPlayer, getRating, getMatch, listPlayerMatches,
+ * getLeaderboard).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRating, updateRating } = require('./glicko2');
+
+const DEFAULT_MAX_MATCHES = 5000;
+const DEFAULT_COMPACT_EVERY = 1000;
+const DEFAULT_LEADERBOARD_LIMIT = 20;
+const MAX_LEADERBOARD_LIMIT = 100;
+const LEADERBOARD_SORTS = ['wins', 'winRate', 'kills', 'rating'];
+
+function emptyTotals() {
+    return {
+        matches: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        kills: 0,
+        deaths: 0,
+        assists: 0,
+        damageDealt: 0,
+        damageTaken: 0,
+        knivesThrown: 0,
+        hits: 0,
+        distanceMoved: 0
+    };
+}
+
+function addToTotals(totals, entry) {
+    totals.matches++;
+    if (entry.result === 'win') totals.wins++;
+    else if (entry.result === 'loss') totals.losses++;
+    else totals.draws++;
+
+    for (const field of ['kills', 'deaths', 'assists', 'damageDealt', 'damageTaken', 'knivesThrown', 'hits', 'distanceMoved']) {
+        totals[field] += entry.stats[field] || 0;
+    }
+}
+
+/**
+ * Totals with the derived ratios clients display
+ */
+function summarizeTotals(totals) {
+    return {
+        ...totals,
+        winRate: totals.matches > 0 ? Math.round(totals.wins / totals.matches * 1000) / 1000 : 0,
+        accuracy: totals.knivesThrown > 0 ? Math.round(totals.hits / totals.knivesThrown * 1000) / 1000 : 0,
+        distanceMoved: Math.round(totals.distanceMoved * 100) / 100
+    };
+}
+
+/**
+ * Rating as sent to clients
+ */
+function summarizeRating(rating) {
+    return {
+        rating: Math.round(rating.rating),
+        rd: Math.round(rating.rd),
+        volatility: Math.round(rating.volatility * 1000000) / 1000000,
+        matches: rating.matches
+    };
+}
+
+/**
+ * Score of a team's result against another team's (1 win, 0 loss, 0.5 otherwise)
+ */
+function scoreAgainst(entry, opponent) {
+    if (entry.result === 'win' && opponent.result !== 'win') return 1;
+    if (opponent.result === 'win' && entry.result !== 'win') return 0;
+    return 0.5;
+}
+
+class MemoryPlayerStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxMatches] - Match records kept; older ones still count in profiles (default: 5000)
+     */
+    constructor({ maxMatches = DEFAULT_MAX_MATCHES } = {}) {
+        this.maxMatches = maxMatches;
+        this.players = new Map();       // playerId -> profile
+        this.matches = new Map();       // matchId -> match record (insertion order = completion order)
+        this.playerMatches = new Map(); // playerId -> [matchId, ...]
+    }
+
+    /**
+     * Store a finished match and fold it into every participant's profile
+     * @param {Object} match - { matchId, roomCode, gameMode, mapId, matchRules, startedAt, endedAt,
+     *   winningTeam, scores, players: [{ playerId, team, result, stats }] }
+     */
+    async recordMatch(match) {
+        this.applyMatch(match);
+        return match;
+    }
+
+    applyMatch(match) {
+        if (this.matches.has(match.matchId)) return;
+
+        for (const entry of match.players) {
+            const profile = this.getOrCreateProfile(entry.playerId, match.endedAt);
+            profile.lastMatchAt = match.endedAt;
+            addToTotals(profile.totals, entry);
+            if (!profile.modes[match.gameMode]) {
+                profile.modes[match.gameMode] = emptyTotals();
+            }
+            addToTotals(profile.modes[match.gameMode], entry);
+        }
+
+        this.rateMatch(match);
+        this.keepMatch(match);
+    }
+
+    /**
+     * Keep a match record, dropping the oldest past maxMatches
+     */
+    keepMatch(match) {
+        this.matches.set(match.matchId, match);
+        for (const entry of match.players) {
+            if (!this.playerMatches.has(entry.playerId)) {
+                this.playerMatches.set(entry.playerId, []);
+            }
+            this.playerMatches.get(entry.playerId).push(match.matchId);
+        }
+
+        while (this.matches.size > this.maxMatches) {
+            const [oldestId, oldest] = this.matches.entries().next().value;
+            this.matches.delete(oldestId);
+            for (const entry of oldest.players) {
+                const ids = this.playerMatches.get(entry.playerId);
+                ids.splice(ids.indexOf(oldestId), 1);
+                if (ids.length === 0) {
+                    this.playerMatches.delete(entry.playerId);
+                }
+            }
+        }
+    }
+
+    /**
+     * Update every participant's rating for the match's game mode; all results
+     * are scored against the ratings from before the match
+     */
+    rateMatch(match) {
+        const before = new Map(match.players.map(entry => [entry.playerId, this.getModeRating(entry.playerId, match.gameMode)]));
+
+        for (const entry of match.players) {
+            const results = match.players
+                .filter(other => other.team !== entry.team)
+                .map(other => ({ opponent: before.get(other.playerId), score: scoreAgainst(entry, other) }));
+            if (results.length === 0) continue;
+
+            const rating = updateRating(before.get(entry.playerId), results);
+            this.players.get(entry.playerId).ratings[match.gameMode] = {
+                ...rating,
+                matches: before.get(entry.playerId).matches + 1
+            };
+        }
+    }
+
+    /**
+     * A player's rating in a game mode; unrated players start at the Glicko-2 default
+     */
+    getModeRating(playerId, gameMode) {
+        const profile = this.players.get(String(playerId));
+        const rating = profile && profile.ratings[gameMode];
+        return rating || { ...createRating(), matches: 0 };
+    }
+
+    getOrCreateProfile(playerId, time) {
+        if (!this.players.has(playerId)) {
+            this.players.set(playerId, {
+                playerId,
+                createdAt: time,
+                lastMatchAt: null,
+                totals: emptyTotals(),
+                modes: {},
+                ratings: {}      // gameMode -> { rating, rd, volatility, matches }
+            });
+        }
+        return this.players.get(playerId);
+    }
+
+    /**
+     * @returns {Object|null} profile with summarized totals, per-mode totals and per-mode ratings
+     */
+    async getPlayer(playerId) {
+        const profile = this.players.get(String(playerId));
+        if (!profile) return null;
+
+        const modes = {};
+        for (const [mode, totals] of Object.entries(profile.modes)) {
+            modes[mode] = summarizeTotals(totals);
+        }
+        const ratings = {};
+        for (const [mode, rating] of Object.entries(profile.ratings)) {
+            ratings[mode] = summarizeRating(rating);
+        }
+        return { ...profile, totals: summarizeTotals(profile.totals), modes, ratings };
+    }
+
+    /**
+     * Unrounded rating used for matchmaking (unknown players get the default)
+     * @returns {Object} { rating, rd, volatility, matches }
+     */
+    async getRating(playerId, gameMode) {
+        return { ...this.getModeRating(playerId, gameMode) };
+    }
+
+    async getMatch(matchId) {
+        return this.matches.get(String(matchId)) || null;
+    }
+
+    /**
+     * A player's matches, most recent first
+     */
+    async listPlayerMatches(playerId, { limit = 20, offset = 0 } = {}) {
+        const ids = this.playerMatches.get(String(playerId)) || [];
+        return ids.slice().reverse().slice(offset, offset + limit).map(id => this.matches.get(id));
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode] - Only count matches of this game mode; entries then include the mode's rating
+     * @param {string} [options.sort] - 'wins' (default), 'winRate', 'kills' or 'rating' (needs a mode)
+     * @param {number} [options.limit]
+     */
+    async getLeaderboard({ mode, sort = 'wins', limit = DEFAULT_LEADERBOARD_LIMIT } = {}) {
+        if (sort === 'rating' && !mode) {
+            throw new Error('Sorting by rating needs a game mode');
+        }
+
+        const entries = [];
+        for (const profile of this.players.values()) {
+            const totals = mode ? profile.modes[mode] : profile.totals;
+            if (totals && totals.matches > 0) {
+                const entry = { playerId: profile.playerId, ...summarizeTotals(totals) };
+                if (mode) {
+                    const rating = summarizeRating(this.getModeRating(profile.playerId, mode));
+                    entry.rating = rating.rating;
+                    entry.rd = rating.rd;
+                }
+                entries.push(entry);
+            }
+        }
+
+        // Ties fall back to wins, then kills, then playerId so the order is stable
+        entries.sort((a, b) => (b[sort] - a[sort]) || (b.wins - a.wins) || (b.kills - a.kills) ||
+            (a.playerId < b.playerId ? -1 : a.playerId > b.playerId ? 1 : 0));
+
+        return entries
+            .slice(0, Math.min(limit, MAX_LEADERBOARD_LIMIT))
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+}
+
+class FilePlayerStore extends MemoryPlayerStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Snapshot file; journals are written next to it
+     * @param {number} [options.maxMatches]
+     * @param {number} [options.compactEvery] - Journaled matches that trigger a new snapshot (default: 1000)
+     */
+    constructor({ filePath, maxMatches, compactEvery = DEFAULT_COMPACT_EVERY }) {
+        super({ maxMatches });
+        this.filePath = filePath;
+        this.compactEvery = compactEvery;
+        this.generation = 0;    // Snapshot generation; its journal is journalPath(generation)
+        this.journalLines = 0;
+        this.writing = Promise.resolve();
+        this.load();
+    }
+
+    journalPath(generation) {
+        return `${this.filePath.replace(/\.json$/, '')}.${generation}.jsonl`;
+    }
+
+    /**
+     * Read the snapshot, then apply the matches journaled since. A snapshot in the
+     * old format ({ matches } only) is replayed match by match.
+     * @throws when the snapshot is not valid JSON; its journal alone would not
+     *   know its generation, and the next snapshot would overwrite the file
+     */
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const snapshot = this.readSnapshot();
+            if (snapshot.generation === undefined) {
+                for (const match of snapshot.matches || []) {
+                    this.applyMatch(match);
+                }
+            } else {
+                this.generation = snapshot.generation;
+                for (const profile of snapshot.players) {
+                    this.players.set(profile.playerId, profile);
+                }
+                for (const match of snapshot.matches) {
+                    this.keepMatch(match);
+                }
+                // Left behind when a crash came between snapshot and cleanup
+                fs.rmSync(this.journalPath(this.generation - 1), { force: true });
+            }
+        }
+
+        const journalPath = this.journalPath(this.generation);
+        if (fs.existsSync(journalPath)) {
+            for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+                if (line.trim() === '') continue;
+                try {
+                    this.applyMatch(JSON.parse(line));
+                    this.journalLines++;
+                } catch (err) {
+                    // A crash mid-append leaves at most one partial line
+                    console.log(`[PLAYER-STORE] Skipping unreadable journal line in ${journalPath}:`, err.message);
+                }
+            }
+        }
+
+        if (this.players.size > 0) {
+            console.log(`[PLAYER-STORE] Loaded ${this.players.size} players and ${this.matches.size} matches from ${this.filePath}`);
+        }
+    }
+
+    readSnapshot() {
+        const text = fs.readFileSync(this.filePath, 'utf8');
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Player store snapshot ${this.filePath} is not valid JSON (${err.message}); restore it from a backup or move it aside to start empty`);
+        }
+    }
+
+    async recordMatch(match) {
+        if (this.matches.has(match.matchId)) {
+            return match;
+        }
+        this.applyMatch(match);
+        await this.append(match);
+        return match;
+    }
+
+    /**
+     * Append one match to the journal (serialized with compaction)
+     */
+    append(match) {
+        const line = `${JSON.stringify(match)}\n`;
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.appendFile(this.journalPath(this.generation), line);
+                this.journalLines++;
+                if (this.journalLines >= this.compactEvery) {
+                    await this.compact();
+                }
+            });
+        return this.writing;
+    }
+
+    /**
+     * Write the next generation's snapshot (via a temp file so a crash never leaves
+     * half a file), then drop the journal it folded in. A match recorded while this
+     * runs lands in both the snapshot and the new journal; load skips it by matchId.
+     */
+    async compact() {
+        const generation = this.generation + 1;
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify({
+            generation,
+            players: Array.from(this.players.values()),
+            matches: Array.from(this.matches.values())
+        }));
+        await fs.promises.rename(tempPath, this.filePath);
+
+        const foldedJournal = this.journalPath(this.generation);
+        this.generation = generation;
+        this.journalLines = 0;
+        await fs.promises.rm(foldedJournal, { force: true });
+        console.log(`[PLAYER-STORE] Compacted ${this.filePath} (generation ${generation})`);
+    }
+}
+
+/**
+ * @param {string|Object} [store] - 'file' (default), 'memory', or a store instance
+ * @param {Object} [options]
+ * @param {string} [options.dataDir] - Directory of players.json for the file store
+ */
+function createPlayerStore(store = 'file', { dataDir = path.join(__dirname, 'data') } = {}) {
+    if (store && typeof store === 'object') {
+        return store;
+    }
+
+    switch (store) {
+        case 'file':
+            return new FilePlayerStore({ filePath: path.join(dataDir, 'players.json') });
+        case 'memory':
+            return new MemoryPlayerStore();
+        default:
+            throw new Error(`Unknown player store: ${store}`);
+    }
+}
+
+module.exports = {
+    LEADERBOARD_SORTS,
+    MAX_LEADERBOARD_LIMIT,
+    MemoryPlayerStore,
+    FilePlayerStore,
+    createPlayerStore
+};
@@ -13,14 +13,18 @@ class PositionHistory {
         this.oldestIndex = 0;
         this.newestIndex = 0;
         this.count = 0;
+        
+        // Memoized rewinds for the current tick: timestamp -> positions Map.
+        // Invalidated whenever a new snapshot is recorded.
+        this.rewindCache = new Map();
     }
     
     /**
      * Record current positions of all players
      * @param {Map} players - Map of socketId -> player object
+     * @param {number} [timestamp] - Snapshot time in ms (default: now)
      */
-    recordSnapshot(players) {
-        const timestamp = Date.now();
+    recordSnapshot(players, timestamp = Date.now()) {
         const positions = new Map();
         
         for (const [socketId, player] of players.entries()) {
@@ -33,6 +37,7 @@ class PositionHistory {
         }
         
         const snapshot = { timestamp, positions };
+        this.rewindCache.clear();
         
         if (this.count < this.bufferSize) {
             this.buffer.push(snapshot);
@@ -46,39 +51,135 @@ class PositionHistory {
     }
     
     /**
-     * Get player positions at a specific timestamp (or closest available)
-     * @param {number} targetTimestamp - The timestamp to rewind to
-     * @returns {Map<socketId, {x, z, team, isDead}>|null} - Player positions at that time
+     * Get the snapshot at logical index i (0 = oldest) of the ring buffer
      */
-    getPositionsAt(targetTimestamp) {
+    snapshotAt(i) {
+        return this.buffer[(this.oldestIndex + i) % this.bufferSize];
+    }
+    
+    /**
+     * Binary search for the two snapshots bracketing a timestamp
+     * @param {number} targetTimestamp
+     * @returns {{before: Object, after: Object, alpha: number}|null} - alpha is the
+     *   interpolation weight of `after` (0 when clamped to the oldest/newest snapshot)
+     */
+    findBracket(targetTimestamp) {
         if (this.count === 0) {
             return null;
         }
         
-        let bestSnapshot = null;
-        let bestTimeDiff = Infinity;
+        const oldest = this.snapshotAt(0);
+        const newest = this.snapshotAt(this.count - 1);
         
-        for (let i = 0; i < this.count; i++) {
-            const snapshot = this.buffer[i];
-            const timeDiff = targetTimestamp - snapshot.timestamp;
-            
-            if (timeDiff >= 0 && timeDiff < bestTimeDiff) {
-                bestTimeDiff = timeDiff;
-                bestSnapshot = snapshot;
+        if (targetTimestamp <= oldest.timestamp) {
+            return { before: oldest, after: oldest, alpha: 0 };
+        }
+        if (targetTimestamp >= newest.timestamp) {
+            return { before: newest, after: newest, alpha: 0 };
+        }
+        
+        // Find the last snapshot with timestamp <= target
+        let lo = 0;
+        let hi = this.count - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.snapshotAt(mid).timestamp <= targetTimestamp) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
             }
         }
         
-        if (!bestSnapshot && this.count > 0) {
-            bestSnapshot = this.buffer[this.oldestIndex];
-            console.log(`[LAG-COMP] Target timestamp ${targetTimestamp} is before oldest snapshot, using oldest`);
+        const before = this.snapshotAt(lo);
+        const after = this.snapshotAt(lo + 1);
+        const span = after.timestamp - before.timestamp;
+        const alpha = span > 0 ? (targetTimestamp - before.timestamp) / span : 0;
+        
+        return { before, after, alpha };
+    }
+    
+    /**
+     * Interpolate a single player's position between two snapshots
+     */
+    interpolatePlayer(socketId, before, after, alpha) {
+        const a = before.positions.get(socketId);
+        const b = after.positions.get(socketId);
+        
+        if (!a || !b) {
+            return a || b || null;
         }
         
-        if (bestSnapshot) {
-            console.log(`[LAG-COMP] Rewinding to ${bestSnapshot.timestamp} (${Date.now() - bestSnapshot.timestamp}ms ago, requested ${Date.now() - targetTimestamp}ms ago)`);
-            return bestSnapshot.positions;
+        if (alpha === 0 || a === b) {
+            return a;
         }
         
-        return null;
+        return {
+            x: a.x + (b.x - a.x) * alpha,
+            z: a.z + (b.z - a.z) * alpha,
+            team: a.team,
+            isDead: a.isDead
+        };
+    }
+    
+    /**
+     * Get player positions at a specific timestamp, linearly interpolated between
+     * the two bracketing snapshots (clamped to the oldest/newest snapshot).
+     * Results are memoized until the next recordSnapshot().
+     * @param {number} targetTimestamp - The timestamp to rewind to
+     * @returns {Map<socketId, {x, z, team, isDead}>|null} - Player positions at that time
+     */
+    getPositionsAt(targetTimestamp) {
+        const cached = this.rewindCache.get(targetTimestamp);
+        if (cached !== undefined) {
+            return cached;
+        }
+        
+        const bracket = this.findBracket(targetTimestamp);
+        let positions = null;
+        
+        if (bracket) {
+            const { before, after, alpha } = bracket;
+            positions = new Map();
+            
+            for (const socketId of before.positions.keys()) {
+                positions.set(socketId, this.interpolatePlayer(socketId, before, after, alpha));
+            }
+            for (const socketId of after.positions.keys()) {
+                if (!positions.has(socketId)) {
+                    positions.set(socketId, after.positions.get(socketId));
+                }
+            }
+        }
+        
+        this.rewindCache.set(targetTimestamp, positions);
+        return positions;
+    }
+    
+    /**
+     * Get a single player's interpolated position at a specific timestamp
+     * @param {string} socketId
+     * @param {number} targetTimestamp
+     * @returns {{x, z, team, isDead}|null}
+     */
+    getPlayerAt(socketId, targetTimestamp) {
+        const positions = this.getPositionsAt(targetTimestamp);
+        return positions ? positions.get(socketId) || null : null;
+    }
+    
+    /**
+     * Move a player's buffered positions to a new socketId (after a rejoin), so
+     * rewinds across the reconnect still find them
+     * @param {string} oldSocketId
+     * @param {string} newSocketId
+     */
+    renamePlayer(oldSocketId, newSocketId) {
+        for (const snapshot of this.buffer) {
+            if (snapshot.positions.has(oldSocketId)) {
+                snapshot.positions.set(newSocketId, snapshot.positions.get(oldSocketId));
+                snapshot.positions.delete(oldSocketId);
+            }
+        }
+        this.rewindCache.clear();
     }
     
     /**
@@ -104,6 +205,7 @@ class PositionHistory {
         this.oldestIndex = 0;
         this.newestIndex = 0;
         this.count = 0;
+        this.rewindCache.clear();
     }
     
     /**
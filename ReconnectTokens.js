@@ -0,0 +1,134 @@
+/**
+ * Signed Reconnect Tokens
+ *
+ * Issued to a player when they join a room and presented with `rejoinRoom`
+ * after a socket reconnect. The token is an HMAC-SHA256 signed payload
+ * binding roomCode, playerId and a per-session nonce, so knowing an old
+ * socket id is no longer enough to take over a player.
+ *
+ * The same secret signs long-lived player tokens (POST /players). Each binds
+ * a server-issued playerId, so only the holder can play, be rated and have
+ * matches stored under that id. The two kinds are not interchangeable.
+ *
+ * All instances behind the Redis adapter must share RECONNECT_TOKEN_SECRET.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOKEN_TTL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_PLAYER_TOKEN_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const PLAYER_TOKEN_TYPE = 'player';
+const PLAYER_ID_PREFIX = 'p_';  // Only server-issued playerIds start with this
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+class ReconnectTokens {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.secret] - HMAC secret (random per process when omitted)
+     * @param {number} [options.ttlMs] - Token lifetime
+     * @param {number} [options.playerTokenTtlMs] - Player token lifetime
+     */
+    constructor({ secret, ttlMs = DEFAULT_TOKEN_TTL_MS, playerTokenTtlMs = DEFAULT_PLAYER_TOKEN_TTL_MS } = {}) {
+        if (!secret) {
+            console.log('[RECONNECT] No RECONNECT_TOKEN_SECRET set, using a random per-process secret');
+        }
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+        this.ttlMs = ttlMs;
+        this.playerTokenTtlMs = playerTokenTtlMs;
+    }
+
+    sign(encodedPayload) {
+        return base64url(crypto.createHmac('sha256', this.secret).update(encodedPayload).digest());
+    }
+
+    encode(payload) {
+        const encodedPayload = base64url(JSON.stringify(payload));
+        return `${encodedPayload}.${this.sign(encodedPayload)}`;
+    }
+
+    /**
+     * Payload of a token with a valid signature that has not expired, or null
+     */
+    decode(token) {
+        if (typeof token !== 'string' || token.length > 512) {
+            return null;
+        }
+
+        const [encodedPayload, signature] = token.split('.');
+        if (!encodedPayload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.sign(encodedPayload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        } catch (err) {
+            return null;
+        }
+
+        if (!payload || typeof payload.e !== 'number' || payload.e < Date.now()) {
+            return null;
+        }
+        return payload;
+    }
+
+    /**
+     * @returns {{token: string, nonce: string}}
+     */
+    issue(roomCode, playerId) {
+        const nonce = crypto.randomBytes(12).toString('hex');
+        const token = this.encode({
+            r: String(roomCode),
+            p: String(playerId),
+            n: nonce,
+            e: Date.now() + this.ttlMs
+        });
+        return { token, nonce };
+    }
+
+    /**
+     * Verify signature and expiry
+     * @returns {{roomCode: string, playerId: string, nonce: string}|null}
+     */
+    verify(token) {
+        const payload = this.decode(token);
+        if (!payload || payload.t !== undefined || typeof payload.r !== 'string') {
+            return null;
+        }
+        return { roomCode: payload.r, playerId: payload.p, nonce: payload.n };
+    }
+
+    /**
+     * A new server-issued player identity
+     * @returns {{playerId: string, playerToken: string}}
+     */
+    issuePlayerToken() {
+        const playerId = `${PLAYER_ID_PREFIX}${crypto.randomBytes(9).toString('base64url')}`;
+        const playerToken = this.encode({ t: PLAYER_TOKEN_TYPE, p: playerId, e: Date.now() + this.playerTokenTtlMs });
+        return { playerId, playerToken };
+    }
+
+    /**
+     * @returns {string|null} the playerId a valid player token was issued for
+     */
+    verifyPlayerToken(token) {
+        const payload = this.decode(token);
+        if (!payload || payload.t !== PLAYER_TOKEN_TYPE || typeof payload.p !== 'string') {
+            return null;
+        }
+        return payload.p;
+    }
+}
+
+ReconnectTokens.PLAYER_ID_PREFIX = PLAYER_ID_PREFIX;
+
+module.exports = ReconnectTokens;
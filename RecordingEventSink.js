@@ -0,0 +1,51 @@
+/**
+ * Recording Event Sink
+ *
+ * Stands in for the socket.io server wherever GameEngine takes `io`. The
+ * engine only ever calls io.to(target).emit(event, data), so this captures
+ * every emitted event, in order, without any sockets.
+ */
+
+class RecordingEventSink {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getTick] - Returns the tick to stamp on recorded events
+     */
+    constructor({ getTick = () => null } = {}) {
+        this.getTick = getTick;
+        this.events = []; // { seq, tick, target, event, data }
+    }
+
+    to(target) {
+        return {
+            emit: (event, data) => this.record(target, event, data)
+        };
+    }
+
+    emit(event, data) {
+        this.record(null, event, data);
+    }
+
+    record(target, event, data) {
+        this.events.push({
+            seq: this.events.length,
+            tick: this.getTick(),
+            target,
+            event,
+            data
+        });
+    }
+
+    /**
+     * Recorded events with the given name, optionally only those after a sequence number
+     */
+    filter(event, afterSeq = -1) {
+        return this.events.filter(e => e.event === event && e.seq > afterSeq);
+    }
+
+    clear() {
+        this.events = [];
+    }
+}
+
+module.exports = RecordingEventSink;
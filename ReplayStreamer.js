@@ -0,0 +1,189 @@
+/**
+ * Replay Streamer
+ *
+ * Streams a recorded match to a spectator socket with the original event
+ * names (serverGameState, serverKnifeSpawn, ...) at their recorded pace, so
+ * the regular client renders it. Only room-wide events are streamed.
+ *
+ *   watchReplay   { matchId, speed? }           -> replayStart { matchId, roomCode, gameMode, durationMs, speed }
+ *   replayControl { speed?, seekMs?, paused? }  -> replayStatus { positionMs, speed, paused }
+ *   stopReplay                                   -> replayEnd { matchId, stopped: true }
+ */
+
+const { replayPath, loadReplay } = require('./matchReplay');
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+class ReplayStreamer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.io - socket.io server
+     * @param {string} options.replayDir - Directory holding MatchRecorder files
+     */
+    constructor({ io, replayDir }) {
+        this.io = io;
+        this.replayDir = replayDir;
+        this.sessions = new Map(); // socketId -> playback session
+    }
+
+    emitError(socketId, message) {
+        this.io.to(socketId).emit('replayError', { message });
+    }
+
+    watch(socketId, data) {
+        const { matchId, speed = 1 } = data || {};
+        const filePath = replayPath(this.replayDir, matchId);
+        if (!filePath) {
+            return this.emitError(socketId, 'Invalid matchId');
+        }
+        if (!REPLAY_SPEEDS.includes(speed)) {
+            return this.emitError(socketId, `Speed must be one of ${REPLAY_SPEEDS.join(', ')}`);
+        }
+
+        let replay;
+        try {
+            replay = loadReplay(filePath);
+        } catch (err) {
+            console.log(`[REPLAY] Cannot load ${matchId}:`, err.message);
+            return this.emitError(socketId, 'Replay not found');
+        }
+
+        this.stop(socketId, false);
+
+        const roomCode = replay.header.roomCode;
+        const events = replay.records.filter(r => r[0] === 'E' && r[2] === roomCode);
+        const last = replay.records[replay.records.length - 1];
+        const session = {
+            matchId,
+            events,
+            durationMs: last ? last[1] : 0,
+            index: 0,
+            positionMs: 0,
+            resumedAt: Date.now(),
+            speed,
+            paused: false,
+            timer: null
+        };
+        this.sessions.set(socketId, session);
+
+        this.io.to(socketId).emit('replayStart', {
+            matchId,
+            roomCode,
+            gameMode: replay.header.gameMode,
+            durationMs: session.durationMs,
+            speed
+        });
+        console.log(`[REPLAY] ${socketId} watching ${matchId} at ${speed}x`);
+
+        this.schedule(socketId, session);
+    }
+
+    control(socketId, data) {
+        const session = this.sessions.get(socketId);
+        if (!session) {
+            return this.emitError(socketId, 'No replay playing');
+        }
+
+        const { speed, seekMs, paused } = data || {};
+        if (speed !== undefined && !REPLAY_SPEEDS.includes(speed)) {
+            return this.emitError(socketId, `Speed must be one of ${REPLAY_SPEEDS.join(', ')}`);
+        }
+        if (seekMs !== undefined && (typeof seekMs !== 'number' || !Number.isFinite(seekMs))) {
+            return this.emitError(socketId, 'Invalid seekMs');
+        }
+
+        clearTimeout(session.timer);
+        session.positionMs = this.currentPosition(session);
+        session.resumedAt = Date.now();
+
+        if (speed !== undefined) {
+            session.speed = speed;
+        }
+        if (paused !== undefined) {
+            session.paused = !!paused;
+        }
+        if (seekMs !== undefined) {
+            this.seek(socketId, session, Math.max(0, Math.min(seekMs, session.durationMs)));
+        }
+
+        this.io.to(socketId).emit('replayStatus', {
+            positionMs: session.positionMs,
+            speed: session.speed,
+            paused: session.paused
+        });
+
+        this.schedule(socketId, session);
+    }
+
+    /**
+     * Jump to positionMs: resend the latest full state before it, then continue from there
+     */
+    seek(socketId, session, positionMs) {
+        session.positionMs = positionMs;
+        session.index = session.events.findIndex(e => e[1] >= positionMs);
+        if (session.index === -1) {
+            session.index = session.events.length;
+        }
+
+        for (let i = session.index - 1; i >= 0; i--) {
+            if (session.events[i][3] === 'serverGameState') {
+                this.io.to(socketId).emit('serverGameState', session.events[i][4]);
+                break;
+            }
+        }
+    }
+
+    currentPosition(session) {
+        if (session.paused) {
+            return session.positionMs;
+        }
+        return session.positionMs + (Date.now() - session.resumedAt) * session.speed;
+    }
+
+    schedule(socketId, session) {
+        if (session.paused) return;
+
+        if (session.index >= session.events.length) {
+            this.io.to(socketId).emit('replayEnd', { matchId: session.matchId, stopped: false });
+            this.sessions.delete(socketId);
+            return;
+        }
+
+        const nextT = session.events[session.index][1];
+        const delay = Math.max(0, (nextT - this.currentPosition(session)) / session.speed);
+
+        session.timer = setTimeout(() => {
+            session.positionMs = nextT;
+            session.resumedAt = Date.now();
+
+            // Everything recorded at the same moment goes out together
+            while (session.index < session.events.length && session.events[session.index][1] <= nextT) {
+                const [, , , event, payload] = session.events[session.index++];
+                this.io.to(socketId).emit(event, payload);
+            }
+
+            this.schedule(socketId, session);
+        }, delay);
+    }
+
+    stop(socketId, notify = true) {
+        const session = this.sessions.get(socketId);
+        if (!session) return;
+
+        clearTimeout(session.timer);
+        this.sessions.delete(socketId);
+        if (notify) {
+            this.io.to(socketId).emit('replayEnd', { matchId: session.matchId, stopped: true });
+        }
+    }
+
+    stopAll() {
+        for (const socketId of Array.from(this.sessions.keys())) {
+            this.stop(socketId, false);
+        }
+    }
+}
+
+ReplayStreamer.REPLAY_SPEEDS = REPLAY_SPEEDS;
+
+module.exports = ReplayStreamer;
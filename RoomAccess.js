@@ -0,0 +1,163 @@
+/**
+ * Room Access
+ *
+ * Who may join or spectate a room besides its current players. A public room
+ * without a password is open to anyone with the room code. A password is
+ * required on top of the code when set, and a private room is not listed and
+ * answers 'Room not found' unless an invite or the password is presented.
+ *
+ * Invites are random tokens created by the host. Each expires after
+ * expiresInMs and, when maxUses is set, after that many joins or spectates.
+ * Passwords only live in memory for the life of the room, so they are kept
+ * as a salted SHA-256 digest rather than with a slow KDF that would stall the
+ * game loop.
+ */
+
+const crypto = require('crypto');
+
+const MAX_PASSWORD_LENGTH = 64;
+const DEFAULT_INVITE_TTL_MS = 60 * 60 * 1000;
+const MIN_INVITE_TTL_MS = 60 * 1000;
+const MAX_INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_INVITE_USES = 100;
+const MAX_INVITES = 20;
+
+function digest(salt, password) {
+    return crypto.createHash('sha256').update(salt).update(password).digest();
+}
+
+/**
+ * @returns {string|null} why the password is unacceptable
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length === 0 || password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be 1-${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+class RoomAccess {
+    constructor() {
+        this.isPrivate = false;
+        this.password = null;      // { salt, hash } when set
+        this.invites = new Map();  // token -> { expiresAt, usesLeft (null = unlimited) }
+    }
+
+    get hasPassword() {
+        return this.password !== null;
+    }
+
+    /**
+     * Change privacy and/or password; password null removes it
+     * @returns {Object} {} or { error }
+     */
+    update({ isPrivate, password } = {}) {
+        if (isPrivate !== undefined && typeof isPrivate !== 'boolean') {
+            return { error: 'private must be true or false' };
+        }
+        if (password !== undefined && password !== null) {
+            const error = validatePassword(password);
+            if (error) {
+                return { error };
+            }
+        }
+
+        if (isPrivate !== undefined) {
+            this.isPrivate = isPrivate;
+        }
+        if (password === null) {
+            this.password = null;
+        } else if (password !== undefined) {
+            const salt = crypto.randomBytes(16);
+            this.password = { salt, hash: digest(salt, password) };
+        }
+        return {};
+    }
+
+    verifyPassword(password) {
+        if (!this.password || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+            return false;
+        }
+        return crypto.timingSafeEqual(digest(this.password.salt, password), this.password.hash);
+    }
+
+    /**
+     * Check a join or spectate request; call consume() with the result once it succeeds
+     * @returns {Object} { invite } (the token used, or null) or { error }
+     */
+    check({ password, inviteToken } = {}, now = Date.now()) {
+        this.pruneInvites(now);
+
+        if (inviteToken !== undefined && inviteToken !== null) {
+            if (typeof inviteToken !== 'string' || !this.invites.has(inviteToken)) {
+                return { error: 'Invalid or expired invite' };
+            }
+            return { invite: inviteToken };
+        }
+
+        if (this.hasPassword && password !== undefined && password !== null) {
+            if (!this.verifyPassword(password)) {
+                return { error: 'Wrong password' };
+            }
+            return { invite: null };
+        }
+
+        // Without credentials a private room is indistinguishable from a missing one
+        if (this.isPrivate) {
+            return { error: 'Room not found' };
+        }
+        if (this.hasPassword) {
+            return { error: 'Password required' };
+        }
+        return { invite: null };
+    }
+
+    consume({ invite }) {
+        const entry = invite ? this.invites.get(invite) : null;
+        if (entry && entry.usesLeft !== null) {
+            entry.usesLeft--;
+            if (entry.usesLeft <= 0) {
+                this.invites.delete(invite);
+            }
+        }
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.expiresInMs] - Lifetime, 1 minute to 24 hours (default: 1 hour)
+     * @param {number} [options.maxUses] - Joins/spectates allowed, 1-100 (default: unlimited)
+     * @returns {Object} { inviteToken, expiresAt, maxUses } or { error }
+     */
+    createInvite({ expiresInMs = DEFAULT_INVITE_TTL_MS, maxUses = null } = {}, now = Date.now()) {
+        if (!Number.isInteger(expiresInMs) || expiresInMs < MIN_INVITE_TTL_MS || expiresInMs > MAX_INVITE_TTL_MS) {
+            return { error: `expiresInMs must be between ${MIN_INVITE_TTL_MS} and ${MAX_INVITE_TTL_MS}` };
+        }
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+            return { error: `maxUses must be between 1 and ${MAX_INVITE_USES}` };
+        }
+
+        this.pruneInvites(now);
+        if (this.invites.size >= MAX_INVITES) {
+            return { error: `At most ${MAX_INVITES} active invites per room` };
+        }
+
+        const inviteToken = crypto.randomBytes(18).toString('base64url');
+        const expiresAt = now + expiresInMs;
+        this.invites.set(inviteToken, { expiresAt, usesLeft: maxUses });
+        return { inviteToken, expiresAt, maxUses };
+    }
+
+    revokeInvite(inviteToken) {
+        return typeof inviteToken === 'string' && this.invites.delete(inviteToken);
+    }
+
+    pruneInvites(now) {
+        for (const [token, invite] of this.invites.entries()) {
+            if (invite.expiresAt <= now) {
+                this.invites.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = RoomAccess;
@@ -0,0 +1,1176 @@
+/**
+ * Room Manager
+ *
+ * Owns the roomCode -> GameEngine registry and the room lifecycle:
+ * create, join, leave, start and close. Each room wraps exactly one
+ * authoritative GameEngine instance, which is disposed once the room empties.
+ *
+ * A 'waiting' room is a lobby: players pick teams and mark themselves ready,
+ * and the host may kick players, hand over host and change the game mode, map
+ * and match rules. The game starts when the host starts it or when every
+ * player is ready.
+ *
+ * Room codes and spawn seeds are drawn independently from crypto randomness,
+ * so a room code reveals nothing about spawn positions. A code is reserved in
+ * the shared registry before its room opens, so two instances never hand out
+ * the same one. Rooms can be private
+ * and/or password protected, and hosts can hand out invites (see RoomAccess).
+ *
+ * Players who join with a player token (see ReconnectTokens) play under its
+ * server-issued playerId and have their matches stored. Everyone else plays
+ * as a guest under the playerId they pick, and is left out of match records.
+ */
+
+const crypto = require('crypto');
+const GameEngine = require('./gameEngine');
+const SpectatorFeed = require('./SpectatorFeed');
+const { MATCH_RULE_TYPES } = require('./matchRules');
+const { SUPPORTED_GAME_MODES, getGameMode } = require('./gameModes');
+const GameMap = require('./GameMap');
+const { MemoryRoomRegistry } = require('./RoomRegistry');
+const ReconnectTokens = require('./ReconnectTokens');
+const RoomAccess = require('./RoomAccess');
+
+const DEFAULT_RECONNECT_GRACE_MS = 30000;
+const DEFAULT_SPECTATOR_DELAY_MS = 10000;
+const MAX_ROOM_CODE_ATTEMPTS = 10;
+
+class RoomManager {
+    /**
+     * @param {Object} io - socket.io server
+     * @param {Object} [options]
+     * @param {Object} [options.engineOptions] - Options passed to every GameEngine
+     * @param {Object} [options.registry] - Shared room registry (see RoomRegistry.js)
+     * @param {string} [options.instanceId] - Identifies this server instance in the registry
+     * @param {Object} [options.reconnectTokens] - ReconnectTokens used to sign rejoin tokens
+     * @param {number} [options.reconnectGraceMs] - How long a disconnected player's character is kept in a running game
+     * @param {Function} [options.createRecorder] - (roomCode, gameMode) => MatchRecorder|null, to record replays
+     * @param {number} [options.spectatorDelayMs] - How far the spectator feed lags behind the game
+     */
+    constructor(io, {
+        engineOptions = {},
+        registry = new MemoryRoomRegistry(),
+        instanceId = 'local',
+        reconnectTokens = new ReconnectTokens(),
+        reconnectGraceMs = DEFAULT_RECONNECT_GRACE_MS,
+        createRecorder = null,
+        spectatorDelayMs = DEFAULT_SPECTATOR_DELAY_MS,
+        playerStore = null
+    } = {}) {
+        this.io = io;
+        this.engineOptions = engineOptions;
+        this.registry = registry;
+        this.instanceId = instanceId;
+        this.reconnectTokens = reconnectTokens;
+        this.reconnectGraceMs = reconnectGraceMs;
+        this.createRecorder = createRecorder;
+        this.spectatorDelayMs = spectatorDelayMs;
+        this.playerStore = playerStore; // PlayerStore receiving finished matches (optional)
+        this.rooms = new Map();       // roomCode -> room
+        this.socketRooms = new Map(); // socketId -> roomCode (players)
+        this.spectatorRooms = new Map(); // socketId -> roomCode (spectators)
+        this.creating = new Set();    // socketIds waiting for a room code reservation
+    }
+
+    /**
+     * Draw 6-digit room codes until one is reserved in the registry
+     * @returns {Promise<string|null>} null when every attempt was taken
+     */
+    async generateRoomCode() {
+        for (let attempt = 0; attempt < MAX_ROOM_CODE_ATTEMPTS; attempt++) {
+            const roomCode = String(crypto.randomInt(100000, 1000000));
+            if (!this.rooms.has(roomCode) && await this.registry.reserveRoomCode(roomCode, this.instanceId)) {
+                return roomCode;
+            }
+            console.log(`[ROOM-MANAGER] Room code ${roomCode} is taken, drawing another`);
+        }
+        return null;
+    }
+
+    /**
+     * Reserve a room code for sockets about to join the new room. They count as
+     * busy meanwhile, and one disconnecting cancels the reservation.
+     * @returns {Promise<Object>} { roomCode } or { error }
+     */
+    async reserveRoomCode(socketIds) {
+        for (const socketId of socketIds) {
+            this.creating.add(socketId);
+        }
+
+        let roomCode = null;
+        try {
+            roomCode = await this.generateRoomCode();
+        } catch (err) {
+            console.error('[ROOM-MANAGER] Room code reservation failed:', err.message);
+        }
+
+        const disconnected = socketIds.filter(socketId => !this.creating.delete(socketId));
+        if (disconnected.length > 0) {
+            if (roomCode) {
+                this.releaseRoomCode(roomCode);
+            }
+            return { error: 'Disconnected while the room was created' };
+        }
+        if (!roomCode) {
+            return { error: 'No room code available, try again' };
+        }
+        return { roomCode };
+    }
+
+    releaseRoomCode(roomCode) {
+        this.registry.removeRoom(roomCode).catch(err => {
+            console.error(`[ROOM-MANAGER] Failed to release room code ${roomCode}:`, err.message);
+        });
+    }
+
+    getRoom(roomCode) {
+        return this.rooms.get(String(roomCode)) || null;
+    }
+
+    getRoomForSocket(socketId) {
+        const roomCode = this.socketRooms.get(socketId);
+        return roomCode ? this.getRoom(roomCode) : null;
+    }
+
+    /**
+     * Room code a socket plays in or spectates, or null
+     */
+    getMembership(socketId) {
+        return this.socketRooms.get(socketId) || this.spectatorRooms.get(socketId) || null;
+    }
+
+    /**
+     * Whether a socket plays, spectates or is waiting for a room it creates
+     */
+    isBusy(socketId) {
+        return this.getMembership(socketId) !== null || this.creating.has(socketId);
+    }
+
+    /**
+     * Resolve the room a game command targets, rejecting spectators, sockets
+     * that are not members of it and rooms that are not in progress
+     */
+    authorizeCommand(socketId, roomCode) {
+        if (this.spectatorRooms.has(socketId)) {
+            return { error: 'Spectators cannot issue commands' };
+        }
+
+        const room = this.getRoomForSocket(socketId);
+        if (!room || room.roomCode !== String(roomCode)) {
+            return { error: 'Not a member of this room' };
+        }
+
+        if (room.status !== 'playing') {
+            return { error: 'Game not in progress' };
+        }
+
+        return { room };
+    }
+
+    /**
+     * Publish a room's current state to the shared registry
+     */
+    syncRegistry(room) {
+        this.registry.registerRoom({
+            roomCode: room.roomCode,
+            instanceId: this.instanceId,
+            gameMode: room.gameMode,
+            mapId: room.engine.map.id,
+            matchRules: room.engine.matchRules.name,
+            maxPlayers: room.engine.maxPlayers,
+            private: room.access.isPrivate,
+            hasPassword: room.access.hasPassword,
+            status: room.status,
+            players: Array.from(room.engine.players.values()).map(p => ({
+                playerId: p.playerId,
+                team: Number(p.team)
+            }))
+        }).catch(err => {
+            console.error(`[ROOM-MANAGER] Failed to sync room ${room.roomCode} to registry:`, err.message);
+        });
+    }
+
+    /**
+     * Public description of a room, safe to send to clients
+     */
+    getRoomInfo(room) {
+        const players = Array.from(room.engine.players.values()).map(p => ({
+            playerId: p.playerId,
+            team: Number(p.team),
+            isHost: p.socketId === room.hostSocketId,
+            ready: room.ready.has(p.playerId),
+            connected: !p.isDisconnected
+        }));
+
+        return {
+            roomCode: room.roomCode,
+            gameMode: room.gameMode,
+            status: room.status,
+            maxPlayers: room.engine.maxPlayers,
+            mapId: room.engine.map.id,
+            matchRules: room.engine.matchRules.name,
+            private: room.access.isPrivate,
+            hasPassword: room.access.hasPassword,
+            players,
+            spectators: room.spectators.size
+        };
+    }
+
+    /**
+     * Create a room and join the creating socket as host; matchRules picks one
+     * of MATCH_RULE_TYPES with its default options (default: engineOptions.matchRules),
+     * mapId a map from maps/ (default: engineOptions.map), and isPrivate/password
+     * restrict who else may join (see RoomAccess)
+     * @returns {Promise<Object>} the joinRoom result or { error }
+     */
+    async createRoom(socketId, { gameMode, playerId, playerToken, team, matchRules, mapId, private: isPrivate, password } = {}) {
+        if (this.isBusy(socketId)) {
+            return { error: 'Already in a room' };
+        }
+
+        const options = this.resolveRoomOptions({ gameMode, matchRules, mapId });
+        if (options.error) {
+            return options;
+        }
+
+        const access = new RoomAccess();
+        const accessResult = access.update({ isPrivate, password });
+        if (accessResult.error) {
+            return accessResult;
+        }
+
+        const reservation = await this.reserveRoomCode([socketId]);
+        if (reservation.error) {
+            return reservation;
+        }
+
+        const room = this.openRoom(reservation.roomCode, gameMode, { matchRules, map: options.map, hostSocketId: socketId });
+        console.log(`[ROOM-MANAGER] Room ${room.roomCode} created (${gameMode}) by ${socketId}`);
+
+        const result = this.joinRoom(socketId, { roomCode: room.roomCode, playerId, playerToken, team });
+        if (result.error) {
+            this.closeRoom(room.roomCode, 'create-failed');
+            return result;
+        }
+
+        // Restricted only once the creator is in
+        room.access = access;
+        this.syncRegistry(room);
+        return result;
+    }
+
+    /**
+     * Validate a game mode, match rules name and map id
+     * @returns {Object} { map } or { error }
+     */
+    resolveRoomOptions({ gameMode, matchRules, mapId }) {
+        if (!SUPPORTED_GAME_MODES.includes(gameMode)) {
+            return { error: `Unsupported game mode: ${gameMode}` };
+        }
+
+        if (matchRules !== undefined && !MATCH_RULE_TYPES.includes(matchRules)) {
+            return { error: `Unsupported match rules: ${matchRules}` };
+        }
+
+        let map;
+        try {
+            map = GameMap.get(mapId !== undefined ? mapId : (this.engineOptions.map || GameMap.DEFAULT_MAP_ID));
+        } catch (err) {
+            return { error: `Unknown map: ${mapId}` };
+        }
+        if (!map.supportsMode(gameMode)) {
+            return { error: `Map ${map.id} does not support ${gameMode}` };
+        }
+
+        return { map };
+    }
+
+    /**
+     * Register a new waiting room with its engine under a reserved room code
+     */
+    openRoom(roomCode, gameMode, { matchRules, map, hostSocketId = null }) {
+        const room = {
+            roomCode,
+            gameMode,
+            engine: null,
+            hostSocketId,
+            status: 'waiting',
+            createdAt: Date.now(),
+            access: new RoomAccess(),
+            ready: new Set(),        // playerIds ready to start (lobby only)
+            registered: new Set(),   // playerIds that joined with a player token
+            sessions: new Map(),     // playerId -> current reconnect token nonce
+            graceTimers: new Map(),  // playerId -> timeout for disconnected players
+            spectators: new Set(),   // spectator socketIds (not counted toward maxPlayers)
+            spectatorFeed: null,     // SpectatorFeed, created for the first spectator
+            participants: []         // [{ playerId, team, registered }] in the match when it began
+        };
+        room.engine = this.createEngine(room, { matchRules, map });
+
+        this.rooms.set(room.roomCode, room);
+        return room;
+    }
+
+    createEngine(room, { matchRules, map }) {
+        const recorder = this.createRecorder ? this.createRecorder(room.roomCode, room.gameMode) : null;
+        const engine = new GameEngine(room.roomCode, room.gameMode, {
+            ...this.engineOptions,
+            recorder,
+            matchRules: matchRules || this.engineOptions.matchRules,
+            map,
+            spawnSeed: crypto.randomBytes(16).toString('hex')
+        });
+        engine.onGameOver = (result) => this.handleGameOver(room, result);
+        return engine;
+    }
+
+    /**
+     * Create and start a room for players the matchmaker grouped, on the teams
+     * it chose; the room has no host
+     * @param {string} gameMode
+     * @param {Array} players - [{ socketId, playerId, playerToken, team }]; playerToken may be null for guests
+     * @returns {Promise<Object>} { room, players: [{ socketId, playerId, team, reconnectToken }] } or
+     *   { error, socketId? }, socketId naming the player who could not join
+     */
+    async createMatchRoom(gameMode, players) {
+        const options = this.resolveRoomOptions({ gameMode });
+        if (options.error) {
+            return options;
+        }
+
+        const reservation = await this.reserveRoomCode(players.map(p => p.socketId));
+        if (reservation.error) {
+            return reservation;
+        }
+
+        const room = this.openRoom(reservation.roomCode, gameMode, { map: options.map });
+        console.log(`[ROOM-MANAGER] Room ${room.roomCode} created (${gameMode}) by matchmaking`);
+
+        const joined = [];
+        for (const { socketId, playerId, playerToken, team } of players) {
+            const result = this.joinRoom(socketId, { roomCode: room.roomCode, playerId, playerToken, team });
+            if (result.error || result.player.team !== team) {
+                this.closeRoom(room.roomCode, 'create-failed');
+                return { error: result.error || `Team ${team} is full`, socketId };
+            }
+            joined.push({ socketId, ...result.player, reconnectToken: result.reconnectToken });
+        }
+
+        this.beginRoom(room);
+        return { room, players: joined };
+    }
+
+    /**
+     * Who is joining: the server-issued playerId of a valid player token, or a
+     * guest under the playerId they picked (null when they picked none)
+     * @returns {Object} { playerId, registered } or { error }
+     */
+    resolveIdentity({ playerId, playerToken }) {
+        if (playerToken !== undefined && playerToken !== null) {
+            const registeredId = this.reconnectTokens.verifyPlayerToken(playerToken);
+            if (!registeredId) {
+                return { error: 'Invalid player token' };
+            }
+            return { playerId: registeredId, registered: true };
+        }
+
+        const guestId = playerId !== undefined && playerId !== null && String(playerId).trim() !== ''
+            ? String(playerId).trim()
+            : null;
+        if (guestId && guestId.startsWith(ReconnectTokens.PLAYER_ID_PREFIX)) {
+            return { error: 'This playerId needs its player token' };
+        }
+        return { playerId: guestId, registered: false };
+    }
+
+    /**
+     * Join a waiting room, enforcing access (password or inviteToken), maxPlayers and assigning a team;
+     * playerToken joins under its registered playerId instead of playerId
+     */
+    joinRoom(socketId, { roomCode, playerId, playerToken, team, password, inviteToken } = {}) {
+        if (this.isBusy(socketId)) {
+            return { error: 'Already in a room' };
+        }
+
+        const identity = this.resolveIdentity({ playerId, playerToken });
+        if (identity.error) {
+            return identity;
+        }
+
+        const room = this.getRoom(roomCode);
+        if (!room) {
+            return { error: 'Room not found' };
+        }
+
+        const access = room.access.check({ password, inviteToken });
+        if (access.error) {
+            return access;
+        }
+
+        if (room.status !== 'waiting') {
+            return { error: 'Game already started' };
+        }
+
+        const engine = room.engine;
+        if (engine.players.size >= engine.maxPlayers) {
+            return { error: 'Room is full' };
+        }
+
+        const resolvedPlayerId = identity.playerId || `Player${Math.floor(Math.random() * 1000)}`;
+
+        for (const p of engine.players.values()) {
+            if (p.playerId === resolvedPlayerId) {
+                return { error: 'Player ID already in room' };
+            }
+        }
+
+        const assignedTeam = this.chooseTeam(room, team);
+        if (assignedTeam === null) {
+            return { error: 'No team has a free slot' };
+        }
+
+        room.access.consume(access);
+        engine.addPlayer(socketId, resolvedPlayerId, assignedTeam);
+        if (identity.registered) {
+            room.registered.add(resolvedPlayerId);
+        }
+        this.socketRooms.set(socketId, room.roomCode);
+        this.io.in(socketId).socketsJoin(room.roomCode);
+
+        console.log(`[ROOM-MANAGER] ${resolvedPlayerId}${identity.registered ? '' : ' (guest)'} joined room ${room.roomCode} on Team ${assignedTeam}`);
+        this.syncRegistry(room);
+
+        return {
+            room,
+            player: { playerId: resolvedPlayerId, team: assignedTeam },
+            reconnectToken: this.issueReconnectToken(room, resolvedPlayerId)
+        };
+    }
+
+    /**
+     * Issue a fresh reconnect token; earlier tokens for this player stop working
+     */
+    issueReconnectToken(room, playerId) {
+        const { token, nonce } = this.reconnectTokens.issue(room.roomCode, playerId);
+        room.sessions.set(playerId, nonce);
+        return token;
+    }
+
+    /**
+     * Re-attach a reconnected socket to its player using a signed reconnect token
+     */
+    rejoinRoom(socketId, { roomCode, reconnectToken } = {}) {
+        if (this.isBusy(socketId)) {
+            return { error: 'Already in a room' };
+        }
+
+        const claims = this.reconnectTokens.verify(reconnectToken);
+        if (!claims || claims.roomCode !== String(roomCode)) {
+            return { error: 'Invalid reconnect token' };
+        }
+
+        const room = this.getRoom(claims.roomCode);
+        if (!room) {
+            return { error: 'Room not found' };
+        }
+
+        if (room.sessions.get(claims.playerId) !== claims.nonce) {
+            return { error: 'Reconnect token has been superseded' };
+        }
+
+        let player = null;
+        for (const p of room.engine.players.values()) {
+            if (p.playerId === claims.playerId) {
+                player = p;
+                break;
+            }
+        }
+        if (!player) {
+            return { error: 'Player is no longer in this room' };
+        }
+
+        const oldSocketId = player.socketId;
+        this.clearGraceTimer(room, player.playerId);
+
+        // The previous connection may not have been detected as closed yet
+        if (this.socketRooms.get(oldSocketId) === room.roomCode) {
+            this.socketRooms.delete(oldSocketId);
+            this.io.in(oldSocketId).socketsLeave(room.roomCode);
+        }
+
+        room.engine.updatePlayerSocket(oldSocketId, socketId);
+        room.engine.setPlayerConnected(socketId, true);
+        if (room.hostSocketId === oldSocketId) {
+            room.hostSocketId = socketId;
+        }
+
+        this.socketRooms.set(socketId, room.roomCode);
+        this.io.in(socketId).socketsJoin(room.roomCode);
+        this.syncRegistry(room);
+
+        console.log(`[REJOIN] Player ${player.playerId} rejoined room ${room.roomCode} (${oldSocketId} -> ${socketId})`);
+
+        return {
+            room,
+            player: { playerId: player.playerId, team: Number(player.team) },
+            reconnectToken: this.issueReconnectToken(room, player.playerId)
+        };
+    }
+
+    /**
+     * Watch a waiting or running room through its delayed spectator feed;
+     * private and password-protected rooms need the same credentials as joining
+     */
+    spectateRoom(socketId, { roomCode, password, inviteToken } = {}) {
+        if (this.isBusy(socketId)) {
+            return { error: 'Already in a room' };
+        }
+
+        const room = this.getRoom(roomCode);
+        if (!room) {
+            return { error: 'Room not found' };
+        }
+
+        const access = room.access.check({ password, inviteToken });
+        if (access.error) {
+            return access;
+        }
+
+        if (room.status !== 'waiting' && room.status !== 'playing') {
+            return { error: 'Room is not in progress' };
+        }
+        room.access.consume(access);
+
+        if (!room.spectatorFeed) {
+            room.spectatorFeed = new SpectatorFeed({ io: this.io, engine: room.engine, delayMs: this.spectatorDelayMs });
+        }
+
+        room.spectators.add(socketId);
+        room.engine.addSpectator(socketId);
+        this.spectatorRooms.set(socketId, room.roomCode);
+        this.io.in(socketId).socketsJoin(room.spectatorFeed.channel);
+
+        console.log(`[ROOM-MANAGER] ${socketId} spectating room ${room.roomCode} (${room.spectators.size} spectators)`);
+
+        return { room, delayMs: this.spectatorDelayMs, lastState: room.spectatorFeed.lastState };
+    }
+
+    stopSpectating(socketId) {
+        const room = this.getRoom(this.spectatorRooms.get(socketId));
+        this.spectatorRooms.delete(socketId);
+        if (!room) {
+            return { error: 'Not spectating a room' };
+        }
+
+        room.spectators.delete(socketId);
+        room.engine.removeSpectator(socketId);
+        this.io.in(socketId).socketsLeave(SpectatorFeed.channelFor(room.roomCode));
+
+        console.log(`[ROOM-MANAGER] ${socketId} stopped spectating room ${room.roomCode}`);
+        return { room, player: null };
+    }
+
+    /**
+     * A socket dropped: keep its character frozen for the grace period while a
+     * game is running, otherwise leave the room immediately
+     */
+    handleDisconnect(socketId) {
+        this.creating.delete(socketId);
+        if (this.spectatorRooms.has(socketId)) {
+            return this.stopSpectating(socketId);
+        }
+
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.status !== 'playing' || this.reconnectGraceMs <= 0) {
+            return this.leaveRoom(socketId);
+        }
+
+        const player = room.engine.players.get(socketId);
+        this.socketRooms.delete(socketId);
+        room.engine.setPlayerConnected(socketId, false);
+
+        const timer = setTimeout(() => this.expireGracePeriod(room, player.playerId), this.reconnectGraceMs);
+        room.graceTimers.set(player.playerId, timer);
+        this.syncRegistry(room);
+
+        console.log(`[REJOIN] Player ${player.playerId} disconnected from room ${room.roomCode}, holding for ${this.reconnectGraceMs}ms`);
+
+        return { room, player: { playerId: player.playerId, team: Number(player.team) }, graced: true };
+    }
+
+    clearGraceTimer(room, playerId) {
+        const timer = room.graceTimers.get(playerId);
+        if (timer) {
+            clearTimeout(timer);
+            room.graceTimers.delete(playerId);
+        }
+    }
+
+    /**
+     * Grace period over: remove the player for good
+     */
+    expireGracePeriod(room, playerId) {
+        room.graceTimers.delete(playerId);
+        room.sessions.delete(playerId);
+
+        if (!this.rooms.has(room.roomCode)) {
+            return;
+        }
+
+        for (const [socketId, p] of room.engine.players.entries()) {
+            if (p.playerId === playerId && p.isDisconnected) {
+                console.log(`[REJOIN] Grace period expired for ${playerId} in room ${room.roomCode}`);
+                this.removePlayer(room, socketId);
+                if (this.rooms.has(room.roomCode)) {
+                    this.io.to(room.roomCode).emit('roomUpdate', this.getRoomInfo(room));
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Pick the requested team if it has space, otherwise the smallest team
+     */
+    chooseTeam(room, requestedTeam) {
+        const { teamNumbers, playersPerTeam: teamSize } = room.engine.mode;
+        const counts = this.getTeamCounts(room);
+
+        const requested = Number(requestedTeam);
+        if (teamNumbers.includes(requested) && counts.get(requested) < teamSize) {
+            return requested;
+        }
+
+        let best = null;
+        for (const t of teamNumbers) {
+            if (counts.get(t) < teamSize && (best === null || counts.get(t) < counts.get(best))) {
+                best = t;
+            }
+        }
+        return best;
+    }
+
+    getTeamCounts(room) {
+        const counts = new Map(room.engine.mode.teamNumbers.map(t => [t, 0]));
+        for (const p of room.engine.players.values()) {
+            counts.set(Number(p.team), (counts.get(Number(p.team)) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Move a player to another team before the game starts
+     */
+    changeTeam(socketId, team) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.status !== 'waiting') {
+            return { error: 'Game already started' };
+        }
+
+        const newTeam = Number(team);
+        if (!room.engine.mode.teamNumbers.includes(newTeam)) {
+            return { error: `Invalid team: ${team}` };
+        }
+
+        const player = room.engine.players.get(socketId);
+        if (Number(player.team) !== newTeam) {
+            if (this.getTeamCounts(room).get(newTeam) >= room.engine.mode.playersPerTeam) {
+                return { error: `Team ${newTeam} is full` };
+            }
+            room.engine.updatePlayerTeam(socketId, newTeam);
+            room.ready.delete(player.playerId);
+            this.syncRegistry(room);
+        }
+
+        return { room, player: { playerId: player.playerId, team: newTeam } };
+    }
+
+    /**
+     * Remove a socket from its room; empty rooms are closed
+     */
+    leaveRoom(socketId) {
+        if (this.spectatorRooms.has(socketId)) {
+            return this.stopSpectating(socketId);
+        }
+
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        const player = room.engine.players.get(socketId);
+        this.socketRooms.delete(socketId);
+        this.io.in(socketId).socketsLeave(room.roomCode);
+        this.removePlayer(room, socketId);
+
+        return { room, player: player ? { playerId: player.playerId, team: Number(player.team) } : null };
+    }
+
+    /**
+     * Drop a player from the engine, handing over host and closing the room when empty
+     */
+    removePlayer(room, socketId) {
+        const player = room.engine.players.get(socketId);
+        if (player) {
+            this.clearGraceTimer(room, player.playerId);
+            room.sessions.delete(player.playerId);
+            room.ready.delete(player.playerId);
+            room.registered.delete(player.playerId);
+        }
+        room.engine.removePlayer(socketId);
+
+        if (room.engine.players.size === 0) {
+            this.closeRoom(room.roomCode, 'empty');
+            return;
+        }
+
+        if (room.hostSocketId === socketId) {
+            room.hostSocketId = room.engine.players.keys().next().value;
+            console.log(`[ROOM-MANAGER] Host of room ${room.roomCode} transferred to ${room.hostSocketId}`);
+        }
+
+        this.syncRegistry(room);
+    }
+
+    /**
+     * Start the game loop on the host's command (see getStartError)
+     */
+    startRoom(socketId) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.hostSocketId !== socketId) {
+            return { error: 'Only the host can start the game' };
+        }
+
+        if (room.status !== 'waiting') {
+            return { error: 'Game already started' };
+        }
+
+        const error = this.getStartError(room);
+        if (error) {
+            return { error };
+        }
+
+        this.beginRoom(room);
+        return { room };
+    }
+
+    /**
+     * Why the room cannot start yet, or null: the mode's minTeamsToStart
+     * teams (every team, except in free-for-all) need a player
+     */
+    getStartError(room) {
+        const { teamNumbers, minTeamsToStart } = room.engine.mode;
+        const counts = this.getTeamCounts(room);
+        if (teamNumbers.filter(t => counts.get(t) > 0).length < minTeamsToStart) {
+            return minTeamsToStart === teamNumbers.length
+                ? 'Each team needs at least one player'
+                : `At least ${minTeamsToStart} teams need a player`;
+        }
+        return null;
+    }
+
+    beginRoom(room) {
+        room.status = 'playing';
+        room.startedAt = Date.now();
+        room.participants = Array.from(room.engine.players.values()).map(p => ({
+            playerId: p.playerId,
+            team: Number(p.team),
+            registered: room.registered.has(p.playerId)
+        }));
+        room.engine.startGameLoop(this.io);
+        console.log(`[ROOM-MANAGER] Room ${room.roomCode} started with ${room.engine.players.size} players`);
+        this.syncRegistry(room);
+    }
+
+    /**
+     * Resolve the lobby a host command targets
+     */
+    authorizeHost(socketId, action) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.hostSocketId !== socketId) {
+            return { error: `Only the host can ${action}` };
+        }
+
+        if (room.status !== 'waiting') {
+            return { error: 'Game already started' };
+        }
+
+        return { room };
+    }
+
+    findPlayerSocket(room, playerId) {
+        for (const [socketId, p] of room.engine.players.entries()) {
+            if (p.playerId === String(playerId)) {
+                return socketId;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Mark a player ready or not; the game starts once every player is ready
+     * and the room could be started
+     * @returns {Object} { room, player, started } or { error }
+     */
+    setReady(socketId, ready) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.status !== 'waiting') {
+            return { error: 'Game already started' };
+        }
+
+        if (typeof ready !== 'boolean') {
+            return { error: 'ready must be true or false' };
+        }
+
+        const player = room.engine.players.get(socketId);
+        if (ready) {
+            room.ready.add(player.playerId);
+        } else {
+            room.ready.delete(player.playerId);
+        }
+
+        const everyoneReady = Array.from(room.engine.players.values()).every(p => room.ready.has(p.playerId));
+        const started = everyoneReady && this.getStartError(room) === null;
+        if (started) {
+            console.log(`[ROOM-MANAGER] Everyone in room ${room.roomCode} is ready`);
+            this.beginRoom(room);
+        }
+
+        return { room, player: { playerId: player.playerId, team: Number(player.team) }, started };
+    }
+
+    /**
+     * Remove another player from the lobby on behalf of the host
+     * @returns {Object} { room, kicked: { socketId, playerId } } or { error }
+     */
+    kickPlayer(socketId, playerId) {
+        const auth = this.authorizeHost(socketId, 'kick players');
+        if (auth.error) {
+            return auth;
+        }
+
+        const room = auth.room;
+        const targetSocketId = this.findPlayerSocket(room, playerId);
+        if (!targetSocketId) {
+            return { error: 'Player not in room' };
+        }
+        if (targetSocketId === socketId) {
+            return { error: 'The host cannot kick themselves' };
+        }
+
+        this.socketRooms.delete(targetSocketId);
+        this.io.in(targetSocketId).socketsLeave(room.roomCode);
+        this.removePlayer(room, targetSocketId);
+
+        console.log(`[ROOM-MANAGER] ${playerId} kicked from room ${room.roomCode}`);
+        return { room, kicked: { socketId: targetSocketId, playerId: String(playerId) } };
+    }
+
+    /**
+     * Hand host over to another connected player in the room
+     */
+    transferHost(socketId, playerId) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.hostSocketId !== socketId) {
+            return { error: 'Only the host can transfer host' };
+        }
+
+        const targetSocketId = this.findPlayerSocket(room, playerId);
+        if (!targetSocketId || room.engine.players.get(targetSocketId).isDisconnected) {
+            return { error: 'Player not in room' };
+        }
+
+        room.hostSocketId = targetSocketId;
+        console.log(`[ROOM-MANAGER] Host of room ${room.roomCode} transferred to ${playerId}`);
+        return { room };
+    }
+
+    /**
+     * Change the lobby's game mode, map or match rules on behalf of the host.
+     * The engine is rebuilt for the new settings; players keep their team
+     * where it still exists and has space, and everyone has to ready up again.
+     */
+    updateRoomOptions(socketId, { gameMode, mapId, matchRules } = {}) {
+        const auth = this.authorizeHost(socketId, 'change room options');
+        if (auth.error) {
+            return auth;
+        }
+
+        const room = auth.room;
+        const engine = room.engine;
+        const newMode = gameMode !== undefined ? gameMode : room.gameMode;
+        const options = this.resolveRoomOptions({
+            gameMode: newMode,
+            matchRules,
+            mapId: mapId !== undefined ? mapId : engine.map.id
+        });
+        if (options.error) {
+            return options;
+        }
+
+        const players = Array.from(engine.players.values()).map(p => ({ socketId: p.socketId, playerId: p.playerId, team: p.team }));
+        const spectators = Array.from(room.spectators);
+        const hadFeed = room.spectatorFeed !== null;
+        if (players.length > getGameMode(newMode).maxPlayers) {
+            return { error: `Too many players for ${newMode}` };
+        }
+
+        if (hadFeed) {
+            room.spectatorFeed.dispose();
+        }
+        engine.dispose();
+
+        room.gameMode = newMode;
+        room.engine = this.createEngine(room, {
+            matchRules: matchRules !== undefined ? matchRules : engine.matchRules.config,
+            map: options.map
+        });
+        for (const p of players) {
+            room.engine.addPlayer(p.socketId, p.playerId, this.chooseTeam(room, p.team));
+        }
+        for (const spectatorSocketId of spectators) {
+            room.engine.addSpectator(spectatorSocketId);
+        }
+        if (hadFeed) {
+            room.spectatorFeed = new SpectatorFeed({ io: this.io, engine: room.engine, delayMs: this.spectatorDelayMs });
+        }
+        room.ready.clear();
+
+        console.log(`[ROOM-MANAGER] Room ${room.roomCode} options changed: ${room.gameMode} on ${room.engine.map.id} with ${room.engine.matchRules.name}`);
+        this.syncRegistry(room);
+        return { room };
+    }
+
+    /**
+     * Make the lobby private or public and set or clear (null) its password
+     */
+    setRoomAccess(socketId, { private: isPrivate, password } = {}) {
+        const auth = this.authorizeHost(socketId, 'change room access');
+        if (auth.error) {
+            return auth;
+        }
+
+        const result = auth.room.access.update({ isPrivate, password });
+        if (result.error) {
+            return result;
+        }
+
+        console.log(`[ROOM-MANAGER] Room ${auth.room.roomCode} is now ${auth.room.access.isPrivate ? 'private' : 'public'}` +
+            `${auth.room.access.hasPassword ? ' with a password' : ''}`);
+        this.syncRegistry(auth.room);
+        return { room: auth.room };
+    }
+
+    /**
+     * Create an invite to the host's room (see RoomAccess.createInvite for the limits)
+     * @returns {Object} { room, invite: { inviteToken, expiresAt, maxUses } } or { error }
+     */
+    createInvite(socketId, { expiresInMs, maxUses } = {}) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.hostSocketId !== socketId) {
+            return { error: 'Only the host can create invites' };
+        }
+
+        const invite = room.access.createInvite({ expiresInMs, maxUses });
+        if (invite.error) {
+            return invite;
+        }
+
+        console.log(`[ROOM-MANAGER] Invite created for room ${room.roomCode} (expires ${new Date(invite.expiresAt).toISOString()}, ${invite.maxUses ? `max ${invite.maxUses}` : 'unlimited'} uses)`);
+        return { room, invite };
+    }
+
+    revokeInvite(socketId, inviteToken) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.hostSocketId !== socketId) {
+            return { error: 'Only the host can revoke invites' };
+        }
+
+        if (!room.access.revokeInvite(inviteToken)) {
+            return { error: 'Invite not found' };
+        }
+        return { room };
+    }
+
+    /**
+     * Lobbies across all instances (from the shared registry), most recently active first
+     * @param {Object} [filter]
+     * @param {string} [filter.gameMode]
+     * @param {string} [filter.mapId]
+     * @param {string} [filter.matchRules]
+     * @param {boolean} [filter.hasSpace] - Only lobbies with a free slot
+     * @returns {Promise<Object>} { lobbies } or { error }
+     */
+    async listLobbies({ gameMode, mapId, matchRules, hasSpace } = {}) {
+        if (gameMode !== undefined && !SUPPORTED_GAME_MODES.includes(gameMode)) {
+            return { error: `Unsupported game mode: ${gameMode}` };
+        }
+        if (matchRules !== undefined && !MATCH_RULE_TYPES.includes(matchRules)) {
+            return { error: `Unsupported match rules: ${matchRules}` };
+        }
+        if (hasSpace !== undefined && typeof hasSpace !== 'boolean') {
+            return { error: 'hasSpace must be true or false' };
+        }
+
+        const records = await this.registry.listRooms();
+        const lobbies = records
+            .filter(r => r.status === 'waiting' && !r.private)
+            .filter(r => gameMode === undefined || r.gameMode === gameMode)
+            .filter(r => mapId === undefined || r.mapId === mapId)
+            .filter(r => matchRules === undefined || r.matchRules === matchRules)
+            .filter(r => !hasSpace || r.players.length < r.maxPlayers)
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map(r => ({
+                roomCode: r.roomCode,
+                gameMode: r.gameMode,
+                mapId: r.mapId,
+                matchRules: r.matchRules,
+                hasPassword: r.hasPassword,
+                players: r.players,
+                maxPlayers: r.maxPlayers
+            }));
+
+        return { lobbies };
+    }
+
+    /**
+     * Called by the engine when checkGameOver declares a winner
+     */
+    handleGameOver(room, result) {
+        room.status = 'finished';
+        console.log(`[ROOM-MANAGER] Room ${room.roomCode} finished - ${result.winningTeam !== null ? `Team ${result.winningTeam} wins` : 'draw'}`);
+        this.syncRegistry(room);
+
+        if (this.playerStore && room.participants.some(p => p.registered)) {
+            const match = this.buildMatchRecord(room, result);
+            this.playerStore.recordMatch(match).catch(err => {
+                console.error(`[ROOM-MANAGER] Failed to store match ${match.matchId}:`, err.message);
+            });
+        }
+    }
+
+    /**
+     * The stored form of a finished match: every registered player in it when it
+     * began (including players who left mid-match), with their result and stats.
+     * Guests are left out.
+     */
+    buildMatchRecord(room, result) {
+        const engine = room.engine;
+        const endedAt = Date.now();
+        const winningTeam = result.winningTeam;
+        const stats = new Map(result.stats.map(({ playerId, team, ...rest }) => [playerId, rest]));
+
+        return {
+            matchId: engine.recorder ? engine.recorder.matchId : `${room.roomCode}-${endedAt}`,
+            roomCode: room.roomCode,
+            gameMode: room.gameMode,
+            mapId: engine.map.id,
+            matchRules: result.type,
+            startedAt: room.startedAt || room.createdAt,
+            endedAt,
+            winningTeam,
+            scores: result.scores,
+            players: room.participants.filter(p => p.registered).map(({ playerId, team }) => ({
+                playerId,
+                team,
+                result: winningTeam === null ? 'draw' : (team === winningTeam ? 'win' : 'loss'),
+                stats: stats.get(playerId) || {}
+            }))
+        };
+    }
+
+    /**
+     * Close a room: stop and dispose its engine and release all sockets
+     */
+    closeRoom(roomCode, reason = 'closed') {
+        const room = this.getRoom(roomCode);
+        if (!room) {
+            return { error: 'Room not found' };
+        }
+
+        for (const socketId of room.engine.players.keys()) {
+            this.socketRooms.delete(socketId);
+        }
+        for (const timer of room.graceTimers.values()) {
+            clearTimeout(timer);
+        }
+        room.graceTimers.clear();
+
+        this.io.to(room.roomCode).emit('roomClosed', { roomCode: room.roomCode, reason });
+        this.io.in(room.roomCode).socketsLeave(room.roomCode);
+
+        if (room.spectatorFeed) {
+            const channel = room.spectatorFeed.channel;
+            room.spectatorFeed.dispose();
+            room.spectatorFeed = null;
+            this.io.to(channel).emit('roomClosed', { roomCode: room.roomCode, reason });
+            this.io.in(channel).socketsLeave(channel);
+        }
+        for (const socketId of room.spectators) {
+            this.spectatorRooms.delete(socketId);
+        }
+        room.spectators.clear();
+
+        room.engine.dispose();
+        room.status = 'closed';
+        this.rooms.delete(room.roomCode);
+        this.registry.removeRoom(room.roomCode).catch(err => {
+            console.error(`[ROOM-MANAGER] Failed to remove room ${room.roomCode} from registry:`, err.message);
+        });
+
+        console.log(`[ROOM-MANAGER] Room ${room.roomCode} closed (${reason}), ${this.rooms.size} rooms remaining`);
+        return { room };
+    }
+
+    /**
+     * Close a room on behalf of its host
+     */
+    closeRoomAsHost(socketId) {
+        const room = this.getRoomForSocket(socketId);
+        if (!room) {
+            return { error: 'Not in a room' };
+        }
+
+        if (room.hostSocketId !== socketId) {
+            return { error: 'Only the host can close the room' };
+        }
+
+        return this.closeRoom(room.roomCode, 'host-closed');
+    }
+}
+
+RoomManager.SUPPORTED_GAME_MODES = SUPPORTED_GAME_MODES;
+
+module.exports = RoomManager;
@@ -0,0 +1,189 @@
+/**
+ * Shared Room Registry
+ *
+ * Answers "where is room X" across server instances. Each record holds the
+ * room code, the owning instance, game mode, map, match rules, player limit,
+ * access (private, hasPassword), player list and status, which is also enough
+ * to list open lobbies.
+ *
+ * Room codes are claimed with reserveRoomCode before a room is opened, which
+ * succeeds for exactly one caller across all instances (SET NX on Redis).
+ * removeRoom releases the code again.
+ *
+ * MemoryRoomRegistry backs single-instance deployments (USE_REDIS=false).
+ * RedisRoomRegistry only needs a client exposing set/hSet/hGetAll/expire/del and
+ * sAdd/sRem/sMembers, so it can run against node-redis or an in-process fake.
+ */
+
+const ROOM_TTL_SECONDS = 60 * 60;
+
+function normalizeRecord(record) {
+    return {
+        roomCode: String(record.roomCode),
+        instanceId: String(record.instanceId),
+        gameMode: record.gameMode,
+        mapId: record.mapId || null,
+        matchRules: record.matchRules || null,
+        maxPlayers: Number(record.maxPlayers) || 0,
+        private: record.private === true,
+        hasPassword: record.hasPassword === true,
+        status: record.status,
+        players: Array.isArray(record.players) ? record.players : [],
+        updatedAt: record.updatedAt || Date.now()
+    };
+}
+
+class MemoryRoomRegistry {
+    constructor() {
+        this.rooms = new Map();
+        this.roomCodes = new Map(); // roomCode -> instanceId holding it
+    }
+
+    /**
+     * @returns {Promise<boolean>} false when the code is already held
+     */
+    async reserveRoomCode(roomCode, instanceId) {
+        const code = String(roomCode);
+        if (this.roomCodes.has(code)) {
+            return false;
+        }
+        this.roomCodes.set(code, instanceId);
+        return true;
+    }
+
+    async registerRoom(record) {
+        const normalized = normalizeRecord(record);
+        this.rooms.set(normalized.roomCode, normalized);
+        return normalized;
+    }
+
+    async getRoom(roomCode) {
+        return this.rooms.get(String(roomCode)) || null;
+    }
+
+    async removeRoom(roomCode) {
+        this.rooms.delete(String(roomCode));
+        this.roomCodes.delete(String(roomCode));
+    }
+
+    async listRooms() {
+        return Array.from(this.rooms.values());
+    }
+}
+
+class RedisRoomRegistry {
+    /**
+     * @param {Object} client - Connected node-redis client (or compatible fake)
+     * @param {Object} [options]
+     * @param {string} [options.keyPrefix]
+     * @param {number} [options.ttlSeconds] - Records expire unless refreshed, so a
+     *   crashed instance cannot own a room forever
+     */
+    constructor(client, { keyPrefix = 'mundo', ttlSeconds = ROOM_TTL_SECONDS } = {}) {
+        this.client = client;
+        this.keyPrefix = keyPrefix;
+        this.ttlSeconds = ttlSeconds;
+        this.indexKey = `${keyPrefix}:rooms`;
+    }
+
+    roomKey(roomCode) {
+        return `${this.keyPrefix}:room:${roomCode}`;
+    }
+
+    codeKey(roomCode) {
+        return `${this.keyPrefix}:code:${roomCode}`;
+    }
+
+    /**
+     * Atomically claim a room code for an instance; the claim expires with the
+     * room record unless registerRoom refreshes it
+     * @returns {Promise<boolean>} false when another caller already holds the code
+     */
+    async reserveRoomCode(roomCode, instanceId) {
+        const reply = await this.client.set(this.codeKey(roomCode), String(instanceId), {
+            condition: 'NX',
+            expiration: { type: 'EX', value: this.ttlSeconds }
+        });
+        return reply === 'OK';
+    }
+
+    async registerRoom(record) {
+        const normalized = normalizeRecord(record);
+        const key = this.roomKey(normalized.roomCode);
+
+        await this.client.hSet(key, {
+            roomCode: normalized.roomCode,
+            instanceId: normalized.instanceId,
+            gameMode: normalized.gameMode,
+            mapId: normalized.mapId || '',
+            matchRules: normalized.matchRules || '',
+            maxPlayers: String(normalized.maxPlayers),
+            private: String(normalized.private),
+            hasPassword: String(normalized.hasPassword),
+            status: normalized.status,
+            players: JSON.stringify(normalized.players),
+            updatedAt: String(normalized.updatedAt)
+        });
+        await this.client.expire(key, this.ttlSeconds);
+        await this.client.expire(this.codeKey(normalized.roomCode), this.ttlSeconds);
+        await this.client.sAdd(this.indexKey, normalized.roomCode);
+
+        return normalized;
+    }
+
+    async getRoom(roomCode) {
+        const hash = await this.client.hGetAll(this.roomKey(roomCode));
+        if (!hash || !hash.roomCode) {
+            return null;
+        }
+
+        let players = [];
+        try {
+            players = JSON.parse(hash.players || '[]');
+        } catch (err) {
+            console.log(`[ROOM-REGISTRY] Corrupt player list for room ${roomCode}:`, err.message);
+        }
+
+        return {
+            roomCode: hash.roomCode,
+            instanceId: hash.instanceId,
+            gameMode: hash.gameMode,
+            mapId: hash.mapId || null,
+            matchRules: hash.matchRules || null,
+            maxPlayers: Number(hash.maxPlayers) || 0,
+            private: hash.private === 'true',
+            hasPassword: hash.hasPassword === 'true',
+            status: hash.status,
+            players,
+            updatedAt: Number(hash.updatedAt)
+        };
+    }
+
+    async removeRoom(roomCode) {
+        await this.client.del(this.roomKey(roomCode));
+        await this.client.del(this.codeKey(roomCode));
+        await this.client.sRem(this.indexKey, String(roomCode));
+    }
+
+    async listRooms() {
+        const codes = await this.client.sMembers(this.indexKey);
+        const rooms = [];
+
+        for (const roomCode of codes) {
+            const room = await this.getRoom(roomCode);
+            if (room) {
+                rooms.push(room);
+            } else {
+                // Record expired: drop it from the index
+                await this.client.sRem(this.indexKey, roomCode);
+            }
+        }
+
+        return rooms;
+    }
+}
+
+module.exports = {
+    MemoryRoomRegistry,
+    RedisRoomRegistry
+};
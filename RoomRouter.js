@@ -0,0 +1,140 @@
+/**
+ * Room Router
+ *
+ * Dispatches room actions to the instance that owns the room. Without Redis
+ * every action runs locally. With the socket.io redis adapter, joins for rooms
+ * owned by another instance (looked up in the shared RoomRegistry) and all
+ * later actions from that socket are forwarded with io.serverSideEmit; the
+ * owner runs the handler and replies to the client through the adapter.
+ */
+
+const FORWARD_EVENT = 'roomAction';
+const FORWARD_TIMEOUT_MS = 3000;
+
+// Actions that name their target room and may arrive before any membership exists
+const ROOM_CODE_ACTIONS = ['joinRoom', 'rejoinRoom', 'spectateRoom'];
+
+class RoomRouter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.io - socket.io server
+     * @param {Object} options.roomManager - Local RoomManager
+     * @param {Object} options.handlers - Action handlers from createRoomHandlers()
+     * @param {boolean} [options.forwarding] - Enable cross-instance forwarding (requires the redis adapter)
+     */
+    constructor({ io, roomManager, handlers, forwarding = false }) {
+        this.io = io;
+        this.roomManager = roomManager;
+        this.handlers = handlers;
+        this.forwarding = forwarding;
+        this.remoteMemberships = new Map(); // socketId -> { roomCode, instanceId }
+
+        if (forwarding) {
+            io.on(FORWARD_EVENT, (payload, callback) => this.handleForwarded(payload, callback));
+        }
+    }
+
+    /**
+     * Run an action locally or forward it to the owning instance
+     */
+    async dispatch(socketId, action, data) {
+        const handler = this.handlers[action];
+        if (!handler) {
+            return;
+        }
+
+        try {
+            const ownerInstanceId = await this.resolveOwner(socketId, action, data);
+            if (!ownerInstanceId) {
+                return await handler(socketId, data);
+            }
+            return await this.forward(ownerInstanceId, socketId, action, data);
+        } catch (err) {
+            console.error(`[ROOM-ROUTER] ${action} failed for ${socketId}:`, err);
+        }
+    }
+
+    /**
+     * Returns the owning instance id when the action must be forwarded, null to run locally
+     */
+    async resolveOwner(socketId, action, data) {
+        if (!this.forwarding) {
+            return null;
+        }
+
+        const remote = this.remoteMemberships.get(socketId);
+        if (remote) {
+            return remote.instanceId;
+        }
+
+        if (!ROOM_CODE_ACTIONS.includes(action) || !data || data.roomCode === undefined || data.roomCode === null) {
+            return null;
+        }
+
+        if (this.roomManager.getRoom(data.roomCode)) {
+            return null;
+        }
+
+        const record = await this.roomManager.registry.getRoom(data.roomCode);
+        if (record && record.instanceId !== this.roomManager.instanceId) {
+            return record.instanceId;
+        }
+
+        return null;
+    }
+
+    forward(instanceId, socketId, action, data) {
+        return new Promise((resolve) => {
+            const payload = { instanceId, socketId, action, data };
+
+            this.io.timeout(FORWARD_TIMEOUT_MS).serverSideEmit(FORWARD_EVENT, payload, (err, responses) => {
+                const response = (responses || []).find(r => r && r.handled);
+
+                if (!response) {
+                    console.error(`[ROOM-ROUTER] ${action} for ${socketId} not handled by instance ${instanceId}${err ? `: ${err.message}` : ''}`);
+                    this.remoteMemberships.delete(socketId);
+                    if (action !== 'disconnect') {
+                        this.io.to(socketId).emit('roomError', { action, message: 'Room owner unavailable' });
+                    }
+                    return resolve();
+                }
+
+                if (response.roomCode) {
+                    this.remoteMemberships.set(socketId, { roomCode: response.roomCode, instanceId });
+                } else {
+                    this.remoteMemberships.delete(socketId);
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * serverSideEmit listener: every other instance receives the action,
+     * only the owner runs it. All instances must answer the ack, the owner
+     * once the (possibly async) handler has finished.
+     */
+    async handleForwarded(payload, callback) {
+        if (!payload || payload.instanceId !== this.roomManager.instanceId) {
+            return callback(null);
+        }
+
+        const handler = this.handlers[payload.action];
+        if (handler) {
+            try {
+                await handler(payload.socketId, payload.data);
+            } catch (err) {
+                console.error(`[ROOM-ROUTER] Forwarded ${payload.action} failed for ${payload.socketId}:`, err);
+            }
+        }
+
+        callback({
+            handled: true,
+            roomCode: this.roomManager.getMembership(payload.socketId)
+        });
+    }
+}
+
+RoomRouter.FORWARD_EVENT = FORWARD_EVENT;
+
+module.exports = RoomRouter;
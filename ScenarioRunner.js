@@ -0,0 +1,288 @@
+/**
+ * Headless Scenario Runner
+ *
+ * Steps a GameEngine tick by tick on a ManualClock, feeds it scripted
+ * move/throw inputs and checks the captured events against expectations.
+ *
+ * Scenario format:
+ * {
+ *   gameMode: '1v1',
+ *   matchRules: 'rounds',                          // optional, see matchRules.js
+ *   map: 'pillars',                                // optional, see maps/
+ *   ticks: 1000,                                   // max ticks (stops early on game over)
+ *   players: [{ id: 'a', team: 1, x: -30, z: 0 }], // id is used as socketId and playerId; x/z override spawns
+ *   inputs: [
+ *     { tick: 10, player: 'a', move: { x: -25, z: 10 } },
+ *     { tick: 20, player: 'a', throw: { x: 30, z: 0, latencyMs: 80 } },
+ *     { tick: 30, player: 'a', ability: { name: 'dash', x: -40, z: 0 } }  // see abilities.js
+ *   ],
+ *   expect: {
+ *     hits: [{ attacker: 'a', target: 'b', tick: 150, toleranceTicks: 2 }], // in order
+ *     hitCount: 1,
+ *     deaths: ['b'],
+ *     knifeDestroys: ['hit', 'wall'],             // every serverKnifeDestroy reason, in order
+ *     gameOver: { winningTeam: 1 },               // winningTeam null for a draw; gameOver null for "no game over"
+ *     positions: [{ player: 'a', tick: 200, x: -25, z: 10, tolerance: 0.5 }] // tick defaults to the last tick
+ *   }
+ * }
+ *
+ * CLI: node ScenarioRunner.js scenario.json [more.json ...]
+ * Fixtures live in scenarios/ and run with npm test.
+ */
+
+const GameEngine = require('./gameEngine');
+const RecordingEventSink = require('./RecordingEventSink');
+const { ManualClock } = require('./clock');
+
+const DEFAULT_START_TIME = 1700000000000;
+
+class ScenarioRunner {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.engineOptions] - Extra GameEngine options (collision, broadcast, ...)
+     * @param {string} [options.roomCode]
+     * @param {number} [options.startTime] - ManualClock start time in ms
+     * @param {boolean} [options.silent] - Run the engine with GameEngine.SILENT_LOGGER (unless engineOptions has a logger)
+     */
+    constructor({ engineOptions = {}, roomCode = '000000', startTime = DEFAULT_START_TIME, silent = true } = {}) {
+        this.engineOptions = engineOptions;
+        this.roomCode = roomCode;
+        this.startTime = startTime;
+        this.silent = silent;
+    }
+
+    /**
+     * Run a scenario
+     * @returns {{passed: boolean, failures: string[], ticks: number, hits: Array, deaths: Array,
+     *   knifeDestroys: Array, gameOver: Object|null, positions: Object, events: Array}}
+     */
+    run(scenario) {
+        const clock = new ManualClock(this.startTime);
+        const engine = new GameEngine(this.roomCode, scenario.gameMode || '1v1', {
+            ...(this.silent ? { logger: GameEngine.SILENT_LOGGER } : {}),
+            ...this.engineOptions,
+            ...(scenario.matchRules ? { matchRules: scenario.matchRules } : {}),
+            ...(scenario.map ? { map: scenario.map } : {}),
+            clock,
+            monitorEventLoop: false
+        });
+        const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+        const knifeOwners = new Map(); // knifeId -> player id
+        const tickMs = 1000 / engine.TICK_RATE;
+
+        for (const p of scenario.players || []) {
+            engine.addPlayer(p.id, p.id, p.team);
+        }
+
+        engine.beginGame(sink);
+        for (const p of scenario.players || []) {
+            const player = engine.players.get(p.id);
+            if (p.x !== undefined || p.z !== undefined) {
+                engine.setPlayerPosition(p.id, p.x !== undefined ? p.x : player.x, p.z !== undefined ? p.z : player.z);
+            }
+        }
+
+        const inputsByTick = new Map();
+        for (const input of scenario.inputs || []) {
+            if (!inputsByTick.has(input.tick)) {
+                inputsByTick.set(input.tick, []);
+            }
+            inputsByTick.get(input.tick).push(input);
+        }
+
+        const expect = scenario.expect || {};
+        const positionChecks = (expect.positions || []).filter(c => c.tick !== undefined);
+        const positionsAtTick = [];
+        const maxTicks = scenario.ticks || 1000;
+        let tick = 0;
+
+        while (tick < maxTicks) {
+            for (const input of inputsByTick.get(tick) || []) {
+                this.applyInput(engine, sink, clock, input, knifeOwners);
+            }
+
+            clock.advance(tickMs);
+            tick++;
+            const running = engine.step(sink);
+
+            for (const check of positionChecks) {
+                if (check.tick === tick) {
+                    positionsAtTick.push({ check, position: this.positionOf(engine, check.player) });
+                }
+            }
+
+            if (!running) break;
+        }
+
+        const result = {
+            ticks: tick,
+            hits: this.collectHits(sink, knifeOwners),
+            deaths: this.collectDeaths(sink),
+            knifeDestroys: sink.filter('serverKnifeDestroy').map(e => ({ tick: e.tick, knifeId: e.data.knifeId, reason: e.data.reason })),
+            gameOver: this.collectGameOver(sink),
+            positions: {},
+            events: sink.events,
+            failures: []
+        };
+
+        for (const [socketId, player] of engine.players.entries()) {
+            result.positions[socketId] = { x: player.x, z: player.z };
+        }
+
+        this.checkExpectations(expect, result, positionsAtTick);
+        result.passed = result.failures.length === 0;
+
+        engine.dispose();
+        return result;
+    }
+
+    applyInput(engine, sink, clock, input, knifeOwners) {
+        if (input.move) {
+            engine.handlePlayerMove(input.player, input.move.x, input.move.z, input.actionId || null, sink);
+        }
+        if (input.throw) {
+            const clientTimestamp = clock.now() - (input.throw.latencyMs || 0);
+            engine.handleKnifeThrow(input.player, input.throw.x, input.throw.z, input.actionId || null, sink, clientTimestamp);
+
+            // serverKnifeSpawn only carries the owner's team; remember who threw it
+            const last = sink.events[sink.events.length - 1];
+            if (last && last.event === 'serverKnifeSpawn') {
+                knifeOwners.set(last.data.knifeId, input.player);
+            }
+        }
+        if (input.ability) {
+            engine.handleUseAbility(input.player, input.ability.name, input.ability.x || 0, input.ability.z || 0, input.actionId || null, sink, clock.now());
+        }
+    }
+
+    positionOf(engine, socketId) {
+        const player = engine.players.get(socketId);
+        return player ? { x: player.x, z: player.z } : null;
+    }
+
+    /**
+     * Pair each serverKnifeHit with the serverHealthUpdate emitted just before it
+     */
+    collectHits(sink, knifeOwners) {
+        const hits = [];
+        for (const hit of sink.filter('serverKnifeHit')) {
+            const health = this.findHitHealthUpdate(sink, hit);
+            hits.push({
+                tick: hit.tick,
+                knifeId: hit.data.knifeId,
+                attacker: knifeOwners.get(hit.data.knifeId) || null,
+                target: health ? health.data.targetPlayerId : null,
+                targetTeam: hit.data.targetTeam
+            });
+        }
+        return hits;
+    }
+
+    /**
+     * The serverHealthUpdate a knife hit caused. It precedes serverKnifeHit in the
+     * same tick, but shield or death effect events may come in between, so search
+     * back to the previous hit for one on the hit's team.
+     */
+    findHitHealthUpdate(sink, hit) {
+        for (let seq = hit.seq - 1; seq >= 0; seq--) {
+            const event = sink.events[seq];
+            if (event.tick !== hit.tick || event.event === 'serverKnifeHit') {
+                return null;
+            }
+            if (event.event === 'serverHealthUpdate' && event.data.targetTeam === hit.data.targetTeam) {
+                return event;
+            }
+        }
+        return null;
+    }
+
+    collectDeaths(sink) {
+        return sink.filter('serverHealthUpdate')
+            .filter(e => e.data.isDead)
+            .map(e => ({ tick: e.tick, player: e.data.targetPlayerId }));
+    }
+
+    collectGameOver(sink) {
+        const gameOver = sink.filter('serverGameOver')[0];
+        return gameOver ? { tick: gameOver.tick, winningTeam: gameOver.data.winningTeam } : null;
+    }
+
+    checkExpectations(expect, result, positionsAtTick) {
+        const fail = (message) => result.failures.push(message);
+
+        if (expect.hitCount !== undefined && result.hits.length !== expect.hitCount) {
+            fail(`expected ${expect.hitCount} hits, got ${result.hits.length}`);
+        }
+
+        let cursor = 0;
+        for (const expected of expect.hits || []) {
+            const tolerance = expected.toleranceTicks || 0;
+            const index = result.hits.findIndex((hit, i) => i >= cursor &&
+                (expected.attacker === undefined || hit.attacker === expected.attacker) &&
+                (expected.target === undefined || hit.target === expected.target) &&
+                (expected.tick === undefined || Math.abs(hit.tick - expected.tick) <= tolerance));
+            if (index === -1) {
+                fail(`expected hit ${JSON.stringify(expected)} not found after hit #${cursor}`);
+            } else {
+                cursor = index + 1;
+            }
+        }
+
+        for (const player of expect.deaths || []) {
+            if (!result.deaths.some(d => d.player === player)) {
+                fail(`expected ${player} to die`);
+            }
+        }
+
+        if (expect.knifeDestroys !== undefined) {
+            const reasons = result.knifeDestroys.map(d => d.reason);
+            if (JSON.stringify(reasons) !== JSON.stringify(expect.knifeDestroys)) {
+                fail(`expected knife destroys ${JSON.stringify(expect.knifeDestroys)}, got ${JSON.stringify(reasons)}`);
+            }
+        }
+
+        if (expect.gameOver !== undefined) {
+            const outcome = (winningTeam) => winningTeam === null ? 'a draw' : `team ${winningTeam} to win`;
+            if (expect.gameOver === null && result.gameOver) {
+                fail(`expected no game over, got ${outcome(result.gameOver.winningTeam)} at tick ${result.gameOver.tick}`);
+            } else if (expect.gameOver && (!result.gameOver || result.gameOver.winningTeam !== expect.gameOver.winningTeam)) {
+                fail(`expected ${outcome(expect.gameOver.winningTeam)}, got ${result.gameOver ? outcome(result.gameOver.winningTeam) : 'no game over'}`);
+            }
+        }
+
+        const finalChecks = (expect.positions || []).filter(c => c.tick === undefined)
+            .map(check => ({ check, position: result.positions[check.player] || null }));
+
+        for (const { check, position } of positionsAtTick.concat(finalChecks)) {
+            const when = check.tick !== undefined ? `tick ${check.tick}` : 'the end';
+            if (!position) {
+                fail(`no position for ${check.player} at ${when}`);
+                continue;
+            }
+            const tolerance = check.tolerance !== undefined ? check.tolerance : 0.5;
+            const distance = Math.hypot(position.x - check.x, position.z - check.z);
+            if (distance > tolerance) {
+                fail(`${check.player} at (${position.x.toFixed(2)}, ${position.z.toFixed(2)}) at ${when}, expected (${check.x}, ${check.z}) ±${tolerance}`);
+            }
+        }
+    }
+}
+
+if (require.main === module) {
+    const fs = require('fs');
+    const runner = new ScenarioRunner();
+    let failed = 0;
+
+    for (const file of process.argv.slice(2)) {
+        const result = runner.run(JSON.parse(fs.readFileSync(file, 'utf8')));
+        console.log(`[SCENARIO] ${result.passed ? 'PASS' : 'FAIL'} ${file} (${result.ticks} ticks, ${result.hits.length} hits)`);
+        for (const failure of result.failures) {
+            console.log(`[SCENARIO]   ${failure}`);
+        }
+        if (!result.passed) failed++;
+    }
+
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+module.exports = ScenarioRunner;
@@ -0,0 +1,93 @@
+/**
+ * Delayed Spectator Feed
+ *
+ * Re-emits a room's events to its spectator channel after a fixed delay, so
+ * spectators cannot relay live positions to players (ghosting). Spectators
+ * always get full-precision serverGameState, whatever broadcast strategy the
+ * room uses, including every knife of both teams.
+ *
+ * Delays are measured on the engine's clock (engine.now()), so a feed on a
+ * ManualClock releases exactly when the clock says so. Due events go out on
+ * the next captured event or when the release timer fires.
+ */
+
+const { fullBroadcast } = require('./broadcastStrategies');
+
+class SpectatorFeed {
+    /**
+     * @param {Object} options
+     * @param {Object} options.io - socket.io server
+     * @param {Object} options.engine - The room's GameEngine
+     * @param {number} options.delayMs - Delay applied to every event
+     */
+    constructor({ io, engine, delayMs }) {
+        this.io = io;
+        this.engine = engine;
+        this.roomCode = engine.roomCode;
+        this.channel = SpectatorFeed.channelFor(engine.roomCode);
+        this.delayMs = delayMs;
+        this.queue = [];          // { dueAt, event, data }, oldest first
+        this.lastState = null;    // latest serverGameState already released to spectators
+        this.timer = null;
+
+        this.listener = (target, event, data) => this.capture(target, event, data);
+        engine.addEmitListener(this.listener);
+    }
+
+    static channelFor(roomCode) {
+        return `${roomCode}:spectators`;
+    }
+
+    capture(target, event, data) {
+        if (target !== this.roomCode) return;
+
+        const payload = event === 'serverGameState' && this.engine.broadcastStrategy !== fullBroadcast
+            ? fullBroadcast.buildGameState(this.engine)
+            : data;
+
+        this.releaseDue();
+        this.queue.push({ dueAt: this.engine.now() + this.delayMs, event, data: payload });
+        if (!this.timer) {
+            this.schedule();
+        }
+    }
+
+    schedule() {
+        if (this.queue.length === 0) {
+            this.timer = null;
+            return;
+        }
+
+        const delay = Math.max(0, this.queue[0].dueAt - this.engine.now());
+        this.timer = setTimeout(() => this.release(), delay);
+    }
+
+    release() {
+        clearTimeout(this.timer);
+        this.releaseDue();
+        this.schedule();
+    }
+
+    /**
+     * Emit every queued event whose delay has passed on the engine's clock
+     */
+    releaseDue() {
+        const now = this.engine.now();
+        while (this.queue.length > 0 && this.queue[0].dueAt <= now) {
+            const { event, data } = this.queue.shift();
+            if (event === 'serverGameState') {
+                this.lastState = data;
+            }
+            this.io.to(this.channel).emit(event, data);
+        }
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+        this.engine.removeEmitListener(this.listener);
+    }
+}
+
+module.exports = SpectatorFeed;
@@ -0,0 +1,109 @@
+/**
+ * Ability Definitions
+ *
+ * Everything a player does besides moving is an ability, used through the
+ * useAbility command (knifeThrow is useAbility with 'knife'). Abilities are
+ * data; GameEngine.executeAbility implements each kind.
+ *
+ *   kind        - 'projectile' | 'dash' | 'area' | 'self'
+ *   cooldownMs  - time after the ability takes effect before it can be used again
+ *   castTimeMs  - wind-up before it takes effect; the caster stops, and moving cancels the cast (default 0)
+ *   effects     - status effects it applies, [{ type, durationMs, magnitude? }] (see statusEffects.js):
+ *                 to the player a projectile hits, to every enemy in an area, to the caster otherwise
+ *
+ * Per kind:
+ *   projectile  - speed (units per second), damage, lifetimeMs; flies through the knife pipeline.
+ *                 With pull { speed, maxDurationMs } it is a hook: the player it hits is dragged towards the thrower
+ *   dash        - distance; straight towards the target, stopping where the walkable area ends
+ *   area        - range (max distance of the center from the caster), radius, damage to enemies inside
+ *   self        - heal (default 0)
+ */
+
+const { validateEffectSpec } = require('./statusEffects');
+
+const ABILITY_KINDS = ['projectile', 'dash', 'area', 'self'];
+
+const ABILITIES = {
+    knife: { kind: 'projectile', cooldownMs: 4000, castTimeMs: 0, speed: 4.5864, damage: 1, lifetimeMs: 35000 },
+    dash: { kind: 'dash', cooldownMs: 8000, castTimeMs: 0, distance: 25 },
+    blast: { kind: 'area', cooldownMs: 12000, castTimeMs: 500, range: 60, radius: 12, damage: 1 },
+    heal: { kind: 'self', cooldownMs: 20000, castTimeMs: 1000, heal: 1 },
+    frost: { kind: 'projectile', cooldownMs: 10000, castTimeMs: 0, speed: 4.5864, damage: 0, lifetimeMs: 35000,
+        effects: [{ type: 'slow', durationMs: 3000, magnitude: 0.5 }] },
+    venom: { kind: 'projectile', cooldownMs: 12000, castTimeMs: 0, speed: 4.5864, damage: 0, lifetimeMs: 35000,
+        effects: [{ type: 'dot', durationMs: 3000, magnitude: 1 }] },
+    stomp: { kind: 'area', cooldownMs: 15000, castTimeMs: 300, range: 0, radius: 20, damage: 0,
+        effects: [{ type: 'stun', durationMs: 1000 }] },
+    snare: { kind: 'area', cooldownMs: 12000, castTimeMs: 0, range: 60, radius: 10, damage: 0,
+        effects: [{ type: 'root', durationMs: 1500 }] },
+    barrier: { kind: 'self', cooldownMs: 15000, castTimeMs: 0, effects: [{ type: 'shield', durationMs: 4000, magnitude: 1 }] },
+    hook: { kind: 'projectile', cooldownMs: 14000, castTimeMs: 0, speed: 6, damage: 0, lifetimeMs: 20000,
+        pull: { speed: 30, maxDurationMs: 3000 } },
+    haste: { kind: 'self', cooldownMs: 15000, castTimeMs: 0, effects: [{ type: 'speedBoost', durationMs: 3000, magnitude: 0.5 }] }
+};
+
+const REQUIRED_FIELDS = {
+    projectile: ['speed', 'damage', 'lifetimeMs'],
+    dash: ['distance'],
+    area: ['range', 'radius', 'damage'],
+    self: []
+};
+
+function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate and normalize a set of ability definitions
+ * @param {Object} [definitions] - name -> definition (default: ABILITIES)
+ * @returns {Object} name -> definition with castTimeMs and effects filled in
+ * @throws on a malformed definition or when 'knife' is not a projectile
+ */
+function createAbilities(definitions = ABILITIES) {
+    const abilities = {};
+
+    for (const [name, definition] of Object.entries(definitions)) {
+        if (!definition || !ABILITY_KINDS.includes(definition.kind)) {
+            throw new Error(`Ability ${name} has unknown kind: ${definition && definition.kind}`);
+        }
+        if (!isNonNegative(definition.cooldownMs)) {
+            throw new Error(`Ability ${name} needs a cooldownMs`);
+        }
+        if (definition.castTimeMs !== undefined && !isNonNegative(definition.castTimeMs)) {
+            throw new Error(`Ability ${name} has an invalid castTimeMs`);
+        }
+        for (const field of REQUIRED_FIELDS[definition.kind]) {
+            if (!isNonNegative(definition[field])) {
+                throw new Error(`Ability ${name} (${definition.kind}) needs ${field}`);
+            }
+        }
+
+        if (definition.pull !== undefined &&
+            (definition.kind !== 'projectile' || !definition.pull || !(definition.pull.speed > 0) || !(definition.pull.maxDurationMs > 0))) {
+            throw new Error(`Ability ${name} pull needs a projectile with speed and maxDurationMs`);
+        }
+        if (definition.effects !== undefined && !Array.isArray(definition.effects)) {
+            throw new Error(`Ability ${name} effects must be an array`);
+        }
+        for (const effect of definition.effects || []) {
+            validateEffectSpec(effect, `Ability ${name}`);
+        }
+
+        abilities[name] = {
+            ...definition,
+            castTimeMs: definition.castTimeMs || 0,
+            effects: definition.effects || []
+        };
+    }
+
+    if (!abilities.knife || abilities.knife.kind !== 'projectile') {
+        throw new Error('Abilities must define knife as a projectile');
+    }
+    return abilities;
+}
+
+module.exports = {
+    ABILITIES,
+    ABILITY_KINDS,
+    createAbilities
+};
@@ -0,0 +1,92 @@
+/**
+ * serverGameState Broadcast Strategies
+ *
+ * Both strategies produce the { serverTick, serverTime, knives, players }
+ * payload LOLLevelNetworkManager.reconcileWithServer reads; they differ only in
+ * precision.
+ *
+ *   full    - exact positions and velocities (default)
+ *   compact - positions rounded to 0.1 and velocities to 0.01 units
+ */
+
+function round(value, scale) {
+    return Math.round(value * scale) / scale;
+}
+
+function buildGameState(engine, precision) {
+    const position = precision ? (v) => round(v, precision.position) : (v) => v;
+    const velocity = precision ? (v) => round(v, precision.velocity) : (v) => v;
+
+    const knives = Array.from(engine.knives.values())
+        .filter(k => !k.hasHit)
+        .map(k => ({
+            knifeId: k.knifeId,
+            ownerTeam: Number(k.ownerTeam),
+            x: position(k.x),
+            z: position(k.z),
+            velocityX: velocity(k.velocityX),
+            velocityZ: velocity(k.velocityZ)
+        }));
+
+    const players = Array.from(engine.players.values()).map(p => ({
+        playerId: p.playerId,
+        team: Number(p.team),
+        x: position(p.x),
+        z: position(p.z),
+        targetX: position(p.targetX),
+        targetZ: position(p.targetZ),
+        isMoving: p.isMoving,
+        isDead: p.isDead,
+        isDisconnected: p.isDisconnected,
+        health: p.health,
+        cooldowns: engine.getCooldowns(p),
+        effects: engine.getStatusEffects(p),
+        casting: p.casting ? p.casting.ability : null,
+        lastProcessedSeq: p.lastProcessedSeq || 0
+    }));
+
+    return {
+        serverTick: engine.serverTick,
+        serverTime: engine.now(),
+        knives,
+        players
+    };
+}
+
+const fullBroadcast = {
+    name: 'full',
+    buildGameState(engine) {
+        return buildGameState(engine, null);
+    }
+};
+
+const compactBroadcast = {
+    name: 'compact',
+    buildGameState(engine) {
+        return buildGameState(engine, { position: 10, velocity: 100 });
+    }
+};
+
+/**
+ * Resolve a strategy name ('full' | 'compact') or pass through a strategy object
+ */
+function createBroadcastStrategy(strategy = 'full') {
+    if (strategy && typeof strategy === 'object') {
+        return strategy;
+    }
+
+    switch (strategy) {
+        case 'full':
+            return fullBroadcast;
+        case 'compact':
+            return compactBroadcast;
+        default:
+            throw new Error(`Unknown broadcast strategy: ${strategy}`);
+    }
+}
+
+module.exports = {
+    fullBroadcast,
+    compactBroadcast,
+    createBroadcastStrategy
+};
@@ -0,0 +1,43 @@
+/**
+ * Time sources for GameEngine
+ *
+ * The engine reads wall-clock milliseconds (now) and a nanosecond monotonic
+ * counter (hrtime) only through its clock, so headless runs can drive time
+ * by hand and replay the same trace deterministically.
+ */
+
+const systemClock = {
+    now: () => Date.now(),
+    hrtime: () => process.hrtime.bigint()
+};
+
+class ManualClock {
+    /**
+     * @param {number} [startMs] - Initial wall-clock time in ms
+     */
+    constructor(startMs = 0) {
+        this.ms = startMs;
+    }
+
+    now() {
+        return this.ms;
+    }
+
+    hrtime() {
+        return BigInt(Math.round(this.ms * 1e6));
+    }
+
+    advance(ms) {
+        this.ms += ms;
+        return this.ms;
+    }
+
+    set(ms) {
+        this.ms = ms;
+    }
+}
+
+module.exports = {
+    systemClock,
+    ManualClock
+};
@@ -0,0 +1,128 @@
+/**
+ * Knife Collision Strategies
+ *
+ * A strategy only decides which players a knife is tested against each tick;
+ * GameEngine.checkKnifeCollisions always runs the same lag-compensated swept
+ * test (lineCircleIntersection) on the candidates, in player join order.
+ * Strategies therefore never change hit results, only how many tests run.
+ *
+ *   swept - test every player (default)
+ *   grid  - spatial hash of players; a knife is tested against the players in
+ *           the cells its swept segment overlaps
+ */
+
+class SweptCollisionStrategy {
+    constructor() {
+        this.name = 'swept';
+    }
+
+    beginTick() {}
+
+    /**
+     * @returns {Iterable<[string, Object]>} [socketId, player] pairs in join order
+     */
+    candidates(engine) {
+        return engine.players.entries();
+    }
+}
+
+class GridCollisionStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.cellSize] - Grid cell size in world units
+     */
+    constructor({ cellSize = 30 } = {}) {
+        this.name = 'grid';
+        this.cellSize = cellSize;
+        this.cells = new Map();       // "cx,cz" -> [[socketId, player], ...]
+        this.joinOrder = new Map();   // socketId -> index in engine.players
+    }
+
+    cellIndex(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Rebuild the grid from current positions. Each player is inserted into every
+     * cell within collision radius + max rewind distance, so lag-compensated
+     * (rewound) positions are still found from the current grid.
+     */
+    beginTick(engine) {
+        this.cells.clear();
+        this.joinOrder.clear();
+
+        const padding = engine.COLLISION_RADIUS + engine.getMaxRewindDistance();
+        let index = 0;
+
+        for (const entry of engine.players.entries()) {
+            const [socketId, player] = entry;
+            this.joinOrder.set(socketId, index++);
+            if (player.isDead) continue;
+
+            const minX = this.cellIndex(player.x - padding);
+            const maxX = this.cellIndex(player.x + padding);
+            const minZ = this.cellIndex(player.z - padding);
+            const maxZ = this.cellIndex(player.z + padding);
+
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cz = minZ; cz <= maxZ; cz++) {
+                    const key = `${cx},${cz}`;
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Players in the cells overlapped by the knife's segment this tick, in join order
+     */
+    candidates(engine, knife, prevX, prevZ) {
+        const minX = this.cellIndex(Math.min(prevX, knife.x));
+        const maxX = this.cellIndex(Math.max(prevX, knife.x));
+        const minZ = this.cellIndex(Math.min(prevZ, knife.z));
+        const maxZ = this.cellIndex(Math.max(prevZ, knife.z));
+
+        const found = new Map();
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(`${cx},${cz}`);
+                if (!cell) continue;
+                for (const entry of cell) {
+                    found.set(entry[0], entry);
+                }
+            }
+        }
+
+        return Array.from(found.values())
+            .sort((a, b) => this.joinOrder.get(a[0]) - this.joinOrder.get(b[0]));
+    }
+}
+
+/**
+ * Resolve a strategy name ('swept' | 'grid') or pass through a strategy object
+ */
+function createCollisionStrategy(strategy = 'swept') {
+    if (strategy && typeof strategy === 'object') {
+        return strategy;
+    }
+
+    switch (strategy) {
+        case 'swept':
+            return new SweptCollisionStrategy();
+        case 'grid':
+            return new GridCollisionStrategy();
+        default:
+            throw new Error(`Unknown collision strategy: ${strategy}`);
+    }
+}
+
+module.exports = {
+    SweptCollisionStrategy,
+    GridCollisionStrategy,
+    createCollisionStrategy
+};
@@ -0,0 +1,161 @@
+/**
+ * Payload validation for client game commands
+ *
+ * Every command coming from LOLLevelNetworkManager is untrusted input.
+ * Validators return either { error } or a normalized command object.
+ */
+
+const MAX_ACTION_ID_LENGTH = 64;
+const MAX_ROOM_CODE_LENGTH = 16;
+const MAX_COORDINATE = 1000;
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isValidCoordinate(value) {
+    return isFiniteNumber(value) && Math.abs(value) <= MAX_COORDINATE;
+}
+
+function isValidRoomCode(roomCode) {
+    return (typeof roomCode === 'string' || typeof roomCode === 'number') &&
+        String(roomCode).length > 0 && String(roomCode).length <= MAX_ROOM_CODE_LENGTH;
+}
+
+function isValidId(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_ACTION_ID_LENGTH;
+}
+
+/**
+ * Validate the fields shared by every targeted command (move, knife)
+ */
+function validateTargetedCommand(data) {
+    if (!data || typeof data !== 'object') {
+        return { error: 'Invalid payload' };
+    }
+
+    const { roomCode, targetX, targetZ, actionId } = data;
+
+    if (!isValidRoomCode(roomCode)) {
+        return { error: 'Invalid roomCode' };
+    }
+
+    if (!isValidCoordinate(targetX) || !isValidCoordinate(targetZ)) {
+        return { error: 'Invalid target coordinates' };
+    }
+
+    if (actionId !== undefined && actionId !== null &&
+        (typeof actionId !== 'string' || actionId.length > MAX_ACTION_ID_LENGTH)) {
+        return { error: 'Invalid actionId' };
+    }
+
+    return {
+        roomCode: String(roomCode),
+        targetX,
+        targetZ,
+        actionId: actionId || null
+    };
+}
+
+/**
+ * Validate a playerMove command: { roomCode, targetX, targetZ, actionId, clientTime }
+ */
+function validateMoveCommand(data) {
+    const command = validateTargetedCommand(data);
+    if (command.error) return command;
+
+    if (data.clientTime !== undefined && !isFiniteNumber(data.clientTime)) {
+        return { error: 'Invalid clientTime' };
+    }
+
+    command.clientTime = data.clientTime;
+    return command;
+}
+
+/**
+ * Validate a knifeThrow command: { roomCode, targetX, targetZ, actionId, clientTimestamp }
+ */
+function validateKnifeCommand(data) {
+    const command = validateTargetedCommand(data);
+    if (command.error) return command;
+
+    if (data.clientTimestamp !== undefined && !isFiniteNumber(data.clientTimestamp)) {
+        return { error: 'Invalid clientTimestamp' };
+    }
+
+    command.clientTimestamp = data.clientTimestamp;
+    return command;
+}
+
+/**
+ * Validate a useAbility command: { roomCode, ability, targetX?, targetZ?, actionId, clientTimestamp }
+ * The target may be left out for abilities that do not aim (it defaults to 0, 0).
+ */
+function validateAbilityCommand(data) {
+    if (!data || typeof data !== 'object') {
+        return { error: 'Invalid payload' };
+    }
+
+    if (!isValidId(data.ability)) {
+        return { error: 'Invalid ability' };
+    }
+
+    const hasTarget = data.targetX !== undefined || data.targetZ !== undefined;
+    const command = validateTargetedCommand(hasTarget ? data : { ...data, targetX: 0, targetZ: 0 });
+    if (command.error) return command;
+
+    if (data.clientTimestamp !== undefined && !isFiniteNumber(data.clientTimestamp)) {
+        return { error: 'Invalid clientTimestamp' };
+    }
+
+    command.ability = data.ability;
+    command.clientTimestamp = data.clientTimestamp;
+    return command;
+}
+
+/**
+ * Validate a collisionReport command: { roomCode, knifeId, targetPlayerId?, targetTeam?, clientTimestamp? }
+ */
+function validateCollisionReport(data) {
+    if (!data || typeof data !== 'object') {
+        return { error: 'Invalid payload' };
+    }
+
+    const { roomCode, knifeId, targetPlayerId, targetTeam, clientTimestamp } = data;
+
+    if (!isValidRoomCode(roomCode)) {
+        return { error: 'Invalid roomCode' };
+    }
+
+    if (!isValidId(knifeId)) {
+        return { error: 'Invalid knifeId' };
+    }
+
+    if (targetPlayerId !== undefined && targetPlayerId !== null && !isValidId(String(targetPlayerId))) {
+        return { error: 'Invalid targetPlayerId' };
+    }
+
+    if (targetTeam !== undefined && targetTeam !== null && !isFiniteNumber(Number(targetTeam))) {
+        return { error: 'Invalid targetTeam' };
+    }
+
+    if (clientTimestamp !== undefined && !isFiniteNumber(clientTimestamp)) {
+        return { error: 'Invalid clientTimestamp' };
+    }
+
+    return {
+        roomCode: String(roomCode),
+        knifeId,
+        targetPlayerId: targetPlayerId !== undefined && targetPlayerId !== null ? String(targetPlayerId) : undefined,
+        targetTeam: targetTeam !== undefined && targetTeam !== null ? Number(targetTeam) : undefined,
+        clientTimestamp
+    };
+}
+
+module.exports = {
+    isFiniteNumber,
+    validateMoveCommand,
+    validateKnifeCommand,
+    validateAbilityCommand,
+    validateCollisionReport
+};
@@ -11,6 +11,16 @@
 
 const { monitorEventLoopDelay, performance } = require('perf_hooks');
 const PositionHistory = require('./PositionHistory');
+const { createCollisionStrategy } = require('./collisionStrategies');
+const { createBroadcastStrategy } = require('./broadcastStrategies');
+const { createMatchRules } = require('./matchRules');
+const { getGameMode } = require('./gameModes');
+const GameMap = require('./GameMap');
+const PathFinder = require('./PathFinder');
+const { createAbilities } = require('./abilities');
+const { STATUS_EFFECTS } = require('./statusEffects');
+const MatchStats = require('./MatchStats');
+const { systemClock } = require('./clock');
 
 /**
  * Global event loop monitoring (singleton)
@@ -44,6 +54,8 @@ function ensureEventLoopMonitors() {
                 latest.p99 = p99;
                 h.reset();
             }, 5000);
+            // Never keep the process alive just for monitoring (headless runs, scripts)
+            timer.unref();
             global.__EL_MON__ = { h, latest, timer };
             console.log('[GAME-ENGINE] Event loop monitoring initialized');
         } catch (err) {
@@ -55,33 +67,86 @@ function ensureEventLoopMonitors() {
 }
 
 class GameEngine {
-    constructor(roomCode, gameMode) {
+    /**
+     * @param {string} roomCode
+     * @param {string} gameMode - A key of gameModes.GAME_MODES ('1v1', '3v3', 'ffa', ...)
+     * @param {Object} [options]
+     * @param {number} [options.historyRecordRate] - Position history snapshots per second (default: TICK_RATE)
+     * @param {boolean} [options.allowClientHitReports] - Accept (validated) client hit reports (default: true)
+     * @param {number} [options.tickRate] - Physics ticks per second (default: 125)
+     * @param {number} [options.networkUpdateRate] - serverGameState broadcasts per second (default: 25)
+     * @param {string|Object} [options.collision] - 'swept' or 'grid' (see collisionStrategies.js)
+     * @param {string|Object} [options.broadcast] - 'full' or 'compact' (see broadcastStrategies.js)
+     * @param {Object} [options.clock] - { now(), hrtime() } time source (see clock.js; default: system clock)
+     * @param {boolean} [options.monitorEventLoop] - Start the shared event loop monitor (default: true)
+     * @param {string} [options.spawnSeed] - Seed for spawn positions (default: 'roomCode:gameMode'; RoomManager passes a random one)
+     * @param {Object} [options.recorder] - MatchRecorder capturing inputs and emitted events for replays
+     * @param {string|Object} [options.map] - Map id from maps/ or a GameMap (default: 'arena')
+     * @param {number} [options.knifeRicochets] - Times a knife bounces off walls before stopping (default: 0)
+     * @param {number} [options.pathCellSize] - Pathfinding grid resolution in world units (default: 2)
+     * @param {Object} [options.abilities] - Ability definitions by name (default: abilities.ABILITIES)
+     * @param {number} [options.assistWindowMs] - Damage this recent before a kill earns an assist (default: 10000)
+     * @param {string|Object} [options.matchRules] - 'elimination', 'rounds', 'deathmatch', 'firstToKills' or { type, ...options } (see matchRules.js)
+     * @param {Object} [options.logger] - { log(), error() } the engine writes to (default: console; GameEngine.SILENT_LOGGER drops everything)
+     */
+    constructor(roomCode, gameMode, options = {}) {
         this.roomCode = roomCode;
         this.gameMode = gameMode;
-        this.maxPlayers = gameMode === '1v1' ? 2 : 6;
+        this.mode = getGameMode(gameMode);
+        this.maxPlayers = this.mode.maxPlayers;
+        this.map = options.map instanceof GameMap ? options.map : GameMap.get(options.map || GameMap.DEFAULT_MAP_ID);
+        if (!this.map.supportsMode(gameMode)) {
+            throw new Error(`Map ${this.map.id} does not support mode ${gameMode}`);
+        }
+        this.clock = options.clock || systemClock;
+        this.logger = options.logger || console;
+        this.frozenTime = null; // Set while a tick runs so every read in it sees the same time
+        this.spawnSeed = options.spawnSeed || String(roomCode).trim() + ':' + gameMode;
         
         this.players = new Map();
+        this.spectators = new Set();  // socketIds watching the room; never accepted as players
         this.knives = new Map();
         this.gameStarted = false;
+        this.hasBegun = false;  // Stays true once beginGame ran, unlike gameStarted
         this.serverTick = 0;
         this.nextKnifeId = 1;
         
-        // Position history for lag compensation (2 seconds at 60Hz = 120 snapshots)
-        this.positionHistory = new PositionHistory(120);
-        this.lagCompensationEnabled = true;
-        
         this.COLLISION_RADIUS = 11.025;
         this.MAX_HEALTH = 5;
-        this.KNIFE_SPEED = 4.5864;
-        this.KNIFE_COOLDOWN = 4000;
-        this.KNIFE_LIFETIME = 35000;
+        this.abilities = createAbilities(options.abilities);  // knife speed, cooldown and damage live here
+        this.KNIFE_RICOCHETS = Math.max(0, Math.floor(Number(options.knifeRicochets) || 0));
         this.PLAYER_SPEED = 23.4;
-        this.MAP_BOUNDS = { minX: -50, maxX: 50, minZ: -50, maxZ: 50 };
-        
-        ensureEventLoopMonitors();
+        this.PLAYER_RADIUS = this.map.characterRadius;  // Body radius, the clearance isWithinMapBounds keeps from obstacles
+        this.PLAYER_SEPARATION_ITERATIONS = 4;
+        this.PATH_CELL_SIZE = options.pathCellSize || 2;
+        this.pathFinders = new Map();  // team -> PathFinder, built on first move
+        
+        this.eventLoopMonitor = options.monitorEventLoop !== false ? ensureEventLoopMonitors() : null;
+        
+        this.TICK_RATE = options.tickRate || 125;
+        this.NETWORK_UPDATE_RATE = options.networkUpdateRate || 25;
+        
+        this.collisionStrategy = createCollisionStrategy(options.collision);
+        this.broadcastStrategy = createBroadcastStrategy(options.broadcast);
+        this.matchRules = createMatchRules(options.matchRules);
+        this.stats = new MatchStats({ assistWindowMs: options.assistWindowMs });
+        this.roundActive = false;  // false before the first round and between rounds
+        
+        // Lag compensation: the history must cover at least MAX_LAG_COMPENSATION_MS
+        this.MAX_LAG_COMPENSATION_MS = 1000;
+        this.HISTORY_DURATION_MS = 2000;
+        const historyRecordRate = Math.min(options.historyRecordRate || this.TICK_RATE, this.TICK_RATE);
+        this.historyRecordIntervalTicks = Math.max(1, Math.round(this.TICK_RATE / historyRecordRate));
+        const historyBufferSize = Math.ceil((this.HISTORY_DURATION_MS / 1000) * this.TICK_RATE / this.historyRecordIntervalTicks) + 1;
+        this.positionHistory = new PositionHistory(historyBufferSize);
+        this.lagCompensationEnabled = true;
         
-        this.TICK_RATE = 125;
-        this.NETWORK_UPDATE_RATE = 25;
+        // Client hit reports are only trusted after server-side verification
+        this.clientHitReportsEnabled = options.allowClientHitReports !== false;
+        this.HIT_REPORT_KNIFE_GRACE_MS = 500;  // Keep removed knives this long for late reports
+        this.HIT_REPORT_TOLERANCE_MS = 100;    // Knife path slack around the reported time
+        this.recentKnives = new Map();         // knifeId -> { knife, removedAt }
+        this.hitReportRejections = new Map();  // socketId -> { playerId, total, reasons: { reason: count } }
         
         this.tickIntervalNs = BigInt(Math.floor(1_000_000_000 / this.TICK_RATE));
         this.netIntervalNs = BigInt(Math.floor(1_000_000_000 / this.NETWORK_UPDATE_RATE));
@@ -97,7 +162,7 @@ class GameEngine {
         this.broadcastCount = 0;
         this.catchUpTicks = 0;
         this.catchUpClamps = 0;
-        this.lastStatsLog = Date.now();
+        this.lastStatsLog = this.clock.now();
         
         this.wStats = {
             moveNs: 0n,
@@ -116,15 +181,25 @@ class GameEngine {
         };
         
         this.loopRunning = false;
-        this.gameLoopInterval = null;
         
-        console.log(`[GAME-ENGINE] Room ${roomCode} initialized - Mode: ${gameMode}, Tick Rate: ${this.TICK_RATE} Hz, Network Rate: ${this.NETWORK_UPDATE_RATE} Hz`);
+        // Optional callback invoked with { winningTeam } when the match ends
+        this.onGameOver = null;
+        
+        this.emitListeners = [];  // (target, event, data) observers, e.g. SpectatorFeed
+        
+        this.recorder = options.recorder || null;
+        if (this.recorder) {
+            this.recorder.start(this);
+        }
+        
+        this.logger.log(`[GAME-ENGINE] Room ${roomCode} initialized - Mode: ${gameMode}, Tick Rate: ${this.TICK_RATE} Hz, Network Rate: ${this.NETWORK_UPDATE_RATE} Hz, Collision: ${this.collisionStrategy.name}, Broadcast: ${this.broadcastStrategy.name}`);
     }
     
     /**
      * Add a player to the game
      */
     addPlayer(socketId, playerId, team) {
+        this.recordInput('addPlayer', { socketId, playerId, team });
         const normalizedTeam = Number(team);
         this.players.set(socketId, {
             socketId,
@@ -136,53 +211,146 @@ class GameEngine {
             targetX: 0,
             targetZ: 0,
             isMoving: false,
+            waypoints: [],  // Path to the target; the last entry is targetX/targetZ
             isDead: false,
-            lastKnifeTime: 0,
-            lastProcessedSeq: 0
+            isDisconnected: false,
+            cooldowns: {},  // ability -> time it can be used again
+            casting: null,  // { ability, targetX, targetZ, actionId, clientTimestamp, completesAt } during a cast time
+            effects: [],    // Active status effects, in the order they were applied (see applyStatusEffect)
+            pull: null,     // { knifeId, ownerSocketId, speed, endsAt } while a hook drags this player
+            lastProcessedSeq: 0,
+            respawnAt: null,
+            spawnProtectedUntil: 0
         });
         
+        this.stats.get(this.players.get(socketId));
+        
         // Position history is managed globally via recordSnapshot(), not per-player
         
-        console.log(`[GAME-ENGINE] Player ${playerId} (Team ${normalizedTeam}, type=${typeof normalizedTeam}) added to room ${this.roomCode}`);
-        console.log(`[GAME-ENGINE] Room ${this.roomCode} now has ${this.players.size} players`);
+        this.logger.log(`[GAME-ENGINE] Player ${playerId} (Team ${normalizedTeam}, type=${typeof normalizedTeam}) added to room ${this.roomCode}`);
+        this.logger.log(`[GAME-ENGINE] Room ${this.roomCode} now has ${this.players.size} players`);
     }
     
     /**
      * Remove a player from the game
      */
     removePlayer(socketId) {
+        this.recordInput('removePlayer', { socketId });
         const player = this.players.get(socketId);
         if (player) {
-            console.log(`[GAME-ENGINE] Player ${player.playerId} removed from room ${this.roomCode}`);
+            this.logger.log(`[GAME-ENGINE] Player ${player.playerId} removed from room ${this.roomCode}`);
             this.players.delete(socketId);
+            // Someone leaving the lobby never played; only match participants keep stats
+            if (!this.hasBegun) {
+                this.stats.removePlayer(player);
+            }
             // Position history is managed globally, no per-player cleanup needed
         }
     }
     
     /**
-     * Update a player's socket ID when they reconnect
+     * Update a player's socket ID when they reconnect, everywhere the engine
+     * refers to it: knives, hooks, status effect sources and position history
      */
     updatePlayerSocket(oldSocketId, newSocketId) {
+        this.recordInput('updatePlayerSocket', { oldSocketId, newSocketId });
         const player = this.players.get(oldSocketId);
         if (player) {
-            console.log(`[GAME-ENGINE] Updating player ${player.playerId} socket from ${oldSocketId} to ${newSocketId} in room ${this.roomCode}`);
+            this.logger.log(`[GAME-ENGINE] Updating player ${player.playerId} socket from ${oldSocketId} to ${newSocketId} in room ${this.roomCode}`);
             this.players.delete(oldSocketId);
             this.players.set(newSocketId, player);
+            player.socketId = newSocketId;
+            this.positionHistory.renamePlayer(oldSocketId, newSocketId);
+            
+            const recentKnives = Array.from(this.recentKnives.values()).map(entry => entry.knife);
+            for (const knife of [...this.knives.values(), ...recentKnives]) {
+                if (knife.ownerSocketId === oldSocketId) {
+                    knife.ownerSocketId = newSocketId;
+                }
+            }
+            for (const other of this.players.values()) {
+                if (other.pull && other.pull.ownerSocketId === oldSocketId) {
+                    other.pull.ownerSocketId = newSocketId;
+                }
+                for (const effect of other.effects) {
+                    if (effect.sourceSocketId === oldSocketId) {
+                        effect.sourceSocketId = newSocketId;
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Mark a player as disconnected (frozen in place, ignoring commands) or reconnected
+     */
+    setPlayerConnected(socketId, connected) {
+        this.recordInput('setPlayerConnected', { socketId, connected });
+        const player = this.players.get(socketId);
+        if (!player) return;
+        
+        player.isDisconnected = !connected;
+        if (!connected) {
+            player.isMoving = false;
+            player.waypoints = [];
+            player.targetX = player.x;
+            player.targetZ = player.z;
         }
+        this.logger.log(`[GAME-ENGINE] Player ${player.playerId} ${connected ? 'reconnected' : 'disconnected (frozen)'} in room ${this.roomCode}`);
     }
     
     /**
      * Update a player's team assignment
      */
     updatePlayerTeam(socketId, newTeam) {
+        this.recordInput('updatePlayerTeam', { socketId, newTeam });
         const player = this.players.get(socketId);
         if (player) {
             const normalizedTeam = Number(newTeam);
             player.team = normalizedTeam;
-            console.log(`[GAME-ENGINE] Player ${player.playerId} team updated to ${normalizedTeam} (type=${typeof normalizedTeam}) in room ${this.roomCode}`);
+            this.stats.updateTeam(player);
+            this.logger.log(`[GAME-ENGINE] Player ${player.playerId} team updated to ${normalizedTeam} (type=${typeof normalizedTeam}) in room ${this.roomCode}`);
         }
     }
     
+    /**
+     * Register a read-only spectator; spectators are rejected by every command handler
+     */
+    addSpectator(socketId) {
+        this.recordInput('addSpectator', { socketId });
+        this.spectators.add(socketId);
+    }
+    
+    removeSpectator(socketId) {
+        this.recordInput('removeSpectator', { socketId });
+        this.spectators.delete(socketId);
+    }
+    
+    /**
+     * Observe every emitted event as (target, event, data)
+     */
+    addEmitListener(listener) {
+        this.emitListeners.push(listener);
+    }
+    
+    removeEmitListener(listener) {
+        this.emitListeners = this.emitListeners.filter(l => l !== listener);
+    }
+    
+    /**
+     * Place a player at a position and stop its movement (scenarios, tooling)
+     */
+    setPlayerPosition(socketId, x, z) {
+        this.recordInput('setPlayerPosition', { socketId, x, z });
+        const player = this.players.get(socketId);
+        if (!player) return;
+        
+        player.x = player.targetX = x;
+        player.z = player.targetZ = z;
+        player.isMoving = false;
+        player.waypoints = [];
+    }
+    
     /**
      * Seeded RNG functions (same as client-side)
      */
@@ -210,29 +378,23 @@ class GameEngine {
 
     /**
      * Initialize spawn positions for all players based on their teams
-     * Uses seeded RNG to match client-side spawn positions
+     * Uses the seeded RNG; clients take the positions from gameStarted
      */
     initializeSpawnPositions() {
         const spawnPositions = this.generateTeamSpawnPositions();
-        
-        let team1Index = 0;
-        let team2Index = 0;
+        const nextIndex = new Map(); // team -> next unused spawn
         
         for (const [socketId, player] of this.players.entries()) {
             const team = Number(player.team);
+            const teamSpawns = spawnPositions[team] || [];
+            const index = nextIndex.get(team) || 0;
             
-            if (team === 1 && team1Index < spawnPositions.team1.length) {
-                const pos = spawnPositions.team1[team1Index];
-                player.x = pos.x;
-                player.z = pos.z;
-                team1Index++;
-            } else if (team === 2 && team2Index < spawnPositions.team2.length) {
-                const pos = spawnPositions.team2[team2Index];
-                player.x = pos.x;
-                player.z = pos.z;
-                team2Index++;
+            if (index < teamSpawns.length) {
+                player.x = teamSpawns[index].x;
+                player.z = teamSpawns[index].z;
+                nextIndex.set(team, index + 1);
             } else {
-                console.log(`[GAME-ENGINE] WARNING: Player has invalid team ${player.team} or no spawn position available, defaulting to (0, 0)`);
+                this.logger.log(`[GAME-ENGINE] WARNING: Player has invalid team ${player.team} or no spawn position available, defaulting to (0, 0)`);
                 player.x = 0;
                 player.z = 0;
             }
@@ -240,131 +402,223 @@ class GameEngine {
             player.targetX = player.x;
             player.targetZ = player.z;
             
-            console.log(`[GAME-ENGINE] Initialized spawn for Team ${player.team} (type: ${typeof player.team}) at (${player.x}, ${player.z})`);
+            this.logger.log(`[GAME-ENGINE] Initialized spawn for Team ${player.team} (type: ${typeof player.team}) at (${player.x}, ${player.z})`);
         }
     }
 
+    /**
+     * Spawn slots per team from the map's layout for this mode: fixed spawns, or
+     * points drawn from spawnArea with the seeded RNG (team order, x then z per slot)
+     * @returns {Object} team -> [{ x, z, facing }]
+     */
     generateTeamSpawnPositions() {
-        const positions = {
-            team1: [],
-            team2: []
-        };
+        const positions = {};
+        let rng = null;
         
-        if (this.gameMode === '1v1') {
-            const zBounds = { zMin: -32, zMax: 32 };
-            const player1Bounds = { xMin: -42, xMax: -25 };
-            const player2Bounds = { xMin: 25, xMax: 42 };
-            
-            const seed = String(this.roomCode).trim() + ':' + this.gameMode;
-            console.log('[GAME-ENGINE] Using seeded RNG with seed:', seed);
-            const seedFn = this.xmur3(seed);
-            const rng = this.mulberry32(seedFn());
-            
-            const team1X = rng() * (player1Bounds.xMax - player1Bounds.xMin) + player1Bounds.xMin;
-            const team1Z = rng() * (zBounds.zMax - zBounds.zMin) + zBounds.zMin;
-            const team2X = rng() * (player2Bounds.xMax - player2Bounds.xMin) + player2Bounds.xMin;
-            const team2Z = rng() * (zBounds.zMax - zBounds.zMin) + zBounds.zMin;
-            
-            positions.team1.push({ x: team1X, z: team1Z, facing: 1 });
-            positions.team2.push({ x: team2X, z: team2Z, facing: -1 });
-            
-            console.log('[GAME-ENGINE] Generated 1v1 positions - Team1:', { x: team1X.toFixed(2), z: team1Z.toFixed(2) }, 'Team2:', { x: team2X.toFixed(2), z: team2Z.toFixed(2) });
-        } else if (this.gameMode === '3v3') {
-            const team1BaseX = -35;
-            const team2BaseX = 35;
-            const spacing = 15;
-            
-            positions.team1.push(
-                { x: team1BaseX, z: 0, facing: 1 },
-                { x: team1BaseX - 8, z: -spacing, facing: 1 },
-                { x: team1BaseX - 8, z: spacing, facing: 1 }
-            );
-            
-            positions.team2.push(
-                { x: team2BaseX, z: 0, facing: -1 },
-                { x: team2BaseX + 8, z: -spacing, facing: -1 },
-                { x: team2BaseX + 8, z: spacing, facing: -1 }
-            );
+        for (const team of this.mode.teamNumbers) {
+            const layout = this.map.getTeamLayout(this.gameMode, team);
+            positions[team] = [];
+            if (!layout) continue;
             
-            console.log('[GAME-ENGINE] Generated 3v3 positions - Team1:', positions.team1.map(p => `(${p.x}, ${p.z})`), 'Team2:', positions.team2.map(p => `(${p.x}, ${p.z})`));
-        } else {
-            positions.team1.push({ x: -30, z: 0, facing: 1 });
-            positions.team2.push({ x: 30, z: 0, facing: -1 });
+            for (let slot = 0; slot < this.mode.playersPerTeam; slot++) {
+                if (layout.spawns) {
+                    const point = layout.spawns[slot];
+                    if (point) {
+                        positions[team].push({ x: point[0], z: point[1], facing: layout.facing });
+                    }
+                    continue;
+                }
+                
+                if (!rng) {
+                    this.logger.log('[GAME-ENGINE] Using seeded RNG with seed:', this.spawnSeed);
+                    const seedFn = this.xmur3(this.spawnSeed);
+                    rng = this.mulberry32(seedFn());
+                }
+                
+                const area = layout.spawnArea;
+                const x = rng() * (area.maxX - area.minX) + area.minX;
+                const z = rng() * (area.maxZ - area.minZ) + area.minZ;
+                positions[team].push({ x, z, facing: layout.facing });
+            }
         }
         
+        this.logger.log(`[GAME-ENGINE] Generated ${this.gameMode} positions on ${this.map.id} -`, this.mode.teamNumbers.map(team =>
+            `Team${team}: ${positions[team].map(p => `(${p.x.toFixed(2)}, ${p.z.toFixed(2)})`).join(' ')}`).join(', '));
+        
         return positions;
     }
     
     /**
-     * Start the game loop - uses precise hrtime-based loop for 1v1, setInterval for others
+     * Start the precise hrtime-based game loop (every mode)
      */
     startGameLoop(io) {
-        if (this.loopRunning || this.gameLoopInterval) {
-            console.log(`[GAME-ENGINE] Game loop already running for room ${this.roomCode}`);
+        if (this.loopRunning) {
+            this.logger.log(`[GAME-ENGINE] Game loop already running for room ${this.roomCode}`);
             return;
         }
         
-        this.initializeSpawnPositions();
-        this.broadcastGameState(io);
-        this.gameStarted = true;
+        this.beginGame(io);
         
-        const now = process.hrtime.bigint();
+        const now = this.clock.hrtime();
         this.nextTickNs = now;
         this.nextNetNs = now;
         this.loopRunning = true;
-        console.log(`[GAME-ENGINE] Starting HIGH-PERFORMANCE game loop for room ${this.roomCode} (${this.gameMode}) - Physics: ${this.TICK_RATE} Hz, Network: ${this.NETWORK_UPDATE_RATE} Hz`);
+        this.logger.log(`[GAME-ENGINE] Starting HIGH-PERFORMANCE game loop for room ${this.roomCode} (${this.gameMode}) - Physics: ${this.TICK_RATE} Hz, Network: ${this.NETWORK_UPDATE_RATE} Hz`);
         this.runPreciseLoop(io);
     }
     
+    /**
+     * Place players on their spawns and mark the game as started, without
+     * starting the real-time loop (startGameLoop() and headless step() both use this)
+     */
+    beginGame(io) {
+        this.withFrozenTime(() => {
+            this.recordInput('beginGame', {});
+            this.initializeSpawnPositions();
+            // Build path grids now rather than on the first move inside a tick
+            for (const player of this.players.values()) {
+                this.getPathFinder(player.team);
+            }
+            this.broadcastGameState(io);
+            this.gameStarted = true;
+            this.hasBegun = true;
+            this.matchRules.start(this, io);
+        });
+    }
+    
+    /**
+     * Reset every player and clear all knives for a new round
+     */
+    resetRound(io) {
+        for (const knifeId of Array.from(this.knives.keys())) {
+            this.knives.delete(knifeId);
+            this.emitTo(io, this.roomCode, 'serverKnifeDestroy', {
+                knifeId,
+                reason: 'roundReset',
+                serverTick: this.serverTick
+            });
+        }
+        this.recentKnives.clear();
+        
+        for (const player of this.players.values()) {
+            player.health = this.MAX_HEALTH;
+            player.isDead = false;
+            player.isMoving = false;
+            player.waypoints = [];
+            player.cooldowns = {};
+            player.casting = null;
+            player.effects = [];
+            this.endPull(player, 'roundReset', io);
+            player.respawnAt = null;
+            player.spawnProtectedUntil = 0;
+        }
+        
+        this.initializeSpawnPositions();
+        this.broadcastGameState(io);
+        this.logger.log(`[GAME-ENGINE] Round reset in room ${this.roomCode}`);
+    }
+    
+    /**
+     * Bring a dead player back at its team spawn, protected from knives for protectionMs
+     */
+    respawnPlayer(player, protectionMs, io) {
+        const spawn = this.getSpawnPosition(player);
+        player.health = this.MAX_HEALTH;
+        player.isDead = false;
+        player.respawnAt = null;
+        player.x = player.targetX = spawn.x;
+        player.z = player.targetZ = spawn.z;
+        player.isMoving = false;
+        player.waypoints = [];
+        player.casting = null;
+        player.effects = [];
+        this.endPull(player, 'respawned', io);
+        player.spawnProtectedUntil = this.now() + protectionMs;
+        
+        this.logger.log(`[GAME-ENGINE] Player ${player.playerId} respawned at (${spawn.x.toFixed(2)}, ${spawn.z.toFixed(2)}) in room ${this.roomCode}`);
+        
+        this.emitTo(io, this.roomCode, 'serverPlayerRespawn', {
+            playerId: player.playerId,
+            team: Number(player.team),
+            x: player.x,
+            z: player.z,
+            health: player.health,
+            spawnProtectedUntil: player.spawnProtectedUntil,
+            serverTick: this.serverTick,
+            serverTime: this.now()
+        });
+    }
+    
+    /**
+     * The spawn initializeSpawnPositions() gives this player (its index among teammates)
+     */
+    getSpawnPosition(player) {
+        const teamSpawns = this.generateTeamSpawnPositions()[Number(player.team)] || [];
+        
+        let index = 0;
+        for (const other of this.players.values()) {
+            if (other === player) break;
+            if (Number(other.team) === Number(player.team)) index++;
+        }
+        return teamSpawns[index] || { x: 0, z: 0 };
+    }
+    
+    isSpawnProtected(player) {
+        return player.spawnProtectedUntil > this.now();
+    }
+    
     /**
      * Stop the game loop
      */
     stopGameLoop() {
         this.loopRunning = false;
-        if (this.gameLoopInterval) {
-            clearInterval(this.gameLoopInterval);
-            this.gameLoopInterval = null;
-        }
         this.gameStarted = false;
-        console.log(`[GAME-ENGINE] Game loop stopped for room ${this.roomCode}`);
+        this.logger.log(`[GAME-ENGINE] Game loop stopped for room ${this.roomCode}`);
+    }
+    
+    /**
+     * Close the replay recording, if any
+     */
+    finishRecording(reason) {
+        if (this.recorder) {
+            this.recorder.finish(this.now(), reason);
+            this.recorder = null;
+        }
+    }
+    
+    /**
+     * Stop the loop and release all room state (called when the room closes)
+     */
+    dispose() {
+        this.stopGameLoop();
+        this.finishRecording('closed');
+        this.players.clear();
+        this.spectators.clear();
+        this.emitListeners = [];
+        this.knives.clear();
+        this.recentKnives.clear();
+        this.positionHistory.clear();
+        this.onGameOver = null;
+        this.logger.log(`[GAME-ENGINE] Room ${this.roomCode} disposed`);
     }
     
     /**
-     * Precise game loop for high-performance mode (1v1)
+     * Precise game loop
      * Uses hrtime for nanosecond precision, separate schedulers for physics and network
      */
     runPreciseLoop(io) {
         if (!this.loopRunning) return;
         
         try {
-            const now = process.hrtime.bigint();
+            const now = this.clock.hrtime();
             const maxCatchUpTicks = 8;
             
             let tickLoops = 0;
-            while (now >= this.nextTickNs && tickLoops < maxCatchUpTicks) {
-                const fixedDt = 1 / this.TICK_RATE;
-                this.serverTick++;
-                this.wStats.tickCount++;
-                
-                const t0 = process.hrtime.bigint();
-                this.updatePlayerMovement(fixedDt);
-                const t1 = process.hrtime.bigint();
-                this.updateKnives(fixedDt, io);
-                const t2 = process.hrtime.bigint();
-                this.checkKnifeCollisions(io);
-                const t3 = process.hrtime.bigint();
-                this.checkGameOver(io);
-            
-            this.wStats.moveNs += (t1 - t0);
-            this.wStats.knivesNs += (t2 - t1);
-            this.wStats.collisionsNs += (t3 - t2);
-            
-            this.wStats.players = this.players.size;
-            this.wStats.knives = this.knives.size;
-            
-            this.nextTickNs += this.tickIntervalNs;
-            tickLoops++;
-        }
+            while (now >= this.nextTickNs && tickLoops < maxCatchUpTicks && this.loopRunning) {
+                this.runTick(io);
+                this.nextTickNs += this.tickIntervalNs;
+                tickLoops++;
+            }
         
         if (tickLoops > 0) {
             this.catchUpTicks += tickLoops;
@@ -379,9 +633,9 @@ class GameEngine {
         
         let netLoops = 0;
         while (now >= this.nextNetNs) {
-            const b0 = process.hrtime.bigint();
-            this.broadcastGameState(io);
-            const b1 = process.hrtime.bigint();
+            const b0 = this.clock.hrtime();
+            this.broadcastScheduledState(io);
+            const b1 = this.clock.hrtime();
             this.wStats.broadcastNs += (b1 - b0);
             this.wStats.broadcastCount++;
             
@@ -397,7 +651,7 @@ class GameEngine {
             netLoops++;
         }
         
-        const nowMs = Date.now();
+        const nowMs = this.clock.now();
         if (nowMs - this.lastStatsLog >= 5000) {
             const denom = 5;
             const ticksPerSec = this.wStats.tickCount / denom;
@@ -411,7 +665,8 @@ class GameEngine {
             const testsPerSec = Math.round(this.wStats.collisionTests / denom);
             const approxBytesPerSec = Math.round((this.wStats.bytesSent * 10) / denom);
             
-            const el = global.__EL_MON__.latest;
+            const el = this.eventLoopMonitor ? this.eventLoopMonitor.latest : { p50: 0, p95: 0, p99: 0, elu: 0 };
+            const history = this.positionHistory.getStats();
             
             const overloadNow = (el.p95 > 8) || (el.elu > 0.90);
             const recoverNow = (el.p95 < 6) && (el.elu < 0.70);
@@ -425,8 +680,8 @@ class GameEngine {
                         this.netCurrentRate = 30;
                         this.NETWORK_UPDATE_RATE = 30;
                         this.netIntervalNs = BigInt(Math.floor(1e9 / 30));
-                        this.nextNetNs = process.hrtime.bigint() + this.netIntervalNs;
-                        console.log(`[GAME-ENGINE] Room ${this.roomCode} AUTO-DEGRADE: network -> 30 Hz (EL p95=${el.p95.toFixed(2)}ms, ELU=${(el.elu*100).toFixed(1)}%)`);
+                        this.nextNetNs = this.clock.hrtime() + this.netIntervalNs;
+                        this.logger.log(`[GAME-ENGINE] Room ${this.roomCode} AUTO-DEGRADE: network -> 30 Hz (EL p95=${el.p95.toFixed(2)}ms, ELU=${(el.elu*100).toFixed(1)}%)`);
                     }
                 }
             } else if (recoverNow) {
@@ -438,8 +693,8 @@ class GameEngine {
                         this.netCurrentRate = 60;
                         this.NETWORK_UPDATE_RATE = 60;
                         this.netIntervalNs = BigInt(Math.floor(1e9 / 60));
-                        this.nextNetNs = process.hrtime.bigint() + this.netIntervalNs;
-                        console.log(`[GAME-ENGINE] Room ${this.roomCode} RECOVER: network -> 60 Hz (EL p95=${el.p95.toFixed(2)}ms, ELU=${(el.elu*100).toFixed(1)}%)`);
+                        this.nextNetNs = this.clock.hrtime() + this.netIntervalNs;
+                        this.logger.log(`[GAME-ENGINE] Room ${this.roomCode} RECOVER: network -> 60 Hz (EL p95=${el.p95.toFixed(2)}ms, ELU=${(el.elu*100).toFixed(1)}%)`);
                     }
                 }
             } else {
@@ -447,14 +702,15 @@ class GameEngine {
                 this.recoverConsec = 0;
             }
             
-            console.log(
+            this.logger.log(
                 `[GAME-ENGINE] Room ${this.roomCode} - ` +
                 `Ticks/sec: ${ticksPerSec.toFixed(1)}, Broadcasts/sec: ${broadcastsPerSec.toFixed(1)}, ` +
                 `AvgCatchUp: ${avgCatchUp.toFixed(2)}, Clamps: ${this.wStats.clamps} | ` +
                 `EL p95: ${el.p95.toFixed(2)}ms, ELU: ${(el.elu*100).toFixed(1)}% | ` +
                 `PhaseUs (move/knives/colls/bcast): ${moveUs.toFixed(2)}/${knivesUs.toFixed(2)}/${collUs.toFixed(2)}/${bcastUs.toFixed(2)} | ` +
                 `P: ${this.wStats.players}, K: ${this.wStats.knives}, CollTests/sec: ${testsPerSec}, ` +
-                `NetRate: ${this.NETWORK_UPDATE_RATE}Hz, NetBytes/sec: ~${approxBytesPerSec}`
+                `NetRate: ${this.NETWORK_UPDATE_RATE}Hz, NetBytes/sec: ~${approxBytesPerSec} | ` +
+                `History: ${history.timeRangeMs}ms/${this.MAX_LAG_COMPENSATION_MS}ms (${history.count}/${history.bufferSize})`
             );
             
             this.wStats.moveNs = this.wStats.knivesNs = this.wStats.collisionsNs = this.wStats.broadcastNs = 0n;
@@ -469,7 +725,7 @@ class GameEngine {
         }
         
             const nextNs = this.nextTickNs < this.nextNetNs ? this.nextTickNs : this.nextNetNs;
-            const remainingNs = nextNs - process.hrtime.bigint();
+            const remainingNs = nextNs - this.clock.hrtime();
             
             if (remainingNs > 1_000_000n) {
                 const delayMs = Number(remainingNs / 1_000_000n);
@@ -478,7 +734,7 @@ class GameEngine {
                 setImmediate(() => this.runPreciseLoop(io));
             }
         } catch (err) {
-            console.error(`[ERROR] runPreciseLoop error in room ${this.roomCode}:`, err);
+            this.logger.error(`[ERROR] runPreciseLoop error in room ${this.roomCode}:`, err);
             if (this.loopRunning) {
                 setTimeout(() => setImmediate(() => this.runPreciseLoop(io)), 100);
             }
@@ -486,109 +742,390 @@ class GameEngine {
     }
     
     /**
-     * Standard game tick for non-1v1 modes - runs at 60 Hz with accumulator for network
+     * Current time; constant for the duration of a tick
+     */
+    now() {
+        return this.frozenTime !== null ? this.frozenTime : this.clock.now();
+    }
+    
+    /**
+     * Run fn with now() fixed to the current clock time (no-op when already frozen)
      */
-    tickStandard(io) {
+    withFrozenTime(fn) {
+        if (this.frozenTime !== null) {
+            return fn();
+        }
+        
+        this.frozenTime = this.clock.now();
         try {
-            const fixedDt = 1 / this.TICK_RATE;
-            
-            this.serverTick++;
-            this.tickCount++;
-            
-            this.updatePlayerMovement(fixedDt);
-            this.updateKnives(fixedDt, io);
-            this.checkKnifeCollisions(io);
-            
-            // Record position history snapshot for lag compensation
-            if (this.lagCompensationEnabled) {
-                this.positionHistory.recordSnapshot(this.players);
-            }
-            
-            const now = Date.now();
-            const shouldBroadcast = (this.serverTick % Math.floor(this.TICK_RATE / this.NETWORK_UPDATE_RATE)) === 0;
-            if (shouldBroadcast) {
-                this.broadcastGameState(io);
-                this.broadcastCount++;
+            return fn();
+        } finally {
+            this.frozenTime = null;
+        }
+    }
+    
+    /**
+     * Emit to a room or socket, capturing the event when recording
+     */
+    emitTo(io, target, event, data) {
+        if (this.recorder) {
+            this.recorder.recordEvent(this.now(), target, event, data);
+        }
+        for (const listener of this.emitListeners) {
+            listener(target, event, data);
+        }
+        io.to(target).emit(event, data);
+    }
+    
+    /**
+     * Record a state-changing call so a replay can re-run it (see matchReplay.js)
+     */
+    recordInput(method, args) {
+        if (this.recorder) {
+            this.recorder.recordInput(this.now(), method, args);
+        }
+    }
+    
+    /**
+     * A serverGameState broadcast chosen by the loop schedule; recorded so a
+     * replay broadcasts at the same moments
+     */
+    broadcastScheduledState(io) {
+        this.withFrozenTime(() => {
+            if (this.recorder) {
+                this.recorder.recordBroadcast(this.now());
             }
-            
-            if (now - this.lastStatsLog >= 5000) {
-                console.log(`[GAME-ENGINE] Room ${this.roomCode} - Ticks/sec: ${this.tickCount / 5}, Broadcasts/sec: ${this.broadcastCount / 5}`);
-                this.tickCount = 0;
-                this.broadcastCount = 0;
-                this.lastStatsLog = now;
+            this.broadcastGameState(io);
+        });
+    }
+    
+    /**
+     * Advance the simulation by one fixed physics tick (movement, knives,
+     * collisions, position history, game over). Used by the precise loop and step().
+     */
+    runTick(io) {
+        this.withFrozenTime(() => {
+            if (this.recorder) {
+                this.recorder.recordTick(this.now());
             }
-            
-            this.checkGameOver(io);
-        } catch (err) {
-            console.error(`[ERROR] tickStandard error in room ${this.roomCode}:`, err);
+            this.simulateTick(io);
+        });
+    }
+    
+    /**
+     * Tick body; always entered through runTick() so time is frozen and recorded
+     */
+    simulateTick(io) {
+        const fixedDt = 1 / this.TICK_RATE;
+        this.serverTick++;
+        this.wStats.tickCount++;
+        
+        const t0 = this.clock.hrtime();
+        this.updateStatusEffects(io);
+        this.updateAbilityCasts(io);
+        this.updatePulls(fixedDt, io);
+        this.updatePlayerMovement(fixedDt);
+        const t1 = this.clock.hrtime();
+        this.updateKnives(fixedDt, io);
+        const t2 = this.clock.hrtime();
+        this.checkKnifeCollisions(io);
+        const t3 = this.clock.hrtime();
+        
+        // Record position history snapshot for lag compensation
+        if (this.lagCompensationEnabled && this.serverTick % this.historyRecordIntervalTicks === 0) {
+            this.positionHistory.recordSnapshot(this.players, this.now());
+        }
+        
+        this.checkGameOver(io);
+        
+        this.wStats.moveNs += (t1 - t0);
+        this.wStats.knivesNs += (t2 - t1);
+        this.wStats.collisionsNs += (t3 - t2);
+        
+        this.wStats.players = this.players.size;
+        this.wStats.knives = this.knives.size;
+    }
+    
+    /**
+     * Headless stepping: one physics tick plus a serverGameState broadcast on
+     * every network-rate boundary. The caller owns the clock (see clock.ManualClock)
+     * and must call beginGame() first; the real-time loop is never started.
+     * @returns {boolean} false once the game is over
+     */
+    step(io) {
+        if (!this.gameStarted) return false;
+        
+        this.runTick(io);
+        
+        const ticksPerBroadcast = Math.max(1, Math.round(this.TICK_RATE / this.NETWORK_UPDATE_RATE));
+        if (this.gameStarted && this.serverTick % ticksPerBroadcast === 0) {
+            this.broadcastScheduledState(io);
+            this.broadcastCount++;
         }
+        
+        return this.gameStarted;
     }
     
     /**
      * Handle knife throw request from client with lag compensation
+     * (the 'knife' ability; kept as its own command and replay input)
      */
     handleKnifeThrow(socketId, targetX, targetZ, actionId, io, clientTimestamp) {
+        return this.withFrozenTime(() => {
+            this.recordInput('handleKnifeThrow', { socketId, targetX, targetZ, actionId, clientTimestamp });
+            return this.processUseAbility(socketId, 'knife', targetX, targetZ, actionId, io, clientTimestamp);
+        });
+    }
+    
+    /**
+     * Handle a useAbility command
+     */
+    handleUseAbility(socketId, ability, targetX, targetZ, actionId, io, clientTimestamp) {
+        return this.withFrozenTime(() => {
+            this.recordInput('handleUseAbility', { socketId, ability, targetX, targetZ, actionId, clientTimestamp });
+            return this.processUseAbility(socketId, ability, targetX, targetZ, actionId, io, clientTimestamp);
+        });
+    }
+    
+    hasAbility(name) {
+        return Object.prototype.hasOwnProperty.call(this.abilities, name);
+    }
+    
+    /**
+     * Start an ability: checks, then either its effect right away or a cast
+     * that updateAbilityCasts() completes after castTimeMs
+     * @returns {Object|null} the knife for projectiles, the cast while casting, null when rejected
+     */
+    processUseAbility(socketId, name, targetX, targetZ, actionId, io, clientTimestamp) {
+        if (this.spectators.has(socketId)) {
+            this.logger.log(`[GAME-ENGINE] Spectator cannot use ${name}: ${socketId}`);
+            return null;
+        }
+        
         const player = this.players.get(socketId);
         if (!player) {
-            console.log(`[GAME-ENGINE] Invalid player socket: ${socketId}`);
+            this.logger.log(`[GAME-ENGINE] Invalid player socket: ${socketId}`);
+            return null;
+        }
+        
+        if (!this.hasAbility(name)) {
+            this.logger.log(`[GAME-ENGINE] Unknown ability ${name} from ${player.playerId}`);
             return null;
         }
+        const ability = this.abilities[name];
         
         if (player.isDead) {
-            console.log(`[GAME-ENGINE] Dead player cannot throw knife: ${player.playerId}`);
+            this.logger.log(`[GAME-ENGINE] Dead player cannot use ${name}: ${player.playerId}`);
             return null;
         }
         
-        const now = Date.now();
-        if (now - player.lastKnifeTime < this.KNIFE_COOLDOWN) {
-            console.log(`[GAME-ENGINE] Player ${player.playerId} knife on cooldown`);
+        if (player.isDisconnected) {
+            this.logger.log(`[GAME-ENGINE] Disconnected player cannot use ${name}: ${player.playerId}`);
             return null;
         }
         
-        const knifeId = `${this.roomCode}-${this.nextKnifeId++}`;
+        if (!this.roundActive) {
+            this.logger.log(`[GAME-ENGINE] ${name} between rounds ignored: ${player.playerId}`);
+            return null;
+        }
+        
+        const now = this.now();
+        if (now < (player.cooldowns[name] || 0)) {
+            this.logger.log(`[GAME-ENGINE] Player ${player.playerId} ${name} on cooldown`);
+            return null;
+        }
+        
+        if (player.casting) {
+            this.logger.log(`[GAME-ENGINE] Player ${player.playerId} is already casting ${player.casting.ability}`);
+            return null;
+        }
+        
+        if (this.hasStatusEffect(player, 'stun') || (ability.kind === 'dash' && this.hasStatusEffect(player, 'root'))) {
+            this.logger.log(`[GAME-ENGINE] Player ${player.playerId} cannot use ${name} while ${this.hasStatusEffect(player, 'stun') ? 'stunned' : 'rooted'}`);
+            return null;
+        }
+        
+        if ((ability.kind === 'projectile' || ability.kind === 'dash') && !this.getAimDirection(player, targetX, targetZ)) {
+            this.logger.log(`[GAME-ENGINE] Invalid ${name} direction for player ${player.playerId}`);
+            return null;
+        }
+        
+        const cast = { ability: name, targetX, targetZ, actionId, clientTimestamp, completesAt: now + ability.castTimeMs };
+        if (ability.castTimeMs === 0) {
+            return this.executeAbility(player, cast, io);
+        }
+        
+        // Casting roots the player in place; a move command cancels the cast
+        player.casting = cast;
+        player.isMoving = false;
+        player.waypoints = [];
+        player.targetX = player.x;
+        player.targetZ = player.z;
+        
+        this.emitTo(io, this.roomCode, 'serverAbilityCast', {
+            playerId: player.playerId,
+            team: Number(player.team),
+            ability: name,
+            targetX,
+            targetZ,
+            castTimeMs: ability.castTimeMs,
+            actionId,
+            serverTick: this.serverTick,
+            serverTime: now
+        });
+        return cast;
+    }
+    
+    /**
+     * Complete casts whose cast time has passed (once per tick)
+     */
+    updateAbilityCasts(io) {
+        const now = this.now();
+        for (const player of this.players.values()) {
+            if (!player.casting) continue;
+            
+            if (player.isDead || player.isDisconnected) {
+                this.cancelCast(player, player.isDead ? 'died' : 'disconnected', io);
+            } else if (now >= player.casting.completesAt) {
+                const cast = player.casting;
+                player.casting = null;
+                this.executeAbility(player, cast, io);
+            }
+        }
+    }
+    
+    cancelCast(player, reason, io) {
+        if (!player.casting) return;
+        
+        const { ability, actionId } = player.casting;
+        player.casting = null;
+        this.emitTo(io, this.roomCode, 'serverAbilityCancel', {
+            playerId: player.playerId,
+            team: Number(player.team),
+            ability,
+            reason,
+            actionId,
+            serverTick: this.serverTick
+        });
+    }
+    
+    /**
+     * Unit vector from the player towards a target, or null when the target is the player's position
+     */
+    getAimDirection(player, targetX, targetZ) {
         const directionX = targetX - player.x;
         const directionZ = targetZ - player.z;
         const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
-        
-        if (length === 0) {
-            console.log(`[GAME-ENGINE] Invalid knife direction for player ${player.playerId}`);
+        return length === 0 ? null : { x: directionX / length, z: directionZ / length, length };
+    }
+    
+    /**
+     * Apply an ability's effect, start its cooldown and announce it (serverAbilityUsed,
+     * followed by the effect's own events)
+     */
+    executeAbility(player, cast, io) {
+        const name = cast.ability;
+        const ability = this.abilities[name];
+        const now = this.now();
+        
+        const direction = this.getAimDirection(player, cast.targetX, cast.targetZ);
+        if ((ability.kind === 'projectile' || ability.kind === 'dash') && !direction) {
+            this.emitTo(io, this.roomCode, 'serverAbilityCancel', {
+                playerId: player.playerId,
+                team: Number(player.team),
+                ability: name,
+                reason: 'invalidTarget',
+                actionId: cast.actionId,
+                serverTick: this.serverTick
+            });
             return null;
         }
         
-        const normalizedDirX = directionX / length;
-        const normalizedDirZ = directionZ / length;
+        player.cooldowns[name] = now + ability.cooldownMs;
+        if (ability.damage > 0) {
+            player.spawnProtectedUntil = 0;  // Attacking ends spawn protection
+        }
         
-        let nearestEnemy = null;
-        let minDist = Infinity;
-        for (const [sid, p] of this.players.entries()) {
-            if (p.team !== player.team && !p.isDead) {
-                const dist = Math.sqrt((p.x - player.x) ** 2 + (p.z - player.z) ** 2);
-                if (dist < minDist) {
-                    minDist = dist;
-                    nearestEnemy = p;
-                }
+        let centerX = cast.targetX;
+        let centerZ = cast.targetZ;
+        if (ability.kind === 'dash') {
+            this.endPull(player, 'escaped', io);
+            this.dashPlayer(player, direction, ability.distance);
+        } else if (ability.kind === 'area') {
+            // Centers beyond range are pulled in to the edge of the range
+            const offsetX = cast.targetX - player.x;
+            const offsetZ = cast.targetZ - player.z;
+            const offset = Math.sqrt(offsetX * offsetX + offsetZ * offsetZ);
+            if (offset > ability.range) {
+                centerX = player.x + offsetX / offset * ability.range;
+                centerZ = player.z + offsetZ / offset * ability.range;
             }
         }
         
-        if (nearestEnemy) {
-            const enemyDirX = nearestEnemy.x - player.x;
-            const enemyDirZ = nearestEnemy.z - player.z;
-            const enemyLength = Math.sqrt(enemyDirX * enemyDirX + enemyDirZ * enemyDirZ);
-            const enemyNormX = enemyDirX / enemyLength;
-            const enemyNormZ = enemyDirZ / enemyLength;
-            const dot = normalizedDirX * enemyNormX + normalizedDirZ * enemyNormZ;
-            console.log(`[SERVER THROW] player: {x: ${player.x.toFixed(2)}, z: ${player.z.toFixed(2)}}, target: {x: ${targetX.toFixed(2)}, z: ${targetZ.toFixed(2)}}, dir: {x: ${normalizedDirX.toFixed(3)}, z: ${normalizedDirZ.toFixed(3)}}`);
-            console.log(`[SERVER ENEMY] enemy: {x: ${nearestEnemy.x.toFixed(2)}, z: ${nearestEnemy.z.toFixed(2)}}, enemyDir: {x: ${enemyNormX.toFixed(3)}, z: ${enemyNormZ.toFixed(3)}}, dot: ${dot.toFixed(3)} ${dot < 0 ? '❌ AIMING AWAY!' : '✅ AIMING TOWARD'}`);
+        this.emitTo(io, this.roomCode, 'serverAbilityUsed', {
+            playerId: player.playerId,
+            team: Number(player.team),
+            ability: name,
+            kind: ability.kind,
+            x: player.x,
+            z: player.z,
+            targetX: centerX,
+            targetZ: centerZ,
+            readyAt: player.cooldowns[name],
+            actionId: cast.actionId,
+            serverTick: this.serverTick,
+            serverTime: now
+        });
+        
+        switch (ability.kind) {
+            case 'projectile':
+                return this.spawnProjectile(player, name, ability, direction, cast, io);
+            case 'area':
+                this.applyAreaDamage(player, name, ability, centerX, centerZ, io);
+                return cast;
+            case 'self':
+                if (ability.heal > 0) {
+                    this.applyHeal(player, ability.heal, io);
+                }
+                for (const effect of ability.effects) {
+                    this.applyStatusEffect(player, effect, player, io);
+                }
+                return cast;
+            default:
+                return cast;
         }
+    }
+    
+    /**
+     * Throw a projectile ability (the knife) into the knife pipeline
+     */
+    spawnProjectile(player, name, ability, direction, cast, io) {
+        const now = this.now();
+        const { targetX, targetZ, actionId, clientTimestamp } = cast;
+        const socketId = player.socketId;
+        const knifeId = `${this.roomCode}-${this.nextKnifeId++}`;
         
         const knife = {
             knifeId,
+            ability: name,
+            damage: ability.damage,
+            effects: ability.effects,  // Applied to the player it hits
+            pull: ability.pull || null,
+            lifetimeMs: ability.lifetimeMs,
             ownerSocketId: socketId,
             ownerTeam: player.team,
             x: player.x,
             z: player.z,
-            velocityX: normalizedDirX * this.KNIFE_SPEED,
-            velocityZ: normalizedDirZ * this.KNIFE_SPEED,
+            spawnX: player.x,
+            spawnZ: player.z,
+            launchX: player.x,     // Start of the current straight segment (moves on ricochet)
+            launchZ: player.z,
+            launchTime: now,
+            ricochetsLeft: this.KNIFE_RICOCHETS,
+            lastWallKey: null,
+            stoppedAtWall: false,
+            velocityX: direction.x * ability.speed,
+            velocityZ: direction.z * ability.speed,
             spawnTime: now,
             actionId,
             hasHit: false,
@@ -596,12 +1133,15 @@ class GameEngine {
         };
         
         this.knives.set(knifeId, knife);
-        player.lastKnifeTime = now;
+        if (name === 'knife') {
+            this.stats.recordThrow(player);
+        }
         
-        console.log(`[GAME-ENGINE] 🔪 Team ${player.team} (type=${typeof player.team}) threw knife ${knifeId} towards (${targetX.toFixed(2)}, ${targetZ.toFixed(2)})`);
+        this.logger.log(`[GAME-ENGINE] 🔪 Team ${player.team} (type=${typeof player.team}) threw ${name} ${knifeId} towards (${targetX.toFixed(2)}, ${targetZ.toFixed(2)})`);
         
-        io.to(this.roomCode).emit('serverKnifeSpawn', {
+        this.emitTo(io, this.roomCode, 'serverKnifeSpawn', {
             knifeId,
+            ability: name,
             ownerTeam: Number(player.team),
             x: knife.x,
             z: knife.z,
@@ -616,70 +1156,163 @@ class GameEngine {
     }
     
     /**
-     * Check if position is within map bounds (matches AI mode logic)
-     * Includes center barrier to prevent teams from crossing into opponent territory
+     * Move a player up to `distance` along a direction, stopping before the first spot it may not stand on
      */
-    isWithinMapBounds(x, z, playerTeam) {
-        const characterRadius = 6;
-        
-        if (Math.abs(x) < 18) {
-            return false;
-        }
-        
-        if (playerTeam === 1 && x > -18) {
-            return false;
-        }
-        if (playerTeam === 2 && x < 18) {
-            return false;
+    dashPlayer(player, direction, distance) {
+        const step = 0.5;
+        let travelled = 0;
+        while (travelled + step <= distance) {
+            const x = player.x + direction.x * step;
+            const z = player.z + direction.z * step;
+            if (!this.canStandAt(player, x, z)) break;
+            player.x = x;
+            player.z = z;
+            travelled += step;
         }
+        this.stats.recordMovement(player, travelled);
         
-        if (Math.abs(x) > 80 - characterRadius || Math.abs(z) > 68) {
-            return false;
+        player.isMoving = false;
+        player.waypoints = [];
+        player.targetX = player.x;
+        player.targetZ = player.z;
+    }
+    
+    /**
+     * Damage every living, unprotected enemy whose center is within the ability's radius
+     */
+    applyAreaDamage(caster, name, ability, centerX, centerZ, io) {
+        for (const target of this.players.values()) {
+            if (target.team === caster.team || target.isDead || this.isSpawnProtected(target)) continue;
+            if (Math.hypot(target.x - centerX, target.z - centerZ) > ability.radius) continue;
+            
+            if (ability.damage > 0 && this.applyDamage(target, ability.damage, caster, io)) {
+                this.handleKill(target, caster, name, io);
+                continue;
+            }
+            for (const effect of ability.effects) {
+                this.applyStatusEffect(target, effect, caster, io);
+            }
         }
-        
-        const cornerDistance = Math.abs(x) + Math.abs(z);
-        if (cornerDistance > 120) {
-            return false;
+    }
+    
+    /**
+     * Check if position is within map bounds: walkable on the loaded map, clear
+     * of obstacles and inside the team's movement zone (for two-team modes on
+     * the arena, its side of the center barrier)
+     */
+    isWithinMapBounds(x, z, playerTeam) {
+        return this.map.isWalkable(x, z) && this.map.isInTeamZone(this.gameMode, Number(playerTeam), x, z);
+    }
+
+    /**
+     * Where a player may be put: its team's area (isWithinMapBounds), or any
+     * walkable spot while a hook has left it outside that area
+     */
+    canStandAt(player, x, z) {
+        if (this.isWithinMapBounds(x, z, player.team)) return true;
+        return this.map.isWalkable(x, z) && !this.isWithinMapBounds(player.x, player.z, player.team);
+    }
+
+    /**
+     * Path finder over the area a team may walk (same test as isWithinMapBounds),
+     * or over the whole walkable map for team null
+     */
+    getPathFinder(team) {
+        const key = team === null ? 'map' : Number(team);
+        if (!this.pathFinders.has(key)) {
+            this.pathFinders.set(key, new PathFinder({
+                isWalkable: team === null ? (x, z) => this.map.isWalkable(x, z) : (x, z) => this.isWithinMapBounds(x, z, key),
+                area: this.map.walkable,
+                cellSize: this.PATH_CELL_SIZE
+            }));
         }
-        
-        return true;
+        return this.pathFinders.get(key);
+    }
+
+    /**
+     * Route a player a hook dragged out of its team's area back into it: across
+     * the whole walkable map to the point of the team's area closest to the target
+     */
+    findPathHome(player, targetX, targetZ) {
+        const home = this.getPathFinder(player.team).resolveTarget(null, targetX, targetZ);
+        if (!home) return null;
+
+        const path = this.getPathFinder(null).findPath(player.x, player.z, home.x, home.z);
+        return path && { ...path, adjusted: path.adjusted || home.x !== targetX || home.z !== targetZ };
     }
 
     /**
      * Handle player movement request with acknowledgment for reconciliation
      * Phase 3: Server-authoritative movement with client reconciliation
+     * @param {number} [clientTime] - Client send time, echoed in serverMoveAck so the client can measure RTT
      */
-    handlePlayerMove(socketId, targetX, targetZ, actionId, io) {
+    handlePlayerMove(socketId, targetX, targetZ, actionId, io, clientTime) {
+        return this.withFrozenTime(() => {
+            this.recordInput('handlePlayerMove', { socketId, targetX, targetZ, actionId, clientTime });
+            return this.processPlayerMove(socketId, targetX, targetZ, actionId, io, clientTime);
+        });
+    }
+    
+    processPlayerMove(socketId, targetX, targetZ, actionId, io, clientTime) {
+        if (this.spectators.has(socketId)) {
+            this.logger.log(`[GAME-ENGINE] Spectator cannot move: ${socketId}`);
+            return null;
+        }
+        
         const player = this.players.get(socketId);
         if (!player) {
-            console.log(`[GAME-ENGINE] Invalid player socket for movement: ${socketId}`);
+            this.logger.log(`[GAME-ENGINE] Invalid player socket for movement: ${socketId}`);
             return null;
         }
         
         if (player.isDead) {
-            console.log(`[GAME-ENGINE] Dead player cannot move: ${player.playerId}`);
+            this.logger.log(`[GAME-ENGINE] Dead player cannot move: ${player.playerId}`);
             return null;
         }
         
-        if (!this.isWithinMapBounds(targetX, targetZ, player.team)) {
-            console.log(`[GAME-ENGINE] Movement rejected - out of bounds for Team ${player.team}: (${targetX.toFixed(2)}, ${targetZ.toFixed(2)})`);
+        if (player.isDisconnected) {
+            this.logger.log(`[GAME-ENGINE] Disconnected player cannot move: ${player.playerId}`);
             return null;
         }
         
-        player.targetX = targetX;
-        player.targetZ = targetZ;
+        if (player.pull) {
+            this.logger.log(`[GAME-ENGINE] Player ${player.playerId} cannot move while hooked`);
+            return null;
+        }
+        
+        if (player.casting) {
+            this.cancelCast(player, 'moved', io);
+        }
+        
+        // Route around obstacles; clicks outside the walkable area go to the nearest reachable point
+        const path = this.isWithinMapBounds(player.x, player.z, player.team)
+            ? this.getPathFinder(player.team).findPath(player.x, player.z, targetX, targetZ)
+            : this.findPathHome(player, targetX, targetZ);
+        if (!path) {
+            this.logger.log(`[GAME-ENGINE] Movement rejected - no path for Team ${player.team} from (${player.x.toFixed(2)}, ${player.z.toFixed(2)})`);
+            return null;
+        }
+        if (path.adjusted) {
+            this.logger.log(`[GAME-ENGINE] Move target (${targetX.toFixed(2)}, ${targetZ.toFixed(2)}) unreachable for Team ${player.team}, using (${path.target.x.toFixed(2)}, ${path.target.z.toFixed(2)})`);
+        }
+        
+        player.targetX = path.target.x;
+        player.targetZ = path.target.z;
+        player.waypoints = path.waypoints;
         player.isMoving = true;
         
         // Send movement acknowledgment for client-side reconciliation
         if (actionId && io) {
-            io.to(socketId).emit('serverMoveAck', {
+            this.emitTo(io, socketId, 'serverMoveAck', {
                 actionId: actionId,
+                clientTime,
                 serverTick: this.serverTick,
-                serverTime: Date.now(),
+                serverTime: this.now(),
                 x: player.x,
                 z: player.z,
-                targetX: targetX,
-                targetZ: targetZ
+                targetX: player.targetX,
+                targetZ: player.targetZ,
+                waypoints: player.waypoints.map(p => ({ x: p.x, z: p.z }))
             });
         }
         
@@ -688,42 +1321,133 @@ class GameEngine {
             z: player.z,
             targetX: player.targetX,
             targetZ: player.targetZ,
+            waypoints: player.waypoints.map(p => ({ x: p.x, z: p.z })),
             actionId
         };
     }
     
     /**
-     * Update player positions based on their target positions
+     * Update player positions along their waypoints
      * Phase 3: Movement Authority
      */
     updatePlayerMovement(dt) {
         for (const [socketId, player] of this.players.entries()) {
             if (!player.isMoving || player.isDead) continue;
             
-            const dx = player.targetX - player.x;
-            const dz = player.targetZ - player.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            
-            if (distance < 0.1) {
-                player.x = player.targetX;
-                player.z = player.targetZ;
-                player.isMoving = false;
-                continue;
-            }
+            // Stunned and rooted players keep their path and continue once the effect ends
+            if (this.hasStatusEffect(player, 'stun') || this.hasStatusEffect(player, 'root')) continue;
             
-            const moveDistance = this.PLAYER_SPEED * dt;
+            const startX = player.x;
+            const startZ = player.z;
             
-            if (distance <= moveDistance) {
-                player.x = player.targetX;
-                player.z = player.targetZ;
-                player.isMoving = false;
-            } else {
+            // Distance left this tick carries over to the next waypoint
+            let moveDistance = this.getMovementSpeed(player) * dt;
+            while (player.waypoints.length > 0) {
+                const waypoint = player.waypoints[0];
+                const dx = waypoint.x - player.x;
+                const dz = waypoint.z - player.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                
+                if (distance < 0.1 || distance <= moveDistance) {
+                    player.x = waypoint.x;
+                    player.z = waypoint.z;
+                    player.waypoints.shift();
+                    moveDistance = Math.max(0, moveDistance - distance);
+                    continue;
+                }
+                
                 const normalizedDx = dx / distance;
                 const normalizedDz = dz / distance;
                 
                 player.x += normalizedDx * moveDistance;
                 player.z += normalizedDz * moveDistance;
+                break;
             }
+            
+            if (player.waypoints.length === 0) {
+                player.isMoving = false;
+            }
+            this.stats.recordMovement(player, Math.hypot(player.x - startX, player.z - startZ));
+        }
+        
+        this.resolvePlayerCollisions();
+    }
+    
+    /**
+     * Push overlapping players apart so no two bodies (circles of PLAYER_RADIUS)
+     * overlap. Pairs are visited in join order and coincident players are split
+     * along x, so the result is the same on every run and in replays.
+     */
+    resolvePlayerCollisions() {
+        const bodies = Array.from(this.players.values()).filter(p => !p.isDead);
+        const minDistance = this.PLAYER_RADIUS * 2;
+        
+        for (let iteration = 0; iteration < this.PLAYER_SEPARATION_ITERATIONS; iteration++) {
+            let overlapping = false;
+            
+            for (let i = 0; i < bodies.length; i++) {
+                for (let j = i + 1; j < bodies.length; j++) {
+                    const a = bodies[i];
+                    const b = bodies[j];
+                    let dx = b.x - a.x;
+                    let dz = b.z - a.z;
+                    let distance = Math.sqrt(dx * dx + dz * dz);
+                    if (distance >= minDistance) continue;
+                    
+                    overlapping = true;
+                    const overlap = minDistance - distance;
+                    if (distance < 1e-6) {
+                        dx = 1;
+                        dz = 0;
+                        distance = 1;
+                    }
+                    const nx = dx / distance;
+                    const nz = dz / distance;
+                    
+                    // Split the push; a player that would leave its walkable area stays and the other takes all of it
+                    const aCanMove = !a.isDisconnected && this.canStandAt(a, a.x - nx * overlap / 2, a.z - nz * overlap / 2);
+                    const bCanMove = !b.isDisconnected && this.canStandAt(b, b.x + nx * overlap / 2, b.z + nz * overlap / 2);
+                    if (aCanMove && bCanMove) {
+                        this.pushPlayer(a, -nx * overlap / 2, -nz * overlap / 2);
+                        this.pushPlayer(b, nx * overlap / 2, nz * overlap / 2);
+                    } else if (aCanMove && this.canStandAt(a, a.x - nx * overlap, a.z - nz * overlap)) {
+                        this.pushPlayer(a, -nx * overlap, -nz * overlap);
+                    } else if (bCanMove && this.canStandAt(b, b.x + nx * overlap, b.z + nz * overlap)) {
+                        this.pushPlayer(b, nx * overlap, nz * overlap);
+                    }
+                    
+                    this.stopIfTargetOccupied(a, b);
+                    this.stopIfTargetOccupied(b, a);
+                }
+            }
+            
+            if (!overlapping) break;
+        }
+    }
+    
+    pushPlayer(player, dx, dz) {
+        player.x += dx;
+        player.z += dz;
+        if (!player.isMoving) {
+            player.targetX = player.x;
+            player.targetZ = player.z;
+        }
+    }
+    
+    /**
+     * A player walking onto another player's spot would push against them forever; stop short instead
+     */
+    stopIfTargetOccupied(player, other) {
+        if (!player.isMoving) return;
+        
+        const minDistance = this.PLAYER_RADIUS * 2;
+        const toTarget = Math.hypot(player.targetX - player.x, player.targetZ - player.z);
+        const otherToTarget = Math.hypot(player.targetX - other.x, player.targetZ - other.z);
+        if (toTarget <= minDistance && otherToTarget < minDistance) {
+            player.isMoving = false;
+            player.waypoints = [];
+            player.targetX = player.x;
+            player.targetZ = player.z;
         }
     }
     
@@ -731,42 +1455,114 @@ class GameEngine {
      * Update all knives physics
      */
     updateKnives(dt, io) {
-        const now = Date.now();
-        const knivesToRemove = [];
+        const now = this.now();
+        const knivesToRemove = []; // [knifeId, reason]
         
         for (const [knifeId, knife] of this.knives.entries()) {
             if (knife.hasHit) {
-                knivesToRemove.push(knifeId);
+                knivesToRemove.push([knifeId, 'hit']);
+                continue;
+            }
+            
+            if (knife.stoppedAtWall) {
+                knivesToRemove.push([knifeId, 'wall']);
                 continue;
             }
             
-            if (now - knife.spawnTime > this.KNIFE_LIFETIME) {
-                knivesToRemove.push(knifeId);
+            if (now - knife.spawnTime > knife.lifetimeMs) {
+                knivesToRemove.push([knifeId, 'timeout']);
                 continue;
             }
             
             knife.prevX = knife.x;
             knife.prevZ = knife.z;
             
-            knife.x += knife.velocityX * dt;
-            knife.z += knife.velocityZ * dt;
+            this.moveKnife(knife, dt, io);
         }
         
-        for (const knifeId of knivesToRemove) {
+        for (const [knifeId, entry] of this.recentKnives.entries()) {
+            if (now - entry.removedAt > this.HIT_REPORT_KNIFE_GRACE_MS) {
+                this.recentKnives.delete(knifeId);
+            }
+        }
+        
+        for (const [knifeId, reason] of knivesToRemove) {
+            const knife = this.knives.get(knifeId);
+            this.recentKnives.set(knifeId, { knife, removedAt: now });
             this.knives.delete(knifeId);
-            io.to(this.roomCode).emit('serverKnifeDestroy', {
+            this.emitTo(io, this.roomCode, 'serverKnifeDestroy', {
                 knifeId,
+                reason,
+                x: knife.x,
+                z: knife.z,
                 serverTick: this.serverTick
             });
         }
     }
     
+    /**
+     * Move a knife by dt with a swept test against the map's walls (bounds and
+     * knife-blocking obstacles). At the first wall crossed the knife either
+     * stops there (removed next tick with reason 'wall') or, while it has
+     * ricochets left, reflects off the wall and continues for the rest of dt.
+     */
+    moveKnife(knife, dt, io) {
+        let remaining = dt;
+        
+        for (let bounce = 0; bounce <= this.KNIFE_RICOCHETS && remaining > 0; bounce++) {
+            const endX = knife.x + knife.velocityX * remaining;
+            const endZ = knife.z + knife.velocityZ * remaining;
+            const hit = this.map.findKnifeWallHit(knife.x, knife.z, endX, endZ, knife.lastWallKey);
+            
+            if (!hit) {
+                knife.x = endX;
+                knife.z = endZ;
+                return;
+            }
+            
+            knife.x = hit.x;
+            knife.z = hit.z;
+            remaining -= remaining * hit.t;
+            
+            if (knife.ricochetsLeft <= 0) {
+                knife.stoppedAtWall = true;
+                return;
+            }
+            
+            const { normalX, normalZ } = hit.wall;
+            const dot = knife.velocityX * normalX + knife.velocityZ * normalZ;
+            knife.velocityX -= 2 * dot * normalX;
+            knife.velocityZ -= 2 * dot * normalZ;
+            knife.ricochetsLeft--;
+            knife.lastWallKey = hit.wall.key;
+            
+            // Player collisions this tick are tested from the bounce point on
+            knife.prevX = knife.launchX = hit.x;
+            knife.prevZ = knife.launchZ = hit.z;
+            knife.launchTime = this.now() - remaining * 1000;
+            
+            this.emitTo(io, this.roomCode, 'serverKnifeRicochet', {
+                knifeId: knife.knifeId,
+                x: knife.x,
+                z: knife.z,
+                velocityX: knife.velocityX,
+                velocityZ: knife.velocityZ,
+                ricochetsLeft: knife.ricochetsLeft,
+                serverTick: this.serverTick,
+                serverTime: this.now()
+            });
+        }
+    }
+    
     /**
      * Check knife collisions with players using swept collision detection with lag compensation
      * This prevents tunneling when dt spikes or knife moves fast
      */
     checkKnifeCollisions(io) {
-        const now = Date.now();
+        const now = this.now();
+        
+        if (this.knives.size === 0) return;
+        this.collisionStrategy.beginTick(this);
         
         for (const [knifeId, knife] of this.knives.entries()) {
             if (knife.hasHit) continue;
@@ -782,18 +1578,21 @@ class GameEngine {
             const lagMs = now - clientTimestamp;
             
             if (clientTimestamp > now + 100) {
-                console.log(`[LAG-COMP] WARNING: Future timestamp detected for knife ${knifeId}, ignoring lag compensation`);
+                this.logger.log(`[LAG-COMP] WARNING: Future timestamp detected for knife ${knifeId}, ignoring lag compensation`);
             }
             
-            const shouldCompensate = lagMs > 0 && lagMs < 1000; // Only compensate for 0-1000ms lag
+            const shouldCompensate = lagMs > 0 && lagMs < this.MAX_LAG_COMPENSATION_MS;
             
             if (shouldCompensate && this.serverTick % 30 === 0) {
-                console.log(`[LAG-COMP] Knife ${knifeId} lag: ${lagMs.toFixed(0)}ms, rewinding to clientTimestamp: ${clientTimestamp}`);
+                this.logger.log(`[LAG-COMP] Knife ${knifeId} lag: ${lagMs.toFixed(0)}ms, rewinding to clientTimestamp: ${clientTimestamp}`);
             }
             
-            for (const [socketId, player] of this.players.entries()) {
+            const prevX = knife.prevX !== undefined ? knife.prevX : knife.x;
+            const prevZ = knife.prevZ !== undefined ? knife.prevZ : knife.z;
+            
+            for (const [socketId, player] of this.collisionStrategy.candidates(this, knife, prevX, prevZ)) {
                 totalPlayers++;
-                if (player.isDead) continue;
+                if (player.isDead || this.isSpawnProtected(player)) continue;
                 if (player.team === knife.ownerTeam) {
                     sameTeamSkips++;
                     continue;
@@ -802,25 +1601,19 @@ class GameEngine {
                 enemyCandidates++;
                 this.wStats.collisionTests++;
                 
-                const prevX = knife.prevX !== undefined ? knife.prevX : knife.x;
-                const prevZ = knife.prevZ !== undefined ? knife.prevZ : knife.z;
-                
                 // Use lag-compensated position if available
                 let targetX = player.x;
                 let targetZ = player.z;
                 
                 if (shouldCompensate && this.lagCompensationEnabled) {
-                    const historicalPositions = this.positionHistory.getPositionsAt(clientTimestamp);
-                    if (historicalPositions) {
-                        const historicalPlayer = historicalPositions.get(socketId);
-                        if (historicalPlayer && !historicalPlayer.isDead) {
-                            const rewindDist = Math.sqrt((historicalPlayer.x - player.x) ** 2 + (historicalPlayer.z - player.z) ** 2);
-                            targetX = historicalPlayer.x;
-                            targetZ = historicalPlayer.z;
-                            
-                            if (rewindDist > 1.0 && this.serverTick % 30 === 0) {
-                                console.log(`[LAG-COMP] Rewound player ${socketId} by ${rewindDist.toFixed(2)} units for knife ${knifeId}`);
-                            }
+                    const historicalPlayer = this.positionHistory.getPlayerAt(socketId, clientTimestamp);
+                    if (historicalPlayer && !historicalPlayer.isDead) {
+                        const rewindDist = Math.sqrt((historicalPlayer.x - player.x) ** 2 + (historicalPlayer.z - player.z) ** 2);
+                        targetX = historicalPlayer.x;
+                        targetZ = historicalPlayer.z;
+                        
+                        if (rewindDist > 1.0 && this.serverTick % 30 === 0) {
+                            this.logger.log(`[LAG-COMP] Rewound player ${socketId} by ${rewindDist.toFixed(2)} units for knife ${knifeId}`);
                         }
                     }
                 }
@@ -839,35 +1632,7 @@ class GameEngine {
                 );
                 
                 if (hit) {
-                    knife.hasHit = true;
-                    
-                    const previousHealth = player.health;
-                    player.health = Math.max(0, player.health - 1);
-                    
-                    console.log(`[GAME-ENGINE] 🎯 Knife ${knifeId} hit Team ${player.team} - Health: ${previousHealth} → ${player.health}`);
-                    
-                    if (player.health <= 0 && !player.isDead) {
-                        player.isDead = true;
-                        console.log(`[GAME-ENGINE] ☠️ Team ${player.team} Player ${player.playerId} died`);
-                    }
-                    
-                    io.to(this.roomCode).emit('serverHealthUpdate', {
-                        targetPlayerId: player.playerId,
-                        targetTeam: Number(player.team),
-                        health: player.health,
-                        isDead: player.isDead,
-                        serverTick: this.serverTick,
-                        serverTime: Date.now()
-                    });
-                    
-                    io.to(this.roomCode).emit('serverKnifeHit', {
-                        knifeId,
-                        targetTeam: Number(player.team),
-                        hitX: knife.x,
-                        hitZ: knife.z,
-                        serverTick: this.serverTick
-                    });
-                    
+                    this.applyKnifeHit(knife, player, io);
                     break;
                 }
             }
@@ -877,11 +1642,390 @@ class GameEngine {
                     Math.pow(knife.x - (knife.prevX || knife.x), 2) + 
                     Math.pow(knife.z - (knife.prevZ || knife.z), 2)
                 );
-                console.log(`[COLLISION-DEBUG] Knife ${knifeId} ownerTeam=${knife.ownerTeam}(${typeof knife.ownerTeam}), totalPlayers=${totalPlayers}, sameTeamSkips=${sameTeamSkips}, enemyCandidates=${enemyCandidates}, closestDist=${closestDistance.toFixed(2)}, radius=${this.COLLISION_RADIUS}, segLen=${segmentLength.toFixed(3)}`);
+                this.logger.log(`[COLLISION-DEBUG] Knife ${knifeId} ownerTeam=${knife.ownerTeam}(${typeof knife.ownerTeam}), totalPlayers=${totalPlayers}, sameTeamSkips=${sameTeamSkips}, enemyCandidates=${enemyCandidates}, closestDist=${closestDistance.toFixed(2)}, radius=${this.COLLISION_RADIUS}, segLen=${segmentLength.toFixed(3)}`);
+            }
+        }
+    }
+    
+    /**
+     * Apply a confirmed knife hit: damage the target and notify the room
+     */
+    applyKnifeHit(knife, player, io) {
+        knife.hasHit = true;
+        
+        const owner = this.players.get(knife.ownerSocketId) || null;
+        this.logger.log(`[GAME-ENGINE] 🎯 Knife ${knife.knifeId} hit Team ${player.team}`);
+        if (knife.ability === 'knife') {
+            this.stats.recordHit(owner);
+        }
+        this.applyDamage(player, knife.damage, owner, io);
+        
+        this.emitTo(io, this.roomCode, 'serverKnifeHit', {
+            knifeId: knife.knifeId,
+            targetTeam: Number(player.team),
+            hitX: knife.x,
+            hitZ: knife.z,
+            serverTick: this.serverTick
+        });
+        
+        if (player.isDead) {
+            this.handleKill(player, owner, knife.ability, io);
+            return;
+        }
+        
+        for (const effect of knife.effects || []) {
+            this.applyStatusEffect(player, effect, owner, io);
+        }
+        if (knife.pull && owner && !owner.isDead) {
+            this.startPull(player, owner, knife, io);
+        }
+    }
+    
+    /**
+     * Latch a hook onto a player: they stop and are dragged towards the thrower by updatePulls()
+     */
+    startPull(player, owner, knife, io) {
+        this.endPull(player, 'rehooked', io);
+        
+        player.pull = {
+            knifeId: knife.knifeId,
+            ownerSocketId: owner.socketId,
+            speed: knife.pull.speed,
+            endsAt: this.now() + knife.pull.maxDurationMs
+        };
+        player.isMoving = false;
+        player.waypoints = [];
+        player.targetX = player.x;
+        player.targetZ = player.z;
+        this.cancelCast(player, 'pulled', io);
+        
+        this.logger.log(`[GAME-ENGINE] 🪝 Player ${player.playerId} hooked by ${owner.playerId} (${knife.knifeId})`);
+        
+        this.emitTo(io, this.roomCode, 'serverPullStart', {
+            knifeId: knife.knifeId,
+            ownerPlayerId: owner.playerId,
+            ownerTeam: Number(owner.team),
+            targetPlayerId: player.playerId,
+            targetTeam: Number(player.team),
+            speed: player.pull.speed,
+            endsAt: player.pull.endsAt,
+            x: player.x,
+            z: player.z,
+            serverTick: this.serverTick
+        });
+    }
+    
+    endPull(player, reason, io) {
+        if (!player.pull) return;
+        
+        const { knifeId } = player.pull;
+        player.pull = null;
+        player.targetX = player.x;
+        player.targetZ = player.z;
+        
+        this.emitTo(io, this.roomCode, 'serverPullEnd', {
+            knifeId,
+            targetPlayerId: player.playerId,
+            targetTeam: Number(player.team),
+            reason,
+            x: player.x,
+            z: player.z,
+            serverTick: this.serverTick
+        });
+    }
+    
+    /**
+     * Drag hooked players towards their throwers (once per tick, before movement).
+     * Team zones do not stop a pull, only the map's walls and obstacles: an enemy
+     * can be dragged across the centre line and walks back afterwards (findPathHome).
+     * A pull ends when the target reaches the thrower, would leave the walkable
+     * area, times out, or is interrupted: either side dies or leaves, the thrower
+     * is stunned, or the target dashes out.
+     */
+    updatePulls(dt, io) {
+        const now = this.now();
+        const stopDistance = this.PLAYER_RADIUS * 2;
+        
+        for (const player of this.players.values()) {
+            if (!player.pull) continue;
+            
+            const owner = this.players.get(player.pull.ownerSocketId);
+            if (player.isDead) {
+                this.endPull(player, 'targetDied', io);
+                continue;
+            }
+            if (!owner || owner.isDead || owner.isDisconnected) {
+                this.endPull(player, 'ownerLost', io);
+                continue;
+            }
+            if (this.hasStatusEffect(owner, 'stun')) {
+                this.endPull(player, 'interrupted', io);
+                continue;
+            }
+            if (now >= player.pull.endsAt) {
+                this.endPull(player, 'timeout', io);
+                continue;
+            }
+            
+            const dx = owner.x - player.x;
+            const dz = owner.z - player.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance <= stopDistance) {
+                this.endPull(player, 'arrived', io);
+                continue;
+            }
+            
+            const step = Math.min(player.pull.speed * dt, distance - stopDistance);
+            const x = player.x + dx / distance * step;
+            const z = player.z + dz / distance * step;
+            if (!this.map.isWalkable(x, z)) {
+                this.endPull(player, 'blocked', io);
+                continue;
+            }
+            
+            player.x = player.targetX = x;
+            player.z = player.targetZ = z;
+        }
+    }
+    
+    /**
+     * Lower a player's health, after shields absorb what they can, and announce it (serverHealthUpdate)
+     * @param {Object|null} attacker - Player credited with the damage
+     * @returns {boolean} whether this damage killed the player
+     */
+    applyDamage(player, amount, attacker, io) {
+        const previousHealth = player.health;
+        const absorbed = this.absorbWithShields(player, amount, io);
+        player.health = Math.max(0, player.health - (amount - absorbed));
+        this.stats.recordDamage(player, attacker, previousHealth - player.health, this.now());
+        
+        this.logger.log(`[GAME-ENGINE] Team ${player.team} Player ${player.playerId} took ${amount} damage (${absorbed} absorbed) - Health: ${previousHealth} → ${player.health}`);
+        
+        let died = false;
+        if (player.health <= 0 && !player.isDead) {
+            player.isDead = true;
+            died = true;
+            this.logger.log(`[GAME-ENGINE] ☠️ Team ${player.team} Player ${player.playerId} died`);
+        }
+        
+        this.emitHealthUpdate(player, io, attacker);
+        if (died) {
+            this.clearStatusEffects(player, 'died', io);
+        }
+        return died;
+    }
+    
+    /**
+     * Use up shields, the one expiring first first
+     * @returns {number} damage absorbed
+     */
+    absorbWithShields(player, amount, io) {
+        const shields = player.effects
+            .filter(e => e.type === 'shield')
+            .sort((a, b) => a.expiresAt - b.expiresAt);
+        
+        let absorbed = 0;
+        for (const shield of shields) {
+            if (absorbed >= amount) break;
+            const used = Math.min(shield.magnitude, amount - absorbed);
+            shield.magnitude -= used;
+            absorbed += used;
+            if (shield.magnitude <= 0) {
+                this.removeStatusEffect(player, shield, 'depleted', io);
+            }
+        }
+        return absorbed;
+    }
+    
+    applyHeal(player, amount, io) {
+        player.health = Math.min(this.MAX_HEALTH, player.health + amount);
+        this.emitHealthUpdate(player, io);
+    }
+    
+    /**
+     * Apply a status effect by its stacking rule (see statusEffects.js)
+     * @param {Object} spec - { type, durationMs, magnitude? } from an ability definition
+     * @param {Object|null} source - Player who applied it (credited for dot kills)
+     */
+    applyStatusEffect(player, spec, source, io) {
+        if (player.isDead) return;
+        
+        const definition = STATUS_EFFECTS[spec.type];
+        const now = this.now();
+        const magnitude = spec.magnitude !== undefined ? spec.magnitude : (definition.magnitude || 0);
+        const expiresAt = now + spec.durationMs;
+        const existing = player.effects.filter(e => e.type === spec.type);
+        
+        let effect;
+        if (definition.stacking === 'refresh' && existing.length > 0) {
+            effect = existing[0];
+            effect.expiresAt = Math.max(effect.expiresAt, expiresAt);
+            effect.magnitude = Math.max(effect.magnitude, magnitude);
+            effect.sourceSocketId = source ? source.socketId : null;
+        } else {
+            if (definition.stacking === 'stack' && existing.length >= definition.maxStacks) {
+                const oldest = existing.reduce((a, b) => (b.expiresAt < a.expiresAt ? b : a));
+                player.effects.splice(player.effects.indexOf(oldest), 1);
+            }
+            effect = {
+                type: spec.type,
+                magnitude,
+                appliedAt: now,
+                expiresAt,
+                nextTickAt: definition.intervalMs ? now + definition.intervalMs : null,
+                sourceSocketId: source ? source.socketId : null
+            };
+            player.effects.push(effect);
+        }
+        
+        this.stats.recordStatusEffect(player, source, spec.type, now);
+        this.logger.log(`[GAME-ENGINE] ${spec.type} on Player ${player.playerId} until ${effect.expiresAt}`);
+        
+        this.emitTo(io, this.roomCode, 'serverStatusEffect', {
+            playerId: player.playerId,
+            team: Number(player.team),
+            effect: spec.type,
+            magnitude: effect.magnitude,
+            expiresAt: effect.expiresAt,
+            stacks: player.effects.filter(e => e.type === spec.type).length,
+            sourcePlayerId: source ? source.playerId : null,
+            serverTick: this.serverTick
+        });
+        
+        if (spec.type === 'stun') {
+            this.cancelCast(player, 'stunned', io);
+        }
+    }
+    
+    removeStatusEffect(player, effect, reason, io) {
+        const index = player.effects.indexOf(effect);
+        if (index === -1) return;
+        
+        player.effects.splice(index, 1);
+        this.emitTo(io, this.roomCode, 'serverStatusEffectEnd', {
+            playerId: player.playerId,
+            team: Number(player.team),
+            effect: effect.type,
+            reason,
+            serverTick: this.serverTick
+        });
+    }
+    
+    clearStatusEffects(player, reason, io) {
+        for (const effect of player.effects.slice()) {
+            this.removeStatusEffect(player, effect, reason, io);
+        }
+    }
+    
+    hasStatusEffect(player, type) {
+        return player.effects.some(e => e.type === type);
+    }
+    
+    /**
+     * Deal damage-over-time ticks and expire effects (once per tick)
+     */
+    updateStatusEffects(io) {
+        const now = this.now();
+        for (const player of this.players.values()) {
+            for (const effect of player.effects.slice()) {
+                if (player.isDead) break;
+                
+                const intervalMs = STATUS_EFFECTS[effect.type].intervalMs;
+                while (effect.type === 'dot' && effect.nextTickAt <= now && effect.nextTickAt <= effect.expiresAt && !player.isDead) {
+                    effect.nextTickAt += intervalMs;
+                    const source = this.players.get(effect.sourceSocketId) || null;
+                    if (this.applyDamage(player, effect.magnitude, source, io)) {
+                        this.handleKill(player, source, 'dot', io);
+                    }
+                }
+                
+                if (!player.isDead && now >= effect.expiresAt) {
+                    this.removeStatusEffect(player, effect, 'expired', io);
+                }
             }
         }
     }
     
+    /**
+     * Movement speed after slows and speed boosts
+     */
+    getMovementSpeed(player) {
+        let slow = 0;
+        let boost = 0;
+        for (const effect of player.effects) {
+            if (effect.type === 'slow') slow = Math.max(slow, effect.magnitude);
+            if (effect.type === 'speedBoost') boost = Math.max(boost, effect.magnitude);
+        }
+        return this.PLAYER_SPEED * Math.max(0, 1 - slow) * (1 + boost);
+    }
+    
+    /**
+     * Active effects as sent to clients
+     */
+    getStatusEffects(player) {
+        const now = this.now();
+        return player.effects.map(e => ({
+            type: e.type,
+            magnitude: e.magnitude,
+            remainingMs: Math.max(0, e.expiresAt - now)
+        }));
+    }
+    
+    /**
+     * Record a death, credit the kill and assists (serverKill) and let the match rules score it
+     * @param {string} cause - Ability or effect that dealt the final damage
+     */
+    handleKill(victim, killer, cause, io) {
+        const assists = this.stats.recordKill(victim, killer, this.now());
+        
+        this.logger.log(`[GAME-ENGINE] ☠️ ${victim.playerId} killed by ${killer ? killer.playerId : 'nobody'} (${cause})${assists.length ? `, assists: ${assists.join(', ')}` : ''}`);
+        
+        this.emitTo(io, this.roomCode, 'serverKill', {
+            victimPlayerId: victim.playerId,
+            victimTeam: Number(victim.team),
+            killerPlayerId: killer ? killer.playerId : null,
+            killerTeam: killer ? Number(killer.team) : null,
+            assistPlayerIds: assists,
+            cause,
+            victimStats: this.stats.getPlayerSummary(victim),
+            killerStats: killer ? this.stats.getPlayerSummary(killer) : null,
+            serverTick: this.serverTick,
+            serverTime: this.now()
+        });
+        
+        this.matchRules.onKill(this, victim, killer, io);
+    }
+    
+    emitHealthUpdate(player, io, attacker = null) {
+        this.emitTo(io, this.roomCode, 'serverHealthUpdate', {
+            targetPlayerId: player.playerId,
+            targetTeam: Number(player.team),
+            attackerPlayerId: attacker ? attacker.playerId : null,
+            health: player.health,
+            isDead: player.isDead,
+            serverTick: this.serverTick,
+            serverTime: this.now()
+        });
+    }
+    
+    /**
+     * Furthest a player can be from its current position at any lag-compensated
+     * rewind time; spatial collision strategies pad their queries by this much
+     */
+    getMaxRewindDistance() {
+        if (this.maxRewindDistance === undefined) {
+            // Fastest possible movement: the largest speed boost or hook pull, plus one dash (cooldowns exceed the rewind window)
+            const abilities = Object.values(this.abilities);
+            const boost = Math.max(0, ...abilities.flatMap(a => a.effects).filter(e => e.type === 'speedBoost')
+                .map(e => (e.magnitude !== undefined ? e.magnitude : STATUS_EFFECTS.speedBoost.magnitude)));
+            const pullSpeed = Math.max(0, ...abilities.filter(a => a.pull).map(a => a.pull.speed));
+            const dash = Math.max(0, ...abilities.filter(a => a.kind === 'dash').map(a => a.distance));
+            const speed = Math.max(this.PLAYER_SPEED * (1 + boost), pullSpeed);
+            this.maxRewindDistance = speed * (this.MAX_LAG_COMPENSATION_MS / 1000) + dash + 1;
+        }
+        return this.maxRewindDistance;
+    }
+    
     /**
      * Check if line segment intersects circle (swept collision detection)
      * Line from (x1,z1) to (x2,z2), circle at (cx,cz) with radius r
@@ -918,127 +2062,220 @@ class GameEngine {
     
     /**
      * Broadcast game state to all clients
-     * Phase 3: Includes player positions
+     * Phase 3: Includes player positions (payload built by the broadcast strategy)
      */
     broadcastGameState(io) {
-        const knivesArray = Array.from(this.knives.values())
-            .filter(k => !k.hasHit)
-            .map(k => ({
-                knifeId: k.knifeId,
-                ownerTeam: Number(k.ownerTeam),
-                x: k.x,
-                z: k.z,
-                velocityX: k.velocityX,
-                velocityZ: k.velocityZ
-            }));
-        
-        const playersArray = Array.from(this.players.values()).map(p => ({
-            playerId: p.playerId,
-            team: Number(p.team),
-            x: p.x,
-            z: p.z,
-            targetX: p.targetX,
-            targetZ: p.targetZ,
-            isMoving: p.isMoving,
-            isDead: p.isDead,
-            health: p.health,
-            lastProcessedSeq: p.lastProcessedSeq || 0
-        }));
-        
-        io.to(this.roomCode).emit('serverGameState', {
-            serverTick: this.serverTick,
-            serverTime: Date.now(),
-            knives: knivesArray,
-            players: playersArray
-        });
+        this.emitTo(io, this.roomCode, 'serverGameState', this.broadcastStrategy.buildGameState(this));
     }
     
     /**
-     * Handle collision report from client
-     * Server validates and applies damage
+     * Handle a client's claim that one of its knives hit an enemy.
+     * The claim is only honoured if the reporter owns a live (or just removed)
+     * knife whose path, at the reported time, intersects the target's rewound position.
+     * @param {string} attackerSocketId
+     * @param {{knifeId: string, targetPlayerId?: string, targetTeam?: number, clientTimestamp?: number}} report
+     * @returns {{accepted: boolean, reason?: string, targetTeam?: number, health?: number, isDead?: boolean}}
      */
-    handleCollisionReport(attackerSocketId, targetTeam, io) {
+    handleCollisionReport(attackerSocketId, report, io) {
+        return this.withFrozenTime(() => {
+            this.recordInput('handleCollisionReport', { attackerSocketId, report });
+            return this.verifyCollisionReport(attackerSocketId, report, io);
+        });
+    }
+    
+    verifyCollisionReport(attackerSocketId, report, io) {
+        if (!this.clientHitReportsEnabled) {
+            return this.rejectHitReport(attackerSocketId, 'disabled');
+        }
+        
+        if (this.spectators.has(attackerSocketId)) {
+            return this.rejectHitReport(attackerSocketId, 'spectator');
+        }
+        
         const attacker = this.players.get(attackerSocketId);
         if (!attacker) {
-            console.log(`[GAME-ENGINE] Invalid attacker socket: ${attackerSocketId}`);
-            return;
+            this.logger.log(`[GAME-ENGINE] Invalid attacker socket: ${attackerSocketId}`);
+            return this.rejectHitReport(attackerSocketId, 'unknown-attacker');
         }
         
-        const targetTeamNum = Number(targetTeam);
-        let target = null;
-        for (const [socketId, player] of this.players.entries()) {
-            if (Number(player.team) === targetTeamNum && !player.isDead) {
-                target = player;
-                break;
-            }
+        const recent = this.recentKnives.get(report.knifeId);
+        const knife = this.knives.get(report.knifeId) || (recent && recent.knife);
+        if (!knife) {
+            return this.rejectHitReport(attackerSocketId, 'unknown-knife');
         }
         
-        if (!target) {
-            console.log(`[GAME-ENGINE] No valid target found for team ${targetTeamNum}`);
-            return;
+        if (knife.ownerSocketId !== attackerSocketId) {
+            return this.rejectHitReport(attackerSocketId, 'not-knife-owner');
         }
         
-        if (Number(attacker.team) === Number(target.team)) {
-            console.log(`[GAME-ENGINE] Invalid collision: same team attack`);
-            return;
+        if (knife.hasHit) {
+            // The server already resolved this knife; not suspicious, just redundant
+            return { accepted: false, reason: 'already-resolved' };
         }
         
-        const previousHealth = target.health;
-        target.health = Math.max(0, target.health - 1);
+        const now = this.now();
+        const reportedTime = Number.isFinite(report.clientTimestamp) ? report.clientTimestamp : now;
+        // Only the knife's current straight segment (since its last ricochet) can be verified
+        const rewindTime = Math.max(knife.launchTime, now - this.MAX_LAG_COMPENSATION_MS, Math.min(now, reportedTime));
         
-        console.log(`[GAME-ENGINE] ⚔️ Team ${attacker.team} hit Team ${target.team} - Health: ${previousHealth} → ${target.health}`);
+        // Knife path around the reported time, clamped to where the knife has actually been
+        const knifeEndTime = recent ? recent.removedAt : now;
+        const pathStart = this.knifePositionAt(knife, rewindTime - this.HIT_REPORT_TOLERANCE_MS, knifeEndTime);
+        const pathEnd = this.knifePositionAt(knife, rewindTime + this.HIT_REPORT_TOLERANCE_MS, knifeEndTime);
         
-        if (target.health <= 0 && !target.isDead) {
-            target.isDead = true;
-            console.log(`[GAME-ENGINE] ☠️ Team ${target.team} Player ${target.playerId} died`);
+        if (!this.map.isKnifePathClear(knife.launchX, knife.launchZ, pathStart.x, pathStart.z)) {
+            return this.rejectHitReport(attackerSocketId, 'blocked-by-obstacle');
         }
         
-        io.to(this.roomCode).emit('serverHealthUpdate', {
-            targetPlayerId: target.playerId,
-            targetTeam: Number(target.team),
-            health: target.health,
-            isDead: target.isDead,
-            serverTick: this.serverTick,
-            serverTime: Date.now()
-        });
+        const targetTeamNum = report.targetTeam !== undefined ? Number(report.targetTeam) : null;
+        
+        for (const [socketId, player] of this.players.entries()) {
+            if (player.isDead || player.team === knife.ownerTeam || this.isSpawnProtected(player)) continue;
+            if (report.targetPlayerId !== undefined && player.playerId !== report.targetPlayerId) continue;
+            if (targetTeamNum !== null && Number(player.team) !== targetTeamNum) continue;
+            
+            const rewound = this.positionHistory.getPlayerAt(socketId, rewindTime);
+            const targetX = rewound ? rewound.x : player.x;
+            const targetZ = rewound ? rewound.z : player.z;
+            
+            const hit = this.lineCircleIntersection(
+                pathStart.x, pathStart.z, pathEnd.x, pathEnd.z,
+                targetX, targetZ, this.COLLISION_RADIUS
+            );
+            
+            if (hit) {
+                this.logger.log(`[GAME-ENGINE] ⚔️ Verified client hit report: knife ${knife.knifeId} from Team ${attacker.team} on ${player.playerId}`);
+                this.applyKnifeHit(knife, player, io);
+                return {
+                    accepted: true,
+                    targetTeam: Number(player.team),
+                    health: player.health,
+                    isDead: player.isDead
+                };
+            }
+        }
         
+        return this.rejectHitReport(attackerSocketId, 'no-intersection');
+    }
+    
+    /**
+     * Knife position at a given time on its current straight segment, derived
+     * from the segment's start (spawn or last ricochet) and velocity
+     */
+    knifePositionAt(knife, time, endTime) {
+        const elapsedSec = Math.max(0, Math.min(time, endTime) - knife.launchTime) / 1000;
         return {
-            targetTeam: Number(target.team),
-            health: target.health,
-            isDead: target.isDead
+            x: knife.launchX + knife.velocityX * elapsedSec,
+            z: knife.launchZ + knife.velocityZ * elapsedSec
         };
     }
     
     /**
-     * Check if game is over
+     * Count a rejected client hit report against the reporting socket
+     * (spectators and unknown sockets have no playerId)
+     */
+    rejectHitReport(socketId, reason) {
+        let entry = this.hitReportRejections.get(socketId);
+        if (!entry) {
+            const player = this.players.get(socketId);
+            entry = { playerId: player ? player.playerId : null, total: 0, reasons: {} };
+            this.hitReportRejections.set(socketId, entry);
+        }
+        entry.total++;
+        entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+        
+        this.logger.log(`[GAME-ENGINE] ❌ Rejected hit report from ${socketId} (${reason}), ${entry.total} rejected so far`);
+        return { accepted: false, reason };
+    }
+    
+    /**
+     * Rejected client hit reports per socket
+     */
+    getHitReportStats() {
+        const rejections = [];
+        for (const [socketId, entry] of this.hitReportRejections.entries()) {
+            rejections.push({
+                socketId,
+                playerId: entry.playerId,
+                total: entry.total,
+                reasons: { ...entry.reasons }
+            });
+        }
+        return { enabled: this.clientHitReportsEnabled, rejections };
+    }
+    
+    /**
+     * Let the match rules end rounds, respawn players or end the match
      */
     checkGameOver(io) {
         if (!this.gameStarted) return;
         
-        const teamAlive = new Map();
-        for (const player of this.players.values()) {
-            if (!player.isDead) {
-                teamAlive.set(player.team, (teamAlive.get(player.team) || 0) + 1);
-            }
-        }
+        this.matchRules.update(this, io);
+    }
+    
+    /**
+     * End the match (called by the match rules)
+     * @param {number|null} winningTeam - null for a draw
+     * @param {{type: string, rounds: number, scores: Object}} result
+     */
+    endMatch(io, winningTeam, result) {
+        const team = winningTeam !== null ? Number(winningTeam) : null;
+        this.logger.log(`[GAME-ENGINE] 🏆 Game Over! ${team !== null ? `Team ${team} wins` : 'Draw'} in room ${this.roomCode}`);
         
-        const teams = Array.from(teamAlive.keys());
-        if (teams.length === 1) {
-            const winningTeam = teams[0];
-            console.log(`[GAME-ENGINE] 🏆 Game Over! Team ${winningTeam} wins in room ${this.roomCode}`);
-            
-            io.to(this.roomCode).emit('serverGameOver', {
-                winningTeam: Number(winningTeam),
-                serverTick: this.serverTick,
-                serverTime: Date.now()
-            });
-            
-            this.stopGameLoop();
+        this.emitTo(io, this.roomCode, 'serverMatchEnd', {
+            winningTeam: team,
+            ...result,
+            serverTick: this.serverTick,
+            serverTime: this.now()
+        });
+        
+        const stats = this.stats.getSummary();
+        this.emitTo(io, this.roomCode, 'serverGameOver', {
+            winningTeam: team,
+            scores: result.scores,
+            stats,
+            serverTick: this.serverTick,
+            serverTime: this.now()
+        });
+        
+        this.stopGameLoop();
+        this.finishRecording('gameOver');
+        
+        if (this.onGameOver) {
+            this.onGameOver({ winningTeam: team, ...result, stats });
         }
     }
     
     /**
-     * Get current game state snapshot
+     * Lag compensation diagnostics: confirms the rewind window covers MAX_LAG_COMPENSATION_MS
+     */
+    getLagCompensationStats() {
+        const history = this.positionHistory.getStats();
+        return {
+            enabled: this.lagCompensationEnabled,
+            recordRateHz: this.TICK_RATE / this.historyRecordIntervalTicks,
+            maxCompensationMs: this.MAX_LAG_COMPENSATION_MS,
+            coversMaxCompensation: history.timeRangeMs >= this.MAX_LAG_COMPENSATION_MS,
+            history
+        };
+    }
+    
+    /**
+     * Remaining cooldown in ms per ability still cooling down
+     */
+    getCooldowns(player) {
+        const now = this.now();
+        const cooldowns = {};
+        for (const [name, readyAt] of Object.entries(player.cooldowns)) {
+            if (readyAt > now) {
+                cooldowns[name] = readyAt - now;
+            }
+        }
+        return cooldowns;
+    }
+    
+    /**
+     * Get current game state snapshot (full resync, e.g. after a rejoin)
      */
     getSnapshot() {
         const playersArray = Array.from(this.players.values()).map(p => ({
@@ -1046,16 +2283,39 @@ class GameEngine {
             team: Number(p.team),
             health: p.health,
             isDead: p.isDead,
+            isDisconnected: p.isDisconnected,
             x: p.x,
-            z: p.z
+            z: p.z,
+            targetX: p.targetX,
+            targetZ: p.targetZ,
+            isMoving: p.isMoving,
+            cooldowns: this.getCooldowns(p),
+            effects: this.getStatusEffects(p),
+            casting: p.casting ? { ability: p.casting.ability, completesAt: p.casting.completesAt } : null
         }));
         
+        const knivesArray = Array.from(this.knives.values())
+            .filter(k => !k.hasHit)
+            .map(k => ({
+                knifeId: k.knifeId,
+                ownerTeam: Number(k.ownerTeam),
+                x: k.x,
+                z: k.z,
+                velocityX: k.velocityX,
+                velocityZ: k.velocityZ
+            }));
+        
         return {
             serverTick: this.serverTick,
-            serverTime: Date.now(),
-            players: playersArray
+            serverTime: this.now(),
+            players: playersArray,
+            knives: knivesArray,
+            match: this.matchRules.getState(this)
         };
     }
 }
 
+// For headless runs (scenarios, replay verification) that only care about emitted events
+GameEngine.SILENT_LOGGER = { log() {}, error() {} };
+
 module.exports = GameEngine;
@@ -0,0 +1,47 @@
+/**
+ * Game Mode Definitions
+ *
+ * A mode sets how many teams there are and how many players each team has.
+ * Where they spawn and where they may move is map data (see GameMap.js,
+ * maps/*.json: modes.<mode>.<team>).
+ *
+ *   teams           - number of teams, numbered 1..teams
+ *   playersPerTeam  - slots per team; maxPlayers = teams * playersPerTeam
+ *   minTeamsToStart - teams that need a player before the host can start (default: every team)
+ */
+
+const GAME_MODES = {
+    '1v1': { teams: 2, playersPerTeam: 1 },
+    '2v2': { teams: 2, playersPerTeam: 2 },
+    '3v3': { teams: 2, playersPerTeam: 3 },
+    '4v4': { teams: 2, playersPerTeam: 4 },
+    // Three teams of two
+    '2v2v2': { teams: 3, playersPerTeam: 2 },
+    // Free-for-all: every player is a team of one; two players are enough to start
+    'ffa': { teams: 6, playersPerTeam: 1, minTeamsToStart: 2 }
+};
+
+/**
+ * @returns {Object} the mode definition with derived fields (name, teamNumbers, maxPlayers, minTeamsToStart)
+ * @throws on an unknown mode
+ */
+function getGameMode(name) {
+    const mode = Object.prototype.hasOwnProperty.call(GAME_MODES, name) ? GAME_MODES[name] : null;
+    if (!mode) {
+        throw new Error(`Unknown game mode: ${name}`);
+    }
+
+    return {
+        ...mode,
+        name,
+        teamNumbers: Array.from({ length: mode.teams }, (_, i) => i + 1),
+        maxPlayers: mode.teams * mode.playersPerTeam,
+        minTeamsToStart: mode.minTeamsToStart || mode.teams
+    };
+}
+
+module.exports = {
+    GAME_MODES,
+    SUPPORTED_GAME_MODES: Object.keys(GAME_MODES),
+    getGameMode
+};
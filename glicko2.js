@@ -0,0 +1,125 @@
+/**
+ * Glicko-2 Ratings
+ *
+ * A rating is { rating, rd, volatility } on the familiar 1500 scale. Every
+ * match is one rating period: updateRating takes the player's results against
+ * each opponent, all scored against the ratings from before the match
+ * (1 = win, 0.5 = draw, 0 = loss).
+ *
+ * See Mark Glickman, "Example of the Glicko-2 system" (2013), which the steps
+ * below follow.
+ */
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const DEFAULT_TAU = 0.5;          // Constrains how fast volatility changes
+const SCALE = 173.7178;           // Glicko -> Glicko-2 scale
+const CONVERGENCE = 0.000001;
+
+function createRating() {
+    return { rating: DEFAULT_RATING, rd: DEFAULT_RD, volatility: DEFAULT_VOLATILITY };
+}
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectation(mu, muOpponent, phiOpponent) {
+    return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * Expected score of a against b (0..1)
+ */
+function expectedScore(a, b) {
+    const phiB = b.rd / SCALE;
+    return expectation((a.rating - DEFAULT_RATING) / SCALE, (b.rating - DEFAULT_RATING) / SCALE, phiB);
+}
+
+/**
+ * New volatility (step 5, Illinois algorithm)
+ */
+function updateVolatility(phi, sigma, delta, v, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return ex * (delta * delta - d) / (2 * d * d) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) k++;
+        B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player after a rating period
+ * @param {Object} player - { rating, rd, volatility }
+ * @param {Array} results - [{ opponent: { rating, rd }, score }]
+ * @param {Object} [options]
+ * @param {number} [options.tau]
+ * @returns {Object} the new { rating, rd, volatility }; with no results only the deviation grows
+ */
+function updateRating(player, results, { tau = DEFAULT_TAU } = {}) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.rd / SCALE;
+    const sigma = player.volatility;
+
+    if (results.length === 0) {
+        return { rating: player.rating, rd: Math.min(Math.sqrt(phi * phi + sigma * sigma) * SCALE, DEFAULT_RD), volatility: sigma };
+    }
+
+    let vInverse = 0;
+    let deltaSum = 0;
+    for (const { opponent, score } of results) {
+        const muJ = (opponent.rating - DEFAULT_RATING) / SCALE;
+        const gJ = g(opponent.rd / SCALE);
+        const e = expectation(mu, muJ, opponent.rd / SCALE);
+        vInverse += gJ * gJ * e * (1 - e);
+        deltaSum += gJ * (score - e);
+    }
+    const v = 1 / vInverse;
+    const delta = v * deltaSum;
+
+    const newSigma = updateVolatility(phi, sigma, delta, v, tau);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * deltaSum;
+
+    return {
+        rating: newMu * SCALE + DEFAULT_RATING,
+        rd: Math.min(newPhi * SCALE, DEFAULT_RD),
+        volatility: newSigma
+    };
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    DEFAULT_RD,
+    createRating,
+    expectedScore,
+    updateRating
+};
@@ -0,0 +1,82 @@
+/**
+ * 2D geometry on the x/z plane for map polygons ([[x, z], ...], implicitly closed)
+ */
+
+const EPSILON = 1e-9;
+
+function distanceToSegment(px, pz, x1, z1, x2, z2) {
+    const lx = x2 - x1;
+    const lz = z2 - z1;
+    const lengthSq = lx * lx + lz * lz;
+    const t = lengthSq < EPSILON ? 0 : Math.max(0, Math.min(1, ((px - x1) * lx + (pz - z1) * lz) / lengthSq));
+    return Math.hypot(px - (x1 + lx * t), pz - (z1 + lz * t));
+}
+
+/**
+ * Even-odd point-in-polygon; points on an edge count as inside
+ */
+function pointInPolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, zi] = polygon[i];
+        const [xj, zj] = polygon[j];
+
+        if (distanceToSegment(x, z, xi, zi, xj, zj) < EPSILON) {
+            return true;
+        }
+        if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Distance from a point to the nearest polygon edge
+ */
+function distanceToPolygonEdge(x, z, polygon) {
+    let min = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        min = Math.min(min, distanceToSegment(x, z, polygon[j][0], polygon[j][1], polygon[i][0], polygon[i][1]));
+    }
+    return min;
+}
+
+/**
+ * Parameter t in [0, 1] along a->b where it crosses c->d, or null
+ */
+function segmentIntersection(ax, az, bx, bz, cx, cz, dx, dz) {
+    const rx = bx - ax;
+    const rz = bz - az;
+    const sx = dx - cx;
+    const sz = dz - cz;
+    const denom = rx * sz - rz * sx;
+    if (Math.abs(denom) < EPSILON) return null;
+
+    const t = ((cx - ax) * sz - (cz - az) * sx) / denom;
+    const u = ((cx - ax) * rz - (cz - az) * rx) / denom;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+/**
+ * Whether segment a->b touches the polygon (crosses an edge or lies inside it)
+ */
+function segmentIntersectsPolygon(ax, az, bx, bz, polygon) {
+    if (pointInPolygon(ax, az, polygon) || pointInPolygon(bx, bz, polygon)) {
+        return true;
+    }
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        if (segmentIntersection(ax, az, bx, bz, polygon[j][0], polygon[j][1], polygon[i][0], polygon[i][1]) !== null) {
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    distanceToSegment,
+    pointInPolygon,
+    distanceToPolygonEdge,
+    segmentIntersection,
+    segmentIntersectsPolygon
+};
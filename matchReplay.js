@@ -0,0 +1,177 @@
+/**
+ * Match Replays
+ *
+ * Loads files written by MatchRecorder and re-simulates them: a fresh
+ * GameEngine on a ManualClock is fed the recorded inputs, ticks and broadcasts
+ * at their recorded times, and the events it emits are compared with the
+ * recorded ones.
+ *
+ * CLI: node matchReplay.js verify <file.replay.gz> [...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const GameEngine = require('./gameEngine');
+const MatchRecorder = require('./MatchRecorder');
+const RecordingEventSink = require('./RecordingEventSink');
+const { ManualClock } = require('./clock');
+
+const MATCH_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// How each recorded engine call is re-issued; `io` is the replay's event sink
+const INPUT_HANDLERS = {
+    addPlayer: (engine, a) => engine.addPlayer(a.socketId, a.playerId, a.team),
+    removePlayer: (engine, a) => engine.removePlayer(a.socketId),
+    updatePlayerSocket: (engine, a) => engine.updatePlayerSocket(a.oldSocketId, a.newSocketId),
+    setPlayerConnected: (engine, a) => engine.setPlayerConnected(a.socketId, a.connected),
+    updatePlayerTeam: (engine, a) => engine.updatePlayerTeam(a.socketId, a.newTeam),
+    setPlayerPosition: (engine, a) => engine.setPlayerPosition(a.socketId, a.x, a.z),
+    addSpectator: (engine, a) => engine.addSpectator(a.socketId),
+    removeSpectator: (engine, a) => engine.removeSpectator(a.socketId),
+    beginGame: (engine, a, io) => engine.beginGame(io),
+    handlePlayerMove: (engine, a, io) => engine.handlePlayerMove(a.socketId, a.targetX, a.targetZ, a.actionId, io, a.clientTime),
+    handleKnifeThrow: (engine, a, io) => engine.handleKnifeThrow(a.socketId, a.targetX, a.targetZ, a.actionId, io, a.clientTimestamp),
+    handleUseAbility: (engine, a, io) => engine.handleUseAbility(a.socketId, a.ability, a.targetX, a.targetZ, a.actionId, io, a.clientTimestamp),
+    handleCollisionReport: (engine, a, io) => engine.handleCollisionReport(a.attackerSocketId, a.report, io)
+};
+
+function replayPath(dir, matchId) {
+    if (!MATCH_ID_PATTERN.test(String(matchId))) {
+        return null;
+    }
+    return path.join(dir, `${matchId}${MatchRecorder.REPLAY_EXTENSION}`);
+}
+
+/**
+ * @returns {{header: Object, records: Array}}
+ */
+function loadReplay(filePath) {
+    const lines = zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8').split('\n');
+    const header = JSON.parse(lines[0]);
+    if (!header || header.type !== 'header') {
+        throw new Error(`Not a replay file: ${filePath}`);
+    }
+
+    const records = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i]) {
+            records.push(JSON.parse(lines[i]));
+        }
+    }
+    return { header, records };
+}
+
+/**
+ * Replay headers in a directory, newest first
+ */
+function listReplays(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const replays = [];
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith(MatchRecorder.REPLAY_EXTENSION)) continue;
+        try {
+            const { header, records } = loadReplay(path.join(dir, file));
+            const last = records[records.length - 1];
+            replays.push({
+                matchId: header.matchId,
+                roomCode: header.roomCode,
+                gameMode: header.gameMode,
+                startTime: header.startTime,
+                durationMs: last ? last[1] : 0,
+                complete: !!last && last[0] === 'F'
+            });
+        } catch (err) {
+            console.log(`[REPLAY] Skipping unreadable replay ${file}:`, err.message);
+        }
+    }
+    return replays.sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Re-simulate a replay
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Engine logger (default: console)
+ * @returns {{engine: GameEngine, events: Array}} events as recorded by the sink
+ */
+function simulateReplay({ header, records }, { logger } = {}) {
+    const clock = new ManualClock(header.startTime);
+    const engine = new GameEngine(header.roomCode, header.gameMode, {
+        ...header.engine,
+        clock,
+        monitorEventLoop: false,
+        logger
+    });
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+
+    for (const record of records) {
+        const [type, t] = record;
+        clock.set(header.startTime + t);
+
+        if (type === 'I') {
+            const handler = INPUT_HANDLERS[record[2]];
+            if (!handler) {
+                throw new Error(`Unknown replay input: ${record[2]}`);
+            }
+            handler(engine, record[3], sink);
+        } else if (type === 'T') {
+            engine.runTick(sink);
+        } else if (type === 'B') {
+            engine.broadcastGameState(sink);
+        }
+    }
+
+    return { engine, events: sink.events };
+}
+
+/**
+ * Re-simulate and compare every emitted event with the recording
+ * @returns {{ok: boolean, eventsCompared: number, mismatch: Object|null}}
+ */
+function verifyReplay(replay) {
+    const simulated = simulateReplay(replay, { logger: GameEngine.SILENT_LOGGER });
+    simulated.engine.dispose();
+
+    const expected = replay.records.filter(r => r[0] === 'E');
+    const actual = simulated.events;
+    const count = Math.max(expected.length, actual.length);
+
+    for (let i = 0; i < count; i++) {
+        const want = expected[i] ? JSON.stringify([expected[i][2], expected[i][3], expected[i][4]]) : null;
+        const got = actual[i] ? JSON.stringify([actual[i].target, actual[i].event, actual[i].data]) : null;
+        if (want !== got) {
+            return { ok: false, eventsCompared: i, mismatch: { index: i, expected: want, actual: got } };
+        }
+    }
+
+    return { ok: true, eventsCompared: count, mismatch: null };
+}
+
+if (require.main === module) {
+    const [command, ...files] = process.argv.slice(2);
+    if (command !== 'verify' || files.length === 0) {
+        console.log('Usage: node matchReplay.js verify <file.replay.gz> [...]');
+        process.exitCode = 1;
+    } else {
+        for (const file of files) {
+            const result = verifyReplay(loadReplay(file));
+            console.log(`[REPLAY] ${result.ok ? 'MATCH' : 'MISMATCH'} ${file} (${result.eventsCompared} events)`);
+            if (!result.ok) {
+                console.log(`[REPLAY]   #${result.mismatch.index} expected ${result.mismatch.expected}`);
+                console.log(`[REPLAY]   #${result.mismatch.index} actual   ${result.mismatch.actual}`);
+                process.exitCode = 1;
+            }
+        }
+    }
+}
+
+module.exports = {
+    replayPath,
+    loadReplay,
+    listReplays,
+    simulateReplay,
+    verifyReplay
+};
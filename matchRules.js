@@ -0,0 +1,307 @@
+/**
+ * Match Rules
+ *
+ * Decide when rounds and the match end; GameEngine calls them once per tick
+ * (update), on every kill (onKill) and when the game begins (start).
+ *
+ *   elimination  - one round, last team standing wins (default)
+ *   rounds       - best of N elimination rounds; spawns reset between rounds
+ *   deathmatch   - timed; dead players respawn after a delay with spawn protection
+ *   firstToKills - deathmatch that ends when a team reaches the kill limit
+ *
+ * Every rule set emits serverRoundStart, serverRoundEnd and serverMatchEnd with
+ * the team scores; serverGameOver is still emitted at the end for older clients.
+ */
+
+const MATCH_RULE_TYPES = ['elimination', 'rounds', 'deathmatch', 'firstToKills'];
+
+function positive(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function nonNegative(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+class MatchRules {
+    constructor(config) {
+        this.name = config.type;
+        this.config = config;      // { type, ...options }; stored in replay headers
+        this.round = 0;
+        this.scores = new Map();   // team -> score
+    }
+
+    start() {}
+
+    onKill() {}
+
+    update() {}
+
+    addScore(team, amount = 1) {
+        this.scores.set(team, (this.scores.get(team) || 0) + amount);
+    }
+
+    /**
+     * @returns {Object} team -> score, every team in the room included
+     */
+    getScores(engine) {
+        const scores = {};
+        for (const player of engine.players.values()) {
+            scores[player.team] = 0;
+        }
+        for (const [team, score] of this.scores.entries()) {
+            scores[team] = score;
+        }
+        return scores;
+    }
+
+    /**
+     * Team with the highest score, or null when tied
+     */
+    getLeader(engine) {
+        let leader = null;
+        let best = -Infinity;
+        let tied = false;
+        for (const [team, score] of Object.entries(this.getScores(engine))) {
+            if (score > best) {
+                leader = Number(team);
+                best = score;
+                tied = false;
+            } else if (score === best) {
+                tied = true;
+            }
+        }
+        return tied ? null : leader;
+    }
+
+    getAliveTeams(engine) {
+        const teams = new Set();
+        for (const player of engine.players.values()) {
+            if (!player.isDead) {
+                teams.add(player.team);
+            }
+        }
+        return Array.from(teams);
+    }
+
+    getState(engine) {
+        return { type: this.name, round: this.round, scores: this.getScores(engine) };
+    }
+
+    startRound(engine, io, extra = {}) {
+        this.round++;
+        engine.roundActive = true;
+        engine.emitTo(io, engine.roomCode, 'serverRoundStart', {
+            round: this.round,
+            scores: this.getScores(engine),
+            ...extra,
+            serverTick: engine.serverTick,
+            serverTime: engine.now()
+        });
+    }
+
+    endRound(engine, io, winningTeam) {
+        engine.roundActive = false;
+        engine.emitTo(io, engine.roomCode, 'serverRoundEnd', {
+            round: this.round,
+            winningTeam,
+            scores: this.getScores(engine),
+            serverTick: engine.serverTick,
+            serverTime: engine.now()
+        });
+    }
+
+    endMatch(engine, io, winningTeam) {
+        engine.endMatch(io, winningTeam, {
+            type: this.name,
+            rounds: this.round,
+            scores: this.getScores(engine)
+        });
+    }
+}
+
+/**
+ * The original rule: the match ends the moment one team has no living players
+ */
+class EliminationRules extends MatchRules {
+    constructor() {
+        super({ type: 'elimination' });
+    }
+
+    start(engine, io) {
+        this.startRound(engine, io);
+    }
+
+    update(engine, io) {
+        const teams = this.getAliveTeams(engine);
+        if (teams.length > 1) return;
+
+        // Nobody left standing (simultaneous kills) is a draw
+        const winningTeam = teams.length === 1 ? teams[0] : null;
+        if (winningTeam !== null) {
+            this.addScore(winningTeam);
+        }
+        this.endRound(engine, io, winningTeam);
+        this.endMatch(engine, io, winningTeam);
+    }
+}
+
+class RoundsRules extends MatchRules {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.rounds] - Best of N; the first team to win a majority takes the match
+     * @param {number} [options.intermissionMs] - Pause between a round's end and the next spawn reset
+     */
+    constructor({ rounds = 3, intermissionMs = 3000 } = {}) {
+        rounds = Math.floor(positive(rounds, 3));
+        intermissionMs = nonNegative(intermissionMs, 3000);
+        super({ type: 'rounds', rounds, intermissionMs });
+        this.rounds = rounds;
+        this.winsNeeded = Math.floor(rounds / 2) + 1;
+        this.intermissionMs = intermissionMs;
+        this.nextRoundAt = null;
+    }
+
+    start(engine, io) {
+        this.startRound(engine, io, { rounds: this.rounds });
+    }
+
+    update(engine, io) {
+        if (this.nextRoundAt !== null) {
+            if (engine.now() >= this.nextRoundAt) {
+                this.nextRoundAt = null;
+                engine.resetRound(io);
+                this.startRound(engine, io, { rounds: this.rounds });
+            }
+            return;
+        }
+
+        const teams = this.getAliveTeams(engine);
+        if (teams.length > 1) return;
+
+        // Nobody left standing (simultaneous kills) is a drawn round
+        const winningTeam = teams.length === 1 ? teams[0] : null;
+        if (winningTeam !== null) {
+            this.addScore(winningTeam);
+        }
+        this.endRound(engine, io, winningTeam);
+
+        const decided = winningTeam !== null && this.scores.get(winningTeam) >= this.winsNeeded;
+        if (decided || this.round >= this.rounds) {
+            this.endMatch(engine, io, this.getLeader(engine));
+            return;
+        }
+
+        this.nextRoundAt = engine.now() + this.intermissionMs;
+    }
+
+    getState(engine) {
+        return { ...super.getState(engine), rounds: this.rounds };
+    }
+}
+
+class DeathmatchRules extends MatchRules {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.type] - 'deathmatch' or 'firstToKills'
+     * @param {number|null} [options.durationMs] - Match length; null for no time limit
+     * @param {number|null} [options.scoreLimit] - Kills a team needs to win; null for no limit
+     * @param {number} [options.respawnDelayMs] - Time a killed player stays dead
+     * @param {number} [options.spawnProtectionMs] - Knives pass through a respawned player this long (or until it throws)
+     */
+    constructor({ type = 'deathmatch', durationMs, scoreLimit, respawnDelayMs = 3000, spawnProtectionMs = 2000 } = {}) {
+        const defaults = type === 'firstToKills'
+            ? { durationMs: null, scoreLimit: 10 }
+            : { durationMs: 300000, scoreLimit: null };
+        super({
+            type,
+            durationMs: durationMs === null ? null : positive(durationMs, defaults.durationMs),
+            scoreLimit: scoreLimit === null ? null : positive(scoreLimit, defaults.scoreLimit),
+            respawnDelayMs: nonNegative(respawnDelayMs, 3000),
+            spawnProtectionMs: nonNegative(spawnProtectionMs, 2000)
+        });
+        this.durationMs = this.config.durationMs;
+        this.scoreLimit = this.config.scoreLimit;
+        this.respawnDelayMs = this.config.respawnDelayMs;
+        this.spawnProtectionMs = this.config.spawnProtectionMs;
+        this.endsAt = null;
+    }
+
+    start(engine, io) {
+        this.endsAt = this.durationMs !== null ? engine.now() + this.durationMs : null;
+        this.startRound(engine, io, { endsAt: this.endsAt, scoreLimit: this.scoreLimit });
+    }
+
+    onKill(engine, victim, killer, io) {
+        if (killer && killer.team !== victim.team) {
+            this.addScore(killer.team);
+        }
+        victim.respawnAt = engine.now() + this.respawnDelayMs;
+
+        engine.emitTo(io, engine.roomCode, 'serverScoreUpdate', {
+            killerPlayerId: killer ? killer.playerId : null,
+            victimPlayerId: victim.playerId,
+            respawnAt: victim.respawnAt,
+            scores: this.getScores(engine),
+            serverTick: engine.serverTick,
+            serverTime: engine.now()
+        });
+    }
+
+    update(engine, io) {
+        const now = engine.now();
+
+        for (const player of engine.players.values()) {
+            if (player.isDead && player.respawnAt !== null && now >= player.respawnAt) {
+                engine.respawnPlayer(player, this.spawnProtectionMs, io);
+            }
+        }
+
+        const limitReached = this.scoreLimit !== null &&
+            Array.from(this.scores.values()).some(score => score >= this.scoreLimit);
+        const timeUp = this.endsAt !== null && now >= this.endsAt;
+
+        if (limitReached || timeUp) {
+            const winningTeam = this.getLeader(engine);
+            this.endRound(engine, io, winningTeam);
+            this.endMatch(engine, io, winningTeam);
+        }
+    }
+
+    getState(engine) {
+        return { ...super.getState(engine), endsAt: this.endsAt, scoreLimit: this.scoreLimit };
+    }
+}
+
+/**
+ * Resolve a rule name, a { type, ...options } config, or pass through a MatchRules instance
+ */
+function createMatchRules(rules = 'elimination') {
+    if (rules instanceof MatchRules) {
+        return rules;
+    }
+
+    const config = rules && typeof rules === 'object' ? rules : { type: rules };
+    switch (config.type) {
+        case 'elimination':
+            return new EliminationRules();
+        case 'rounds':
+            return new RoundsRules(config);
+        case 'deathmatch':
+        case 'firstToKills':
+            return new DeathmatchRules(config);
+        default:
+            throw new Error(`Unknown match rules: ${config.type}`);
+    }
+}
+
+module.exports = {
+    MATCH_RULE_TYPES,
+    MatchRules,
+    EliminationRules,
+    RoundsRules,
+    DeathmatchRules,
+    createMatchRules
+};
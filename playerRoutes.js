@@ -0,0 +1,150 @@
+/**
+ * REST routes over a PlayerStore
+ *
+ *   POST /players                              a new server-issued { playerId, playerToken }, rate limited per client IP
+ *   GET /players/:playerId                     profile with overall and per-mode totals and ratings
+ *   GET /players/:playerId/matches?limit&offset  most recent matches first
+ *   GET /matches/:matchId                      one match record
+ *   GET /leaderboard?mode&sort&limit           sort: wins (default), winRate, kills, rating (with a mode)
+ */
+
+const express = require('express');
+const { SUPPORTED_GAME_MODES } = require('./gameModes');
+const { LEADERBOARD_SORTS, MAX_LEADERBOARD_LIMIT } = require('./PlayerStore');
+
+const MAX_MATCHES_PAGE = 100;
+const DEFAULT_ISSUE_LIMIT = { max: 10, windowMs: 60 * 60 * 1000 };
+
+/**
+ * Non-negative integer query parameter, or the fallback when absent; null when malformed
+ */
+function parseCount(value, fallback, max) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) return null;
+    return Math.min(number, max);
+}
+
+/**
+ * Fixed-window counter per key: take(key) uses up one of max per windowMs
+ * @returns {{take: (key: string) => number}} take returns 0 when allowed, otherwise ms until the window resets
+ */
+function createWindowLimiter({ max, windowMs }, now) {
+    const windows = new Map(); // key -> { count, resetAt }
+
+    return {
+        take(key) {
+            const time = now();
+            if (windows.size > 10000) {
+                for (const [k, w] of windows) {
+                    if (w.resetAt <= time) windows.delete(k);
+                }
+            }
+
+            let window = windows.get(key);
+            if (!window || window.resetAt <= time) {
+                window = { count: 0, resetAt: time + windowMs };
+                windows.set(key, window);
+            }
+            if (window.count >= max) {
+                return window.resetAt - time;
+            }
+            window.count++;
+            return 0;
+        }
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.store - PlayerStore
+ * @param {Object} options.playerTokens - ReconnectTokens issuing player tokens
+ * @param {{max: number, windowMs: number}} [options.issueLimit] - Identities one client IP may be issued per window (default: 10 per hour)
+ * @param {() => number} [options.now] - Clock for the issue limit (default: Date.now)
+ */
+function createPlayerRoutes({ store, playerTokens, issueLimit = DEFAULT_ISSUE_LIMIT, now = Date.now }) {
+    const router = express.Router();
+    const issueLimiter = createWindowLimiter(issueLimit, now);
+
+    // Only players joining with the token get their matches stored.
+    // Issuing is unauthenticated, so each client IP gets a few identities per window
+    router.post('/players', (req, res) => {
+        const retryAfterMs = issueLimiter.take(req.ip);
+        if (retryAfterMs > 0) {
+            console.log(`[PLAYER-STORE] Issue limit reached for ${req.ip}`);
+            res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+            return res.status(429).json({ error: 'Too many players issued from this address; try again later' });
+        }
+
+        const player = playerTokens.issuePlayerToken();
+        console.log(`[PLAYER-STORE] Issued player ${player.playerId}`);
+        res.status(201).json(player);
+    });
+
+    router.get('/players/:playerId', async (req, res, next) => {
+        try {
+            const player = await store.getPlayer(req.params.playerId);
+            if (!player) {
+                return res.status(404).json({ error: 'Player not found' });
+            }
+            res.json(player);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/players/:playerId/matches', async (req, res, next) => {
+        const limit = parseCount(req.query.limit, 20, MAX_MATCHES_PAGE);
+        const offset = parseCount(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+        if (limit === null || offset === null) {
+            return res.status(400).json({ error: 'Invalid limit or offset' });
+        }
+
+        try {
+            const matches = await store.listPlayerMatches(req.params.playerId, { limit, offset });
+            res.json({ playerId: req.params.playerId, limit, offset, matches });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/matches/:matchId', async (req, res, next) => {
+        try {
+            const match = await store.getMatch(req.params.matchId);
+            if (!match) {
+                return res.status(404).json({ error: 'Match not found' });
+            }
+            res.json(match);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/leaderboard', async (req, res, next) => {
+        const { mode, sort = 'wins' } = req.query;
+        if (mode !== undefined && !SUPPORTED_GAME_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Unknown game mode: ${mode}` });
+        }
+        if (!LEADERBOARD_SORTS.includes(sort)) {
+            return res.status(400).json({ error: `sort must be one of ${LEADERBOARD_SORTS.join(', ')}` });
+        }
+        if (sort === 'rating' && mode === undefined) {
+            return res.status(400).json({ error: 'sort=rating needs a mode' });
+        }
+        const limit = parseCount(req.query.limit, 20, MAX_LEADERBOARD_LIMIT);
+        if (limit === null) {
+            return res.status(400).json({ error: 'Invalid limit' });
+        }
+
+        try {
+            const entries = await store.getLeaderboard({ mode, sort, limit });
+            res.json({ mode: mode || null, sort, entries });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPlayerRoutes;
@@ -0,0 +1,297 @@
+/**
+ * Room Action Handlers
+ *
+ * Socket event handlers for rooms and in-game commands, keyed by event name.
+ * Handlers address clients by socket id through io.to(socketId), so they work
+ * the same whether the socket is connected to this instance or forwarded from
+ * another one by RoomRouter.
+ */
+
+const { validateMoveCommand, validateKnifeCommand, validateAbilityCommand, validateCollisionReport } = require('./commandValidation');
+
+function createRoomHandlers({ io, roomManager }) {
+    function emitRoomError(socketId, action, message) {
+        console.log(`[ROOM-MANAGER] ${action} rejected for ${socketId}: ${message}`);
+        io.to(socketId).emit('roomError', { action, message });
+    }
+
+    // Reject a command so the client can roll back its prediction
+    function rejectCommand(socketId, command, data, reason) {
+        const actionId = data && typeof data.actionId === 'string' && data.actionId.length <= 64 ? data.actionId : null;
+        console.log(`[COMMAND] ${command} rejected for ${socketId}: ${reason}`);
+        io.to(socketId).emit('commandRejected', { command, actionId, reason });
+    }
+
+    // Notify remaining players if the room still exists
+    function broadcastRoomUpdate(room) {
+        if (roomManager.getRoom(room.roomCode)) {
+            io.to(room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(room));
+        }
+    }
+
+    function emitGameStarted(room) {
+        io.to(room.roomCode).emit('gameStarted', {
+            roomCode: room.roomCode,
+            gameMode: room.gameMode,
+            ...room.engine.getSnapshot()
+        });
+    }
+
+    return {
+        async createRoom(socketId, data) {
+            const result = await roomManager.createRoom(socketId, data || {});
+            if (result.error) {
+                return emitRoomError(socketId, 'createRoom', result.error);
+            }
+
+            io.to(socketId).emit('roomCreated', {
+                ...roomManager.getRoomInfo(result.room),
+                playerId: result.player.playerId,
+                team: result.player.team,
+                reconnectToken: result.reconnectToken
+            });
+        },
+
+        joinRoom(socketId, data) {
+            const result = roomManager.joinRoom(socketId, data || {});
+            if (result.error) {
+                return emitRoomError(socketId, 'joinRoom', result.error);
+            }
+
+            io.to(socketId).emit('roomJoined', {
+                ...roomManager.getRoomInfo(result.room),
+                playerId: result.player.playerId,
+                team: result.player.team,
+                reconnectToken: result.reconnectToken
+            });
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+        },
+
+        // Reconnect with the signed token from roomCreated/roomJoined/rejoinSuccess
+        rejoinRoom(socketId, data) {
+            const result = roomManager.rejoinRoom(socketId, data || {});
+            if (result.error) {
+                return emitRoomError(socketId, 'rejoinRoom', result.error);
+            }
+
+            io.to(socketId).emit('rejoinSuccess', {
+                roomCode: result.room.roomCode,
+                gameMode: result.room.gameMode,
+                status: result.room.status,
+                playerId: result.player.playerId,
+                team: result.player.team,
+                reconnectToken: result.reconnectToken,
+                snapshot: result.room.engine.getSnapshot()
+            });
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+        },
+
+        // Read-only, delayed view of a room (see SpectatorFeed)
+        spectateRoom(socketId, data) {
+            const result = roomManager.spectateRoom(socketId, data || {});
+            if (result.error) {
+                return emitRoomError(socketId, 'spectateRoom', result.error);
+            }
+
+            io.to(socketId).emit('spectateJoined', {
+                ...roomManager.getRoomInfo(result.room),
+                delayMs: result.delayMs,
+                snapshot: result.lastState
+            });
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+        },
+
+        changeTeam(socketId, data) {
+            const result = roomManager.changeTeam(socketId, data && data.team);
+            if (result.error) {
+                return emitRoomError(socketId, 'changeTeam', result.error);
+            }
+
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+        },
+
+        leaveRoom(socketId) {
+            const result = roomManager.leaveRoom(socketId);
+            if (result.error) {
+                return emitRoomError(socketId, 'leaveRoom', result.error);
+            }
+
+            io.to(socketId).emit('roomLeft', { roomCode: result.room.roomCode });
+            broadcastRoomUpdate(result.room);
+        },
+
+        startGame(socketId) {
+            const result = roomManager.startRoom(socketId);
+            if (result.error) {
+                return emitRoomError(socketId, 'startGame', result.error);
+            }
+
+            emitGameStarted(result.room);
+        },
+
+        // Lobby ready-check; the last player to ready up starts the game
+        setReady(socketId, data) {
+            const result = roomManager.setReady(socketId, data && data.ready);
+            if (result.error) {
+                return emitRoomError(socketId, 'setReady', result.error);
+            }
+
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+            if (result.started) {
+                emitGameStarted(result.room);
+            }
+        },
+
+        kickPlayer(socketId, data) {
+            const result = roomManager.kickPlayer(socketId, data && data.playerId);
+            if (result.error) {
+                return emitRoomError(socketId, 'kickPlayer', result.error);
+            }
+
+            io.to(result.kicked.socketId).emit('kicked', { roomCode: result.room.roomCode });
+            broadcastRoomUpdate(result.room);
+        },
+
+        transferHost(socketId, data) {
+            const result = roomManager.transferHost(socketId, data && data.playerId);
+            if (result.error) {
+                return emitRoomError(socketId, 'transferHost', result.error);
+            }
+
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+        },
+
+        // Host changes gameMode, mapId or matchRules before the game starts
+        updateRoomOptions(socketId, data) {
+            const result = roomManager.updateRoomOptions(socketId, data || {});
+            if (result.error) {
+                return emitRoomError(socketId, 'updateRoomOptions', result.error);
+            }
+
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+        },
+
+        // Host makes the lobby private/public and sets or clears (null) the password
+        setRoomAccess(socketId, data) {
+            const result = roomManager.setRoomAccess(socketId, data || {});
+            if (result.error) {
+                return emitRoomError(socketId, 'setRoomAccess', result.error);
+            }
+
+            io.to(result.room.roomCode).emit('roomUpdate', roomManager.getRoomInfo(result.room));
+        },
+
+        // Invite token for joinRoom/spectateRoom, only sent to the host
+        createInvite(socketId, data) {
+            const result = roomManager.createInvite(socketId, data || {});
+            if (result.error) {
+                return emitRoomError(socketId, 'createInvite', result.error);
+            }
+
+            io.to(socketId).emit('inviteCreated', { roomCode: result.room.roomCode, ...result.invite });
+        },
+
+        revokeInvite(socketId, data) {
+            const result = roomManager.revokeInvite(socketId, data && data.inviteToken);
+            if (result.error) {
+                return emitRoomError(socketId, 'revokeInvite', result.error);
+            }
+
+            io.to(socketId).emit('inviteRevoked', { roomCode: result.room.roomCode, inviteToken: data.inviteToken });
+        },
+
+        // Open lobbies on every instance, optionally filtered
+        async listLobbies(socketId, data) {
+            const { gameMode, mapId, matchRules, hasSpace } = data || {};
+            const result = await roomManager.listLobbies({ gameMode, mapId, matchRules, hasSpace });
+            if (result.error) {
+                return emitRoomError(socketId, 'listLobbies', result.error);
+            }
+
+            io.to(socketId).emit('lobbyList', { lobbies: result.lobbies });
+        },
+
+        closeRoom(socketId) {
+            const result = roomManager.closeRoomAsHost(socketId);
+            if (result.error) {
+                return emitRoomError(socketId, 'closeRoom', result.error);
+            }
+        },
+
+        // Authoritative movement (LOLLevelNetworkManager.sendMovementCommand)
+        playerMove(socketId, data) {
+            const command = validateMoveCommand(data);
+            if (command.error) {
+                return rejectCommand(socketId, 'playerMove', data, command.error);
+            }
+
+            const auth = roomManager.authorizeCommand(socketId, command.roomCode);
+            if (auth.error) {
+                return rejectCommand(socketId, 'playerMove', command, auth.error);
+            }
+
+            auth.room.engine.handlePlayerMove(socketId, command.targetX, command.targetZ, command.actionId, io, command.clientTime);
+        },
+
+        // Authoritative knife throw (LOLLevelNetworkManager.sendKnifeCommand)
+        knifeThrow(socketId, data) {
+            const command = validateKnifeCommand(data);
+            if (command.error) {
+                return rejectCommand(socketId, 'knifeThrow', data, command.error);
+            }
+
+            const auth = roomManager.authorizeCommand(socketId, command.roomCode);
+            if (auth.error) {
+                return rejectCommand(socketId, 'knifeThrow', command, auth.error);
+            }
+
+            auth.room.engine.handleKnifeThrow(socketId, command.targetX, command.targetZ, command.actionId, io, command.clientTimestamp);
+        },
+
+        // Any ability from abilities.js (knifeThrow is the 'knife' ability)
+        useAbility(socketId, data) {
+            const command = validateAbilityCommand(data);
+            if (command.error) {
+                return rejectCommand(socketId, 'useAbility', data, command.error);
+            }
+
+            const auth = roomManager.authorizeCommand(socketId, command.roomCode);
+            if (auth.error) {
+                return rejectCommand(socketId, 'useAbility', command, auth.error);
+            }
+
+            if (!auth.room.engine.hasAbility(command.ability)) {
+                return rejectCommand(socketId, 'useAbility', command, 'Unknown ability');
+            }
+
+            auth.room.engine.handleUseAbility(socketId, command.ability, command.targetX, command.targetZ, command.actionId, io, command.clientTimestamp);
+        },
+
+        // Client-side hit claim, verified by GameEngine.handleCollisionReport
+        collisionReport(socketId, data) {
+            const report = validateCollisionReport(data);
+            if (report.error) {
+                return rejectCommand(socketId, 'collisionReport', data, report.error);
+            }
+
+            const auth = roomManager.authorizeCommand(socketId, report.roomCode);
+            if (auth.error) {
+                return rejectCommand(socketId, 'collisionReport', report, auth.error);
+            }
+
+            const result = auth.room.engine.handleCollisionReport(socketId, report, io);
+            if (!result.accepted) {
+                rejectCommand(socketId, 'collisionReport', report, result.reason);
+            }
+        },
+
+        disconnect(socketId) {
+            const result = roomManager.handleDisconnect(socketId);
+            if (!result.error) {
+                broadcastRoomUpdate(result.room);
+            }
+        }
+    };
+}
+
+module.exports = createRoomHandlers;
@@ -2,6 +2,23 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const path = require('path');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const RoomManager = require('./RoomManager');
+const RoomRouter = require('./RoomRouter');
+const ReconnectTokens = require('./ReconnectTokens');
+const createRoomHandlers = require('./roomHandlers');
+const { RedisRoomRegistry } = require('./RoomRegistry');
+const MatchRecorder = require('./MatchRecorder');
+const ReplayStreamer = require('./ReplayStreamer');
+const { listReplays } = require('./matchReplay');
+const { createMatchRules } = require('./matchRules');
+const GameMap = require('./GameMap');
+const { createPlayerStore } = require('./PlayerStore');
+const createPlayerRoutes = require('./playerRoutes');
+const Matchmaker = require('./Matchmaker');
 
 const app = express();
 const server = http.createServer(app);
@@ -31,6 +48,9 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// 在反向代理（如 Render）後面時，依 TRUST_PROXY 層數從 X-Forwarded-For 取得用戶端 IP（限流用）
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
+
 // Socket.IO CORS 配置
 const io = socketIo(server, {
     cors: {
@@ -40,6 +60,65 @@ const io = socketIo(server, {
     }
 });
 
+// 實例識別（Redis 房間註冊表使用）
+const INSTANCE_ID = process.env.INSTANCE_ID || process.env.RENDER_INSTANCE_ID || crypto.randomUUID();
+const USE_REDIS = process.env.USE_REDIS !== 'false';
+const REDIS_URL = process.env.REDIS_URL;
+
+// 比賽規則：名稱（elimination / rounds / deathmatch / firstToKills）或 JSON 設定
+function parseMatchRules(value) {
+    if (!value) return undefined;
+    return value.trim().startsWith('{') ? JSON.parse(value) : value.trim();
+}
+const MATCH_RULES = parseMatchRules(process.env.MATCH_RULES);
+createMatchRules(MATCH_RULES); // 啟動時就驗證設定，避免建立房間時才失敗
+
+// 預設地圖（maps/<id>.json），啟動時載入以便及早發現錯誤
+const DEFAULT_MAP = process.env.DEFAULT_MAP || GameMap.DEFAULT_MAP_ID;
+GameMap.get(DEFAULT_MAP);
+
+// 比賽回放錄製（選用）
+const RECORD_REPLAYS = process.env.RECORD_REPLAYS === 'true';
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+
+// 玩家資料、比賽紀錄與排行榜（預設存成 DATA_DIR/players.json）
+const playerStore = createPlayerStore(process.env.PLAYER_STORE || 'file', {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+});
+
+// 重連 token 與玩家 token 共用同一個密鑰
+const reconnectTokens = new ReconnectTokens({ secret: process.env.RECONNECT_TOKEN_SECRET });
+
+// 房間管理（每個房間一個 GameEngine）
+const roomManager = new RoomManager(io, {
+    instanceId: INSTANCE_ID,
+    reconnectTokens,
+    reconnectGraceMs: process.env.RECONNECT_GRACE_MS !== undefined ? Number(process.env.RECONNECT_GRACE_MS) : undefined,
+    spectatorDelayMs: process.env.SPECTATOR_DELAY_MS !== undefined ? Number(process.env.SPECTATOR_DELAY_MS) : undefined,
+    createRecorder: RECORD_REPLAYS
+        ? (roomCode) => new MatchRecorder({ dir: REPLAY_DIR, matchId: `${roomCode}-${Date.now()}` })
+        : null,
+    playerStore,
+    engineOptions: {
+        historyRecordRate: Number(process.env.HISTORY_RECORD_RATE) || undefined,
+        allowClientHitReports: process.env.ALLOW_CLIENT_HIT_REPORTS !== 'false',
+        collision: process.env.COLLISION_STRATEGY || undefined,
+        broadcast: process.env.BROADCAST_STRATEGY || undefined,
+        matchRules: MATCH_RULES,
+        map: DEFAULT_MAP,
+        knifeRicochets: Number(process.env.KNIFE_RICOCHETS) || 0
+    }
+});
+const roomHandlers = createRoomHandlers({ io, roomManager });
+const ROOM_ACTIONS = Object.keys(roomHandlers).filter(action => action !== 'disconnect');
+let roomRouter = new RoomRouter({ io, roomManager, handlers: roomHandlers });
+const replayStreamer = new ReplayStreamer({ io, replayDir: REPLAY_DIR });
+
+// 積分配對佇列（1v1 / 3v3，依 Glicko-2 積分分隊）
+const matchmaker = new Matchmaker({ io, roomManager, playerStore });
+matchmaker.start();
+let redisClients = [];
+
 // 遊戲狀態
 const gameState = {
     players: new Map(),
@@ -112,11 +191,29 @@ io.on('connection', (socket) => {
         }, 1000);
     });
 
+    // 房間與遊戲指令（本地處理或轉發到擁有房間的實例）
+    for (const action of ROOM_ACTIONS) {
+        socket.on(action, (data) => roomRouter.dispatch(socket.id, action, data));
+    }
+
+    // 比賽回放觀看（本實例的回放檔）
+    socket.on('watchReplay', (data) => replayStreamer.watch(socket.id, data));
+    socket.on('replayControl', (data) => replayStreamer.control(socket.id, data));
+    socket.on('stopReplay', () => replayStreamer.stop(socket.id));
+
+    // 配對佇列（本實例）
+    socket.on('joinQueue', (data) => matchmaker.joinQueue(socket.id, data));
+    socket.on('leaveQueue', () => matchmaker.leaveQueue(socket.id));
+
     // 玩家斷開連接
     socket.on('disconnect', () => {
         console.log('玩家斷開連接:', socket.id);
         gameState.players.delete(socket.id);
         io.emit('player-disconnected', socket.id);
+        
+        roomRouter.dispatch(socket.id, 'disconnect');
+        replayStreamer.stop(socket.id, false);
+        matchmaker.handleDisconnect(socket.id);
     });
 });
 
@@ -173,7 +270,9 @@ function checkKnifeHit(knifeId, targetX, targetZ) {
 app.get('/', (req, res) => {
     res.json({
         status: 'Server is running',
+        instanceId: INSTANCE_ID,
         players: gameState.players.size,
+        rooms: roomManager.rooms.size,
         knives: gameState.knives.size
     });
 });
@@ -182,10 +281,103 @@ app.get('/health', (req, res) => {
     res.json({ 
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        players: gameState.players.size
+        players: gameState.players.size,
+        rooms: roomManager.rooms.size
     });
 });
 
+// 查詢房間所在實例（共享註冊表）
+app.get('/rooms/:roomCode', async (req, res, next) => {
+    try {
+        const record = await roomManager.registry.getRoom(req.params.roomCode);
+        // 私人房間不公開（與不存在的房間相同回應）
+        if (!record || record.private) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        
+        res.json({ ...record, local: record.instanceId === INSTANCE_ID });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// 公開大廳列表（所有實例，可依模式、地圖、規則、是否有空位篩選）
+app.get('/lobbies', async (req, res, next) => {
+    const { gameMode, mapId, matchRules, hasSpace } = req.query;
+    if (hasSpace !== undefined && hasSpace !== 'true' && hasSpace !== 'false') {
+        return res.status(400).json({ error: 'hasSpace must be true or false' });
+    }
+    
+    try {
+        const result = await roomManager.listLobbies({
+            gameMode,
+            mapId,
+            matchRules,
+            hasSpace: hasSpace === undefined ? undefined : hasSpace === 'true'
+        });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// 房間延遲補償診斷
+app.get('/rooms/:roomCode/stats', (req, res) => {
+    const room = roomManager.getRoom(req.params.roomCode);
+    // 私人或有密碼的房間不公開（與不存在的房間相同回應）
+    if (!room || room.access.isPrivate || room.access.hasPassword) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    // 拒絕統計按 socket 計算，但公開回應不含 socketId
+    const hitReports = room.engine.getHitReportStats();
+    res.json({
+        roomCode: room.roomCode,
+        status: room.status,
+        serverTick: room.engine.serverTick,
+        lagCompensation: room.engine.getLagCompensationStats(),
+        hitReports: {
+            ...hitReports,
+            rejections: hitReports.rejections.map(({ socketId, ...rest }) => rest)
+        }
+    });
+});
+
+// 已錄製的比賽回放
+app.get('/replays', (req, res) => {
+    res.json({ recording: RECORD_REPLAYS, replays: listReplays(REPLAY_DIR) });
+});
+
+// 地圖定義（客戶端依 roomInfo.mapId 取得）
+app.get('/maps', (req, res) => {
+    res.json({ defaultMap: DEFAULT_MAP, maps: GameMap.list() });
+});
+
+app.get('/maps/:mapId', (req, res) => {
+    let map;
+    try {
+        map = GameMap.get(req.params.mapId);
+    } catch (err) {
+        return res.status(404).json({ error: 'Map not found' });
+    }
+    res.json(map);
+});
+
+// 配對佇列狀態
+app.get('/matchmaking', (req, res) => {
+    res.json(matchmaker.getStats());
+});
+
+// 玩家資料、比賽紀錄與排行榜（POST /players 每個 IP 每小時限發 PLAYER_ISSUE_LIMIT 個身分）
+app.use(createPlayerRoutes({
+    store: playerStore,
+    playerTokens: reconnectTokens,
+    issueLimit: { max: Number(process.env.PLAYER_ISSUE_LIMIT) || 10, windowMs: 60 * 60 * 1000 }
+}));
+
 // 錯誤處理
 app.use((err, req, res, next) => {
     console.error('Server error:', err);
@@ -195,19 +387,65 @@ app.use((err, req, res, next) => {
     });
 });
 
+// 連接 Redis：掛載 socket.io adapter 並使用共享房間註冊表
+async function setupRedis() {
+    const pubClient = createClient({ url: REDIS_URL });
+    const subClient = pubClient.duplicate();
+    const registryClient = pubClient.duplicate();
+    redisClients = [pubClient, subClient, registryClient];
+    
+    for (const client of redisClients) {
+        client.on('error', (err) => console.error('[REDIS] Client error:', err.message));
+    }
+    
+    await Promise.all(redisClients.map(client => client.connect()));
+    
+    io.adapter(createAdapter(pubClient, subClient));
+    roomManager.registry = new RedisRoomRegistry(registryClient);
+    roomRouter = new RoomRouter({ io, roomManager, handlers: roomHandlers, forwarding: true });
+    
+    console.log(`[REDIS] Adapter attached, instance ${INSTANCE_ID} using shared room registry`);
+}
+
 // 啟動服務器
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`🎮 Mundo Cleaver Server 運行在端口 ${PORT}`);
-    console.log(`📡 Socket.IO 啟用 CORS`);
-    console.log(`🌐 允許的來源: ${corsOptions.origin.join(', ')}`);
-});
+
+async function start() {
+    if (USE_REDIS && REDIS_URL) {
+        try {
+            await setupRedis();
+        } catch (err) {
+            console.error('[REDIS] Connection failed, falling back to in-memory rooms:', err.message);
+            await Promise.allSettled(redisClients.map(client => client.disconnect()));
+            redisClients = [];
+        }
+    } else {
+        console.log(`[REDIS] Disabled (${USE_REDIS ? 'REDIS_URL not set' : 'USE_REDIS=false'}), using in-memory rooms`);
+    }
+    
+    server.listen(PORT, () => {
+        console.log(`🎮 Mundo Cleaver Server 運行在端口 ${PORT}`);
+        console.log(`📡 Socket.IO 啟用 CORS`);
+        console.log(`🌐 允許的來源: ${corsOptions.origin.join(', ')}`);
+    });
+}
+
+start();
 
 // 優雅關閉
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('收到 SIGTERM 信號，正在關閉服務器...');
-    server.close(() => {
+    
+    // 釋放本實例擁有的房間
+    for (const roomCode of Array.from(roomManager.rooms.keys())) {
+        roomManager.closeRoom(roomCode, 'server-shutdown');
+    }
+    replayStreamer.stopAll();
+    matchmaker.stop();
+    
+    server.close(async () => {
+        await Promise.allSettled(redisClients.map(client => client.quit()));
         console.log('服務器已關閉');
         process.exit(0);
     });
-});
\ No newline at end of file
+});
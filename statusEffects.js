@@ -0,0 +1,53 @@
+/**
+ * Status Effect Definitions
+ *
+ * Timed buffs and debuffs on players, applied by abilities (see the `effects`
+ * field in abilities.js) as { type, durationMs, magnitude? }. GameEngine
+ * implements what each type does:
+ *
+ *   slow        - movement speed reduced by magnitude (0.4 = 40% slower)
+ *   speedBoost  - movement speed increased by magnitude
+ *   stun        - no movement, no abilities; cancels a cast in progress
+ *   root        - no movement (walking or dashing); abilities still work
+ *   shield      - absorbs up to magnitude damage before health is lost
+ *   dot         - magnitude damage every intervalMs, credited to whoever applied it
+ *
+ * Stacking:
+ *   refresh - one instance; reapplying keeps the later expiry and the larger magnitude
+ *   stack   - independent instances up to maxStacks; at the cap the one expiring first is replaced
+ */
+
+const STATUS_EFFECTS = {
+    slow: { stacking: 'refresh', magnitude: 0.4 },
+    speedBoost: { stacking: 'refresh', magnitude: 0.5 },
+    stun: { stacking: 'refresh' },
+    root: { stacking: 'refresh' },
+    shield: { stacking: 'stack', maxStacks: 3, magnitude: 1 },
+    dot: { stacking: 'stack', maxStacks: 3, magnitude: 1, intervalMs: 1000 }
+};
+
+function isStatusEffect(type) {
+    return Object.prototype.hasOwnProperty.call(STATUS_EFFECTS, type);
+}
+
+/**
+ * Validate an effect application as written in an ability definition
+ * @throws on an unknown type or a missing/negative duration or magnitude
+ */
+function validateEffectSpec(spec, where) {
+    if (!spec || !isStatusEffect(spec.type)) {
+        throw new Error(`${where}: unknown status effect ${spec && spec.type}`);
+    }
+    if (typeof spec.durationMs !== 'number' || !(spec.durationMs > 0)) {
+        throw new Error(`${where}: ${spec.type} needs a positive durationMs`);
+    }
+    if (spec.magnitude !== undefined && !(typeof spec.magnitude === 'number' && spec.magnitude >= 0)) {
+        throw new Error(`${where}: ${spec.type} has an invalid magnitude`);
+    }
+}
+
+module.exports = {
+    STATUS_EFFECTS,
+    isStatusEffect,
+    validateEffectSpec
+};
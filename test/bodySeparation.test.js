@@ -0,0 +1,83 @@
+/**
+ * Player bodies: overlapping players are pushed apart deterministically,
+ * without leaving their walkable area
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+
+function createEngine(t) {
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '2v2', { clock, monitorEventLoop: false, logger: GameEngine.SILENT_LOGGER });
+    t.after(() => engine.dispose());
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 1);
+    engine.addPlayer('socket-c', 'c', 2);
+    engine.beginGame(sink);
+    const step = () => {
+        clock.advance(1000 / engine.TICK_RATE);
+        engine.step(sink);
+    };
+    const position = (socketId) => {
+        const player = engine.players.get(socketId);
+        return { x: player.x, z: player.z };
+    };
+    return { engine, sink, step, position };
+}
+
+test('players on the same spot are split along x, the first to join going left', (t) => {
+    const { engine, step, position } = createEngine(t);
+    engine.setPlayerPosition('socket-a', -40, 0);
+    engine.setPlayerPosition('socket-b', -40, 0);
+
+    step();
+
+    assert.deepStrictEqual(position('socket-a'), { x: -46, z: 0 });
+    assert.deepStrictEqual(position('socket-b'), { x: -34, z: 0 });
+    assert.strictEqual(engine.players.get('socket-a').targetX, -46);
+});
+
+test('a player at the edge of its zone is not pushed out; the other takes the whole push', (t) => {
+    const { engine, step, position } = createEngine(t);
+    // The left zone ends at x=-18; half the overlap would put a at x=-16
+    engine.setPlayerPosition('socket-a', -19, 0);
+    engine.setPlayerPosition('socket-b', -25, 0);
+
+    step();
+
+    assert.deepStrictEqual(position('socket-a'), { x: -19, z: 0 });
+    assert.deepStrictEqual(position('socket-b'), { x: -31, z: 0 });
+    assert.ok(engine.isWithinMapBounds(-19, 0, 1));
+});
+
+test('walking onto a teammate stops short instead of pushing them along', (t) => {
+    const { engine, sink, step, position } = createEngine(t);
+    engine.setPlayerPosition('socket-a', -40, 0);
+    engine.setPlayerPosition('socket-b', -60, 0);
+
+    engine.handlePlayerMove('socket-b', -40, 0, null, sink);
+    for (let i = 0; i < 2000 && engine.players.get('socket-b').isMoving; i++) {
+        step();
+    }
+
+    const a = position('socket-a');
+    const b = position('socket-b');
+    assert.strictEqual(engine.players.get('socket-b').isMoving, false);
+    assert.ok(Math.hypot(a.x - b.x, a.z - b.z) >= engine.PLAYER_RADIUS * 2 - 1e-9);
+    assert.ok(Math.hypot(a.x - -40, a.z) < engine.PLAYER_RADIUS, `a was pushed to (${a.x}, ${a.z})`);
+});
+
+test('dead players have no body', (t) => {
+    const { engine, sink, step, position } = createEngine(t);
+    engine.setPlayerPosition('socket-a', -40, 0);
+    engine.setPlayerPosition('socket-b', -40, 0);
+    engine.applyDamage(engine.players.get('socket-a'), engine.MAX_HEALTH, null, sink);
+
+    step();
+
+    assert.deepStrictEqual(position('socket-b'), { x: -40, z: 0 });
+});
@@ -0,0 +1,68 @@
+/**
+ * The optimized preset (gameEngine-optimized.js) must score the same hits as
+ * the default GameEngine configuration on every scenario fixture
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ScenarioRunner = require('../ScenarioRunner');
+const OptimizedGameEngine = require('../gameEngine-optimized');
+
+const SCENARIO_DIR = path.join(__dirname, '..', 'scenarios');
+const DEFAULT_TICK_RATE = 125; // GameEngine's default tickRate
+const { OPTIMIZED_OPTIONS } = OptimizedGameEngine;
+
+const scenarios = fs.readdirSync(SCENARIO_DIR)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, scenario: JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, file), 'utf8')) }));
+
+function run(scenario, engineOptions = {}) {
+    return new ScenarioRunner({ engineOptions }).run(scenario);
+}
+
+/**
+ * The same scenario with its ticks rescaled from the default tick rate to tickRate
+ */
+function atTickRate(scenario, tickRate) {
+    const scale = (tick) => Math.round(tick * tickRate / DEFAULT_TICK_RATE);
+    return {
+        ...scenario,
+        ticks: scale(scenario.ticks),
+        inputs: (scenario.inputs || []).map(input => ({ ...input, tick: scale(input.tick) }))
+    };
+}
+
+function summarize(result, tickRate) {
+    return {
+        hits: result.hits.map(hit => ({ attacker: hit.attacker, target: hit.target, ms: hit.tick * 1000 / tickRate })),
+        deaths: result.deaths.map(death => death.player),
+        winningTeam: result.gameOver ? result.gameOver.winningTeam : undefined
+    };
+}
+
+for (const { file, scenario } of scenarios) {
+    test(`${file}: grid collision and compact broadcasts score the same hits at the same tick rate`, () => {
+        const expected = run(scenario);
+        const actual = run(scenario, { ...OPTIMIZED_OPTIONS, tickRate: DEFAULT_TICK_RATE });
+        assert.deepStrictEqual(summarize(actual, DEFAULT_TICK_RATE), summarize(expected, DEFAULT_TICK_RATE));
+    });
+
+    test(`${file}: the optimized preset scores the same hits within two ticks`, () => {
+        const expected = summarize(run(scenario), DEFAULT_TICK_RATE);
+        const actual = summarize(run(atTickRate(scenario, OPTIMIZED_OPTIONS.tickRate), OPTIMIZED_OPTIONS), OPTIMIZED_OPTIONS.tickRate);
+        const toleranceMs = 2 * 1000 / Math.min(DEFAULT_TICK_RATE, OPTIMIZED_OPTIONS.tickRate);
+
+        assert.deepStrictEqual(actual.deaths, expected.deaths);
+        assert.strictEqual(actual.winningTeam, expected.winningTeam);
+        assert.strictEqual(actual.hits.length, expected.hits.length);
+        actual.hits.forEach((hit, i) => {
+            assert.strictEqual(hit.attacker, expected.hits[i].attacker);
+            assert.strictEqual(hit.target, expected.hits[i].target);
+            assert.ok(Math.abs(hit.ms - expected.hits[i].ms) <= toleranceMs,
+                `hit #${i} at ${hit.ms.toFixed(1)} ms, default configuration at ${expected.hits[i].ms.toFixed(1)} ms`);
+        });
+    });
+}
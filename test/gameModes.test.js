@@ -0,0 +1,104 @@
+/**
+ * Game modes with N teams: start requirements, team balancing, spawns and
+ * the last team standing in a three-team game
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RoomManager = require('../RoomManager');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+const { getGameMode } = require('../gameModes');
+
+const fakeIo = {
+    to: () => ({ emit() {} }),
+    in: () => ({ socketsJoin() {}, socketsLeave() {} })
+};
+
+async function createLobby(t, gameMode) {
+    t.mock.method(console, 'log', () => {});
+    const manager = new RoomManager(fakeIo, { engineOptions: { monitorEventLoop: false } });
+    const { room } = await manager.createRoom('socket-1', { gameMode, playerId: 'p1' });
+    t.after(() => manager.closeRoom(room.roomCode));
+    return { manager, room };
+}
+
+test('mode definitions derive team numbers, player cap and start requirement', () => {
+    assert.deepStrictEqual(getGameMode('2v2v2').teamNumbers, [1, 2, 3]);
+    assert.strictEqual(getGameMode('2v2v2').maxPlayers, 6);
+    assert.strictEqual(getGameMode('2v2v2').minTeamsToStart, 3);
+    assert.strictEqual(getGameMode('ffa').minTeamsToStart, 2);
+    assert.throws(() => getGameMode('toString'), /Unknown game mode: toString/);
+});
+
+test('a free-for-all room starts once two players are in', async (t) => {
+    const { manager, room } = await createLobby(t, 'ffa');
+
+    assert.strictEqual(manager.startRoom('socket-1').error, 'At least 2 teams need a player');
+
+    manager.joinRoom('socket-2', { roomCode: room.roomCode, playerId: 'p2' });
+    assert.ok(manager.startRoom('socket-1').room);
+    assert.strictEqual(room.status, 'playing');
+});
+
+test('a team mode cannot start until every team has a player', async (t) => {
+    const { manager, room } = await createLobby(t, '2v2v2');
+    manager.joinRoom('socket-2', { roomCode: room.roomCode, playerId: 'p2', team: 1 });
+    manager.joinRoom('socket-3', { roomCode: room.roomCode, playerId: 'p3', team: 2 });
+
+    assert.strictEqual(manager.startRoom('socket-1').error, 'Each team needs at least one player');
+});
+
+test('players without a team, or asking for a full one, go to the smallest team', async (t) => {
+    const { manager, room } = await createLobby(t, '2v2v2');
+    const teamOf = (socketId) => Number(room.engine.players.get(socketId).team);
+
+    manager.joinRoom('socket-2', { roomCode: room.roomCode, playerId: 'p2' });
+    manager.joinRoom('socket-3', { roomCode: room.roomCode, playerId: 'p3' });
+    assert.deepStrictEqual([teamOf('socket-1'), teamOf('socket-2'), teamOf('socket-3')], [1, 2, 3]);
+
+    manager.joinRoom('socket-4', { roomCode: room.roomCode, playerId: 'p4', team: 3 });
+    manager.joinRoom('socket-5', { roomCode: room.roomCode, playerId: 'p5', team: 3 });
+    assert.strictEqual(teamOf('socket-4'), 3);
+    assert.strictEqual(teamOf('socket-5'), 1);
+
+    assert.strictEqual(manager.changeTeam('socket-2', 3).error, 'Team 3 is full');
+});
+
+test('every player in a 2v2v2 game spawns on a walkable, distinct spot of its team', (t) => {
+    const engine = new GameEngine('000000', '2v2v2', { clock: new ManualClock(0), monitorEventLoop: false, logger: GameEngine.SILENT_LOGGER });
+    t.after(() => engine.dispose());
+    for (let i = 0; i < 6; i++) {
+        engine.addPlayer(`socket-${i}`, `p${i}`, (i % 3) + 1);
+    }
+    engine.beginGame(new RecordingEventSink());
+
+    const spots = new Set();
+    for (const player of engine.players.values()) {
+        assert.ok(engine.isWithinMapBounds(player.x, player.z, player.team), `${player.playerId} spawned out of bounds`);
+        spots.add(`${player.x},${player.z}`);
+    }
+    assert.strictEqual(spots.size, 6);
+});
+
+test('a three-team game ends only when a single team is left standing', (t) => {
+    const engine = new GameEngine('000000', '2v2v2', { clock: new ManualClock(0), monitorEventLoop: false, logger: GameEngine.SILENT_LOGGER });
+    t.after(() => engine.dispose());
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    engine.addPlayer('socket-1', 'p1', 1);
+    engine.addPlayer('socket-2', 'p2', 2);
+    engine.addPlayer('socket-3', 'p3', 3);
+    engine.beginGame(sink);
+    const kill = (socketId) => engine.applyDamage(engine.players.get(socketId), engine.MAX_HEALTH, engine.players.get('socket-1'), sink);
+
+    kill('socket-3');
+    engine.checkGameOver(sink);
+    assert.strictEqual(sink.filter('serverMatchEnd').length, 0);
+
+    kill('socket-2');
+    engine.checkGameOver(sink);
+    const [end] = sink.filter('serverMatchEnd');
+    assert.strictEqual(end.data.winningTeam, 1);
+    assert.deepStrictEqual(end.data.scores, { 1: 1, 2: 0, 3: 0 });
+});
@@ -0,0 +1,71 @@
+/**
+ * Client hit reports (collisionReport) rejected by GameEngine and counted per socket
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+
+function createEngine(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', { clock, monitorEventLoop: false, ...options });
+    t.after(() => engine.dispose());
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    engine.beginGame(sink);
+    engine.setPlayerPosition('socket-a', -30, 0);
+    engine.setPlayerPosition('socket-b', 30, 0);
+    return { engine, clock, sink };
+}
+
+test('reports from spectators and unknown sockets are counted per socket', (t) => {
+    const { engine, sink } = createEngine(t);
+    const knife = engine.handleKnifeThrow('socket-a', 30, 0, null, sink);
+    engine.addSpectator('spectator-1');
+
+    engine.handleCollisionReport('spectator-1', { knifeId: knife.knifeId }, sink);
+    engine.handleCollisionReport('stranger-1', { knifeId: knife.knifeId }, sink);
+    engine.handleCollisionReport('stranger-1', { knifeId: knife.knifeId }, sink);
+    engine.handleCollisionReport('stranger-2', { knifeId: knife.knifeId }, sink);
+
+    assert.deepStrictEqual(engine.getHitReportStats().rejections, [
+        { socketId: 'spectator-1', playerId: null, total: 1, reasons: { spectator: 1 } },
+        { socketId: 'stranger-1', playerId: null, total: 2, reasons: { 'unknown-attacker': 2 } },
+        { socketId: 'stranger-2', playerId: null, total: 1, reasons: { 'unknown-attacker': 1 } }
+    ]);
+});
+
+test('a player cannot claim hits for knives they do not own or that do not exist', (t) => {
+    const { engine, sink } = createEngine(t);
+    const knife = engine.handleKnifeThrow('socket-a', 30, 0, null, sink);
+
+    assert.deepStrictEqual(engine.handleCollisionReport('socket-b', { knifeId: knife.knifeId }, sink),
+        { accepted: false, reason: 'not-knife-owner' });
+    assert.deepStrictEqual(engine.handleCollisionReport('socket-b', { knifeId: 'made-up' }, sink),
+        { accepted: false, reason: 'unknown-knife' });
+    assert.deepStrictEqual(engine.getHitReportStats().rejections, [
+        { socketId: 'socket-b', playerId: 'b', total: 2, reasons: { 'not-knife-owner': 1, 'unknown-knife': 1 } }
+    ]);
+});
+
+test('a claim the knife path does not support is rejected and deals no damage', (t) => {
+    const { engine, sink } = createEngine(t);
+    const knife = engine.handleKnifeThrow('socket-a', 30, 0, null, sink);
+
+    const result = engine.handleCollisionReport('socket-a', { knifeId: knife.knifeId, targetPlayerId: 'b' }, sink);
+
+    assert.deepStrictEqual(result, { accepted: false, reason: 'no-intersection' });
+    assert.strictEqual(engine.players.get('socket-b').health, engine.MAX_HEALTH);
+});
+
+test('reports are refused outright when client hit reports are disabled', (t) => {
+    const { engine, sink } = createEngine(t, { allowClientHitReports: false });
+    const knife = engine.handleKnifeThrow('socket-a', 30, 0, null, sink);
+
+    assert.strictEqual(engine.handleCollisionReport('socket-a', { knifeId: knife.knifeId }, sink).reason, 'disabled');
+    assert.strictEqual(engine.getHitReportStats().enabled, false);
+});
@@ -0,0 +1,85 @@
+/**
+ * Hooks: pulling an enemy across the centre line and the way back
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+const { ABILITIES } = require('../abilities');
+
+function createEngine(t) {
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', {
+        clock,
+        monitorEventLoop: false,
+        logger: GameEngine.SILENT_LOGGER,
+        abilities: { ...ABILITIES, hook: { ...ABILITIES.hook, speed: 200 } }
+    });
+    t.after(() => engine.dispose());
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    const step = () => {
+        clock.advance(1000 / engine.TICK_RATE);
+        engine.step(sink);
+    };
+
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    engine.beginGame(sink);
+    engine.setPlayerPosition('socket-a', -40, 0);
+    engine.setPlayerPosition('socket-b', 30, 0);
+    return { engine, sink, step };
+}
+
+function hookAcross(engine, sink, step) {
+    engine.handleUseAbility('socket-a', 'hook', 30, 0, null, sink);
+    for (let i = 0; i < 1000 && sink.filter('serverPullEnd').length === 0; i++) {
+        step();
+    }
+    return sink.filter('serverPullEnd')[0];
+}
+
+test('a hook pulls an enemy across the centre line into the thrower\'s half', (t) => {
+    const { engine, sink, step } = createEngine(t);
+
+    const end = hookAcross(engine, sink, step);
+
+    assert.strictEqual(sink.filter('serverPullStart').length, 1);
+    assert.strictEqual(end.data.reason, 'arrived');
+    const b = engine.players.get('socket-b');
+    assert.ok(b.x < -18, `b stopped at x=${b.x}`);
+    assert.ok(Math.abs(b.x - (-40 + engine.PLAYER_RADIUS * 2)) < 1e-6);
+});
+
+test('a pulled enemy walks back to its own half and no further', (t) => {
+    const { engine, sink, step } = createEngine(t);
+    hookAcross(engine, sink, step);
+    const b = engine.players.get('socket-b');
+
+    // Deeper into the enemy half is clamped to the edge of b's own zone
+    const clamped = engine.handlePlayerMove('socket-b', -60, 0, 'move-1', sink);
+    assert.ok(Math.abs(clamped.targetX - 18) < 0.1, `target x ${clamped.targetX}`);
+
+    engine.handlePlayerMove('socket-b', 40, 10, 'move-2', sink);
+    for (let i = 0; i < 5000 && b.isMoving; i++) {
+        step();
+    }
+    assert.ok(Math.hypot(b.x - 40, b.z - 10) < 1e-6, `b ended at (${b.x}, ${b.z})`);
+
+    // Home again, the zone holds as before
+    assert.ok(Math.abs(engine.handlePlayerMove('socket-b', -60, 0, 'move-3', sink).targetX - 18) < 0.1);
+});
+
+test('a pulled enemy can dash within the enemy half but cannot leave the walkable area', (t) => {
+    const { engine, sink, step } = createEngine(t);
+    hookAcross(engine, sink, step);
+    const b = engine.players.get('socket-b');
+    const before = b.x;
+
+    engine.dashPlayer(b, { x: -1, z: 0 }, 200);
+
+    assert.ok(b.x < before);
+    assert.ok(engine.map.isWalkable(b.x, b.z));
+    assert.strictEqual(engine.map.isWalkable(b.x - 0.5, b.z), false);
+});
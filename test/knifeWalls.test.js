@@ -0,0 +1,85 @@
+/**
+ * Knives against the map: stopping at knife-blocking obstacles, ricochets
+ * and hit reports through walls
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+const { ABILITIES } = require('../abilities');
+
+function createEngine(t, options = {}) {
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', {
+        clock,
+        monitorEventLoop: false,
+        logger: GameEngine.SILENT_LOGGER,
+        map: 'pillars',
+        abilities: { ...ABILITIES, knife: { ...ABILITIES.knife, speed: 200 } },
+        ...options
+    });
+    t.after(() => engine.dispose());
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    const tickMs = 1000 / engine.TICK_RATE;
+    const step = (ticks) => {
+        for (let i = 0; i < ticks; i++) {
+            clock.advance(tickMs);
+            engine.step(sink);
+        }
+    };
+
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    engine.beginGame(sink);
+    // The centre pillar (x in [-6, 6], z in [-12, 12]) stands between them
+    engine.setPlayerPosition('socket-a', -40, 0);
+    engine.setPlayerPosition('socket-b', 40, 0);
+    return { engine, clock, sink, step };
+}
+
+test('a knife stops at a knife-blocking obstacle and never reaches the player behind it', (t) => {
+    const { engine, sink, step } = createEngine(t);
+
+    engine.handleKnifeThrow('socket-a', 40, 0, null, sink);
+    step(60);
+
+    const [destroy] = sink.filter('serverKnifeDestroy');
+    assert.strictEqual(destroy.data.reason, 'wall');
+    assert.ok(Math.abs(destroy.data.x - -6) < 1e-6, `stopped at x=${destroy.data.x}`);
+    assert.strictEqual(sink.filter('serverKnifeHit').length, 0);
+    assert.strictEqual(engine.players.get('socket-b').health, engine.MAX_HEALTH);
+});
+
+test('with ricochets enabled a knife reflects off the wall and then stops at the next one', (t) => {
+    const { engine, sink, step } = createEngine(t, { knifeRicochets: 1 });
+
+    engine.handleKnifeThrow('socket-a', 40, 0, null, sink);
+    step(100);
+
+    const ricochets = sink.filter('serverKnifeRicochet');
+    assert.strictEqual(ricochets.length, 1);
+    assert.ok(Math.abs(ricochets[0].data.x - -6) < 1e-6);
+    assert.ok(ricochets[0].data.velocityX < 0);
+    assert.ok(Math.abs(ricochets[0].data.velocityZ) < 1e-9);
+    assert.strictEqual(ricochets[0].data.ricochetsLeft, 0);
+
+    // Back past its own thrower (no friendly fire) into the west edge of the bounds
+    const [destroy] = sink.filter('serverKnifeDestroy');
+    assert.strictEqual(destroy.data.reason, 'wall');
+    assert.ok(Math.abs(destroy.data.x - -80) < 1e-6, `stopped at x=${destroy.data.x}`);
+    assert.strictEqual(engine.players.get('socket-a').health, engine.MAX_HEALTH);
+});
+
+test('a hit report for a player behind an obstacle is rejected', (t) => {
+    const { engine, clock, sink } = createEngine(t);
+    const knife = engine.handleKnifeThrow('socket-a', 40, 0, null, sink);
+
+    // The client claims the hit before the server has moved the knife at all
+    clock.advance(400);
+    const result = engine.handleCollisionReport('socket-a', { knifeId: knife.knifeId, targetPlayerId: 'b', clientTimestamp: clock.now() }, sink);
+
+    assert.deepStrictEqual(result, { accepted: false, reason: 'blocked-by-obstacle' });
+    assert.strictEqual(engine.players.get('socket-b').health, engine.MAX_HEALTH);
+});
@@ -0,0 +1,63 @@
+/**
+ * Position history recorded by the engine's tick loop for lag compensation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+
+function createEngine(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', { clock, monitorEventLoop: false, ...options });
+    t.after(() => engine.dispose());
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    return { engine, clock, sink: new RecordingEventSink({ getTick: () => engine.serverTick }) };
+}
+
+test('the history buffer is sized from the tick rate and record rate', (t) => {
+    assert.strictEqual(createEngine(t).engine.positionHistory.bufferSize, 251);
+    assert.strictEqual(createEngine(t, { tickRate: 60 }).engine.positionHistory.bufferSize, 121);
+    assert.strictEqual(createEngine(t, { historyRecordRate: 25 }).engine.positionHistory.bufferSize, 51);
+});
+
+test('the real-time loop records a snapshot every historyRecordRate interval', (t) => {
+    const { engine, clock, sink } = createEngine(t, { historyRecordRate: 25 });
+    const tickMs = 1000 / engine.TICK_RATE;
+
+    // startGameLoop runs the ticks due now; every later runPreciseLoop catches up to the clock
+    engine.startGameLoop(sink);
+    clock.advance(7 * tickMs);
+    engine.runPreciseLoop(sink);
+    engine.stopGameLoop();
+
+    assert.strictEqual(engine.serverTick, 8);
+    const stats = engine.positionHistory.getStats();
+    assert.strictEqual(stats.count, 1);
+    assert.strictEqual(stats.newestTimestamp, clock.now());
+});
+
+test('the lag compensation stats report when the history covers the compensation cap', (t) => {
+    const { engine, clock, sink } = createEngine(t);
+    const tickMs = 1000 / engine.TICK_RATE;
+    engine.beginGame(sink);
+
+    const stepFor = (ms) => {
+        for (let i = 0; i < ms / tickMs; i++) {
+            clock.advance(tickMs);
+            engine.step(sink);
+        }
+    };
+
+    stepFor(960);
+    assert.strictEqual(engine.getLagCompensationStats().coversMaxCompensation, false);
+
+    stepFor(80);
+    const stats = engine.getLagCompensationStats();
+    assert.strictEqual(stats.recordRateHz, 125);
+    assert.strictEqual(stats.maxCompensationMs, 1000);
+    assert.strictEqual(stats.coversMaxCompensation, true);
+});
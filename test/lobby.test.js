@@ -0,0 +1,121 @@
+/**
+ * Lobby controls: the ready check, host kick/transfer, team changes,
+ * room options and the lobby list
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../RoomManager');
+
+const fakeIo = {
+    to: () => ({ emit() {} }),
+    in: () => ({ socketsJoin() {}, socketsLeave() {} })
+};
+
+async function createLobby(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const manager = new RoomManager(fakeIo, { engineOptions: { monitorEventLoop: false } });
+    t.after(() => {
+        for (const roomCode of Array.from(manager.rooms.keys())) {
+            manager.closeRoom(roomCode);
+        }
+    });
+    const { room } = await manager.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice', ...options });
+    return { manager, room };
+}
+
+test('the game starts by itself once every player is ready', async (t) => {
+    const { manager, room } = await createLobby(t);
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob' });
+
+    assert.strictEqual(manager.setReady('socket-a', 'yes').error, 'ready must be true or false');
+    assert.strictEqual(manager.setReady('socket-a', true).started, false);
+    assert.strictEqual(manager.setReady('socket-b', false).started, false);
+    assert.strictEqual(room.status, 'waiting');
+
+    assert.strictEqual(manager.setReady('socket-b', true).started, true);
+    assert.strictEqual(room.status, 'playing');
+    assert.strictEqual(manager.setReady('socket-b', false).error, 'Game already started');
+});
+
+test('a ready room that could not be started waits', async (t) => {
+    const { manager, room } = await createLobby(t, { gameMode: '2v2', team: 1 });
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob', team: 1 });
+    manager.setReady('socket-a', true);
+
+    assert.strictEqual(manager.setReady('socket-b', true).started, false);
+    assert.strictEqual(room.status, 'waiting');
+});
+
+test('only the host kicks, never themselves, and the kicked socket is free again', async (t) => {
+    const { manager, room } = await createLobby(t);
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob' });
+    manager.setReady('socket-b', true);
+
+    assert.strictEqual(manager.kickPlayer('socket-b', 'alice').error, 'Only the host can kick players');
+    assert.strictEqual(manager.kickPlayer('socket-a', 'alice').error, 'The host cannot kick themselves');
+    assert.strictEqual(manager.kickPlayer('socket-a', 'nobody').error, 'Player not in room');
+
+    assert.deepStrictEqual(manager.kickPlayer('socket-a', 'bob').kicked, { socketId: 'socket-b', playerId: 'bob' });
+    assert.strictEqual(room.engine.players.has('socket-b'), false);
+    assert.strictEqual(room.ready.has('bob'), false);
+    assert.strictEqual(manager.isBusy('socket-b'), false);
+});
+
+test('the host can hand over host, and then loses host commands', async (t) => {
+    const { manager, room } = await createLobby(t);
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob' });
+
+    assert.strictEqual(manager.transferHost('socket-b', 'alice').error, 'Only the host can transfer host');
+    assert.strictEqual(manager.transferHost('socket-a', 'nobody').error, 'Player not in room');
+
+    assert.ok(manager.transferHost('socket-a', 'bob').room);
+    assert.strictEqual(room.hostSocketId, 'socket-b');
+    assert.strictEqual(manager.kickPlayer('socket-a', 'bob').error, 'Only the host can kick players');
+});
+
+test('changing team clears the player\'s ready flag', async (t) => {
+    const { manager, room } = await createLobby(t, { gameMode: '2v2', team: 1 });
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob', team: 1 });
+    manager.joinRoom('socket-c', { roomCode: room.roomCode, playerId: 'carol', team: 2 });
+    manager.setReady('socket-b', true);
+
+    assert.strictEqual(manager.changeTeam('socket-b', 3).error, 'Invalid team: 3');
+    assert.deepStrictEqual(manager.changeTeam('socket-b', 2).player, { playerId: 'bob', team: 2 });
+    assert.strictEqual(room.ready.has('bob'), false);
+});
+
+test('new room options rebuild the engine, keep the players and clear every ready flag', async (t) => {
+    const { manager, room } = await createLobby(t, { gameMode: '2v2', team: 1 });
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob', team: 2 });
+    manager.joinRoom('socket-c', { roomCode: room.roomCode, playerId: 'carol', team: 2 });
+    manager.setReady('socket-b', true);
+    const oldEngine = room.engine;
+
+    assert.strictEqual(manager.updateRoomOptions('socket-b', { mapId: 'pillars' }).error, 'Only the host can change room options');
+    assert.strictEqual(manager.updateRoomOptions('socket-a', { gameMode: '1v1' }).error, 'Too many players for 1v1');
+
+    assert.ok(manager.updateRoomOptions('socket-a', { gameMode: '3v3', mapId: 'pillars', matchRules: 'rounds' }).room);
+    assert.notStrictEqual(room.engine, oldEngine);
+    assert.strictEqual(room.gameMode, '3v3');
+    assert.strictEqual(room.engine.map.id, 'pillars');
+    assert.strictEqual(room.engine.matchRules.name, 'rounds');
+    assert.deepStrictEqual(Array.from(room.engine.players.values()).map(p => [p.playerId, Number(p.team)]),
+        [['alice', 1], ['bob', 2], ['carol', 2]]);
+    assert.strictEqual(room.ready.size, 0);
+});
+
+test('the lobby list shows public waiting rooms and filters them', async (t) => {
+    const { manager, room } = await createLobby(t);
+    const { room: full } = await manager.createRoom('socket-b', { gameMode: '1v1', playerId: 'bob' });
+    manager.joinRoom('socket-c', { roomCode: full.roomCode, playerId: 'carol' });
+    await manager.createRoom('socket-d', { gameMode: '1v1', playerId: 'dave', private: true });
+    const { room: other } = await manager.createRoom('socket-e', { gameMode: '2v2', playerId: 'erin' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const codes = async (filter) => (await manager.listLobbies(filter)).lobbies.map(l => l.roomCode).sort();
+
+    assert.deepStrictEqual(await codes(), [room.roomCode, full.roomCode, other.roomCode].sort());
+    assert.deepStrictEqual(await codes({ gameMode: '1v1', hasSpace: true }), [room.roomCode]);
+    assert.strictEqual((await manager.listLobbies({ hasSpace: 'yes' })).error, 'hasSpace must be true or false');
+});
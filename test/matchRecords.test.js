@@ -0,0 +1,82 @@
+/**
+ * Match records RoomManager hands to the PlayerStore when a match ends, and
+ * the player identities they are stored under
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../RoomManager');
+const { MemoryPlayerStore } = require('../PlayerStore');
+
+const fakeIo = {
+    to: () => ({ emit() {} }),
+    in: () => ({ socketsJoin() {}, socketsLeave() {} })
+};
+
+function createManager(t) {
+    t.mock.method(console, 'log', () => {});
+    const playerStore = new MemoryPlayerStore();
+    const manager = new RoomManager(fakeIo, { playerStore, reconnectGraceMs: 0 });
+    t.after(() => {
+        for (const roomCode of Array.from(manager.rooms.keys())) {
+            manager.closeRoom(roomCode);
+        }
+    });
+    return { manager, playerStore };
+}
+
+function endMatch(room, winningTeam) {
+    room.engine.endMatch(fakeIo, winningTeam, { type: 'elimination', rounds: 1, scores: {} });
+}
+
+test('the record lists the registered players in the match when it began', async (t) => {
+    const { manager, playerStore } = createManager(t);
+    const [alice, bob, carol] = [1, 2, 3].map(() => manager.reconnectTokens.issuePlayerToken());
+    const { room } = await manager.createRoom('socket-a', { gameMode: '2v2', playerToken: alice.playerToken, team: 1 });
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerToken: bob.playerToken, team: 2 });
+    manager.joinRoom('socket-c', { roomCode: room.roomCode, playerToken: carol.playerToken, team: 2 });
+    manager.joinRoom('socket-d', { roomCode: room.roomCode, playerId: 'guest', team: 1 });
+
+    // carol leaves the lobby, bob leaves the running match
+    manager.leaveRoom('socket-c');
+    manager.startRoom('socket-a');
+    manager.leaveRoom('socket-b');
+    endMatch(room, 1);
+
+    const [match] = await playerStore.listPlayerMatches(alice.playerId);
+    assert.deepStrictEqual(match.players.map(p => [p.playerId, p.team, p.result]),
+        [[alice.playerId, 1, 'win'], [bob.playerId, 2, 'loss']]);
+    assert.strictEqual(await playerStore.getPlayer(carol.playerId), null);
+    assert.strictEqual(await playerStore.getPlayer('guest'), null);
+});
+
+test('a match between guests is not stored', async (t) => {
+    const { manager, playerStore } = createManager(t);
+    const { room } = await manager.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice' });
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob' });
+    manager.startRoom('socket-a');
+    endMatch(room, 1);
+
+    assert.strictEqual(playerStore.matches.size, 0);
+});
+
+test('a player token plays under its issued playerId, not the one sent', async (t) => {
+    const { manager } = createManager(t);
+    const alice = manager.reconnectTokens.issuePlayerToken();
+
+    const result = await manager.createRoom('socket-a', { gameMode: '1v1', playerId: 'someone-else', playerToken: alice.playerToken });
+
+    assert.strictEqual(result.player.playerId, alice.playerId);
+});
+
+test('forged tokens, reconnect tokens and guests claiming an issued playerId are rejected', async (t) => {
+    const { manager } = createManager(t);
+    const alice = manager.reconnectTokens.issuePlayerToken();
+    const { room, reconnectToken } = await manager.createRoom('socket-a', { gameMode: '2v2', playerToken: alice.playerToken });
+
+    const forged = alice.playerToken.slice(0, -2) + (alice.playerToken.endsWith('AA') ? 'BB' : 'AA');
+    assert.strictEqual(manager.joinRoom('socket-b', { roomCode: room.roomCode, playerToken: forged }).error, 'Invalid player token');
+    assert.strictEqual(manager.joinRoom('socket-b', { roomCode: room.roomCode, playerToken: reconnectToken }).error, 'Invalid player token');
+    assert.ok(manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: alice.playerId }).error);
+    assert.strictEqual(manager.reconnectTokens.verify(alice.playerToken), null);
+});
@@ -0,0 +1,64 @@
+/**
+ * MatchStats as kept by GameEngine through the lobby and the match
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+
+function createEngine(t) {
+    t.mock.method(console, 'log', () => {});
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', { clock, monitorEventLoop: false });
+    t.after(() => engine.dispose());
+    return { engine, clock, sink: new RecordingEventSink({ getTick: () => engine.serverTick }) };
+}
+
+function statsFor(engine, playerId) {
+    return engine.stats.getSummary().find(stats => stats.playerId === playerId);
+}
+
+test('a player leaving the lobby leaves no stats behind', (t) => {
+    const { engine } = createEngine(t);
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+
+    engine.removePlayer('socket-b');
+
+    assert.deepStrictEqual(engine.stats.getSummary().map(stats => stats.playerId), ['a']);
+});
+
+test('a player leaving a running match keeps their stats', (t) => {
+    const { engine, sink } = createEngine(t);
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    engine.beginGame(sink);
+
+    engine.removePlayer('socket-b');
+
+    assert.ok(statsFor(engine, 'b'));
+});
+
+test('a team change in the lobby shows in the stats', (t) => {
+    const { engine } = createEngine(t);
+    engine.addPlayer('socket-a', 'a', 1);
+
+    engine.updatePlayerTeam('socket-a', 2);
+
+    assert.strictEqual(statsFor(engine, 'a').team, 2);
+});
+
+test('only knives count towards knivesThrown', (t) => {
+    const { engine, clock, sink } = createEngine(t);
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    engine.beginGame(sink);
+
+    engine.handleUseAbility('socket-a', 'frost', 30, 0, null, sink, clock.now());
+    engine.handleKnifeThrow('socket-a', 30, 0, null, sink, clock.now());
+
+    assert.strictEqual(sink.filter('serverKnifeSpawn').length, 2);
+    assert.strictEqual(statsFor(engine, 'a').knivesThrown, 1);
+});
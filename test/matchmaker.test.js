@@ -0,0 +1,135 @@
+/**
+ * Matchmaker: grouping by rating window, team balancing, and what happens
+ * when the match room cannot be created
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Matchmaker = require('../Matchmaker');
+const RoomManager = require('../RoomManager');
+const ReconnectTokens = require('../ReconnectTokens');
+
+function createIo() {
+    const emitted = [];
+    return {
+        emitted,
+        to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }),
+        in: () => ({ socketsJoin() {}, socketsLeave() {} })
+    };
+}
+
+/**
+ * A Matchmaker over a stub room manager; every player is registered with the given rating
+ */
+function createMatchmaker(t, ratings, createMatchRoom) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const io = createIo();
+    const roomManager = {
+        resolveIdentity: ({ playerId }) => ({ playerId, registered: true }),
+        isBusy: () => false,
+        getMembership: () => null,
+        createMatchRoom
+    };
+    const playerStore = { getRating: async (playerId) => ({ rating: ratings[playerId], rd: 50 }) };
+    return { io, matchmaker: new Matchmaker({ io, roomManager, playerStore, modes: ['1v1', '3v3'] }) };
+}
+
+async function queue(matchmaker, gameMode, playerIds) {
+    for (const playerId of playerIds) {
+        await matchmaker.joinQueue(`socket-${playerId}`, { gameMode, playerId });
+    }
+}
+
+test('the longest-waiting player is matched with the closest rating inside their window', async (t) => {
+    const { matchmaker } = createMatchmaker(t, { a: 1500, b: 1900, c: 1560, d: 1700 });
+    await queue(matchmaker, '1v1', ['a', 'b', 'c']);
+    const mode = matchmaker.modes[0];
+    const now = matchmaker.entries.get('socket-a').joinedAt;
+
+    assert.deepStrictEqual(matchmaker.findMatch(mode, now).map(e => e.playerId), ['a', 'c']);
+
+    // Once a and c are gone, b waits until the window reaches someone
+    matchmaker.removeEntry('socket-a');
+    assert.strictEqual(matchmaker.findMatch(mode, now), null);
+    await queue(matchmaker, '1v1', ['d']);
+    assert.strictEqual(matchmaker.findMatch(mode, now + 1000), null);
+    assert.deepStrictEqual(matchmaker.findMatch(mode, now + 10000).map(e => e.playerId), ['b', 'd']);
+});
+
+test('teams are balanced highest rated first onto the lowest team total', (t) => {
+    const { matchmaker } = createMatchmaker(t, {});
+    const mode = matchmaker.modes[1];
+    const group = [1500, 2000, 1700, 1600, 1900, 1800].map(rating => ({ socketId: `socket-${rating}`, rating }));
+
+    const teams = matchmaker.balanceTeams(mode, group);
+
+    const members = (team) => group.filter(e => teams.get(e.socketId) === team).map(e => e.rating).sort();
+    assert.deepStrictEqual(members(1), [1600, 1700, 2000]);
+    assert.deepStrictEqual(members(2), [1500, 1800, 1900]);
+});
+
+test('when a player cannot join the match room, only they get an error and the rest are queued again', async (t) => {
+    let finish;
+    const { io, matchmaker } = createMatchmaker(t, { a: 1500, b: 1510, c: 2500 },
+        () => new Promise(resolve => { finish = resolve; }));
+    t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+    await queue(matchmaker, '1v1', ['a', 'b']);
+    t.mock.timers.tick(1000);
+    await queue(matchmaker, '1v1', ['c']);
+    const joinedAt = matchmaker.entries.get('socket-a').joinedAt;
+
+    matchmaker.processQueues(joinedAt);
+    assert.deepStrictEqual(matchmaker.queues.get('1v1').map(e => e.playerId), ['c']);
+    // Players being matched cannot queue twice
+    await matchmaker.joinQueue('socket-a', { gameMode: '1v1', playerId: 'a' });
+
+    finish({ error: 'Already in a room', socketId: 'socket-b' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(matchmaker.queues.get('1v1').map(e => e.playerId), ['a', 'c']);
+    assert.strictEqual(matchmaker.entries.get('socket-a').joinedAt, joinedAt);
+    assert.strictEqual(matchmaker.entries.has('socket-b'), false);
+    assert.deepStrictEqual(io.emitted.filter(e => e.event === 'queueError').map(e => [e.target, e.data.message]), [
+        ['socket-a', 'Already queued'],
+        ['socket-b', 'Match could not be created: Already in a room']
+    ]);
+});
+
+test('players who disconnect while their room is being created are not queued again', async (t) => {
+    let finish;
+    const { io, matchmaker } = createMatchmaker(t, { a: 1500, b: 1510 },
+        () => new Promise(resolve => { finish = resolve; }));
+    await queue(matchmaker, '1v1', ['a', 'b']);
+
+    matchmaker.processQueues(matchmaker.entries.get('socket-a').joinedAt);
+    matchmaker.handleDisconnect('socket-a');
+    finish({ error: 'Could not reserve a room code' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(matchmaker.queues.get('1v1').map(e => e.playerId), ['b']);
+    assert.strictEqual(io.emitted.filter(e => e.event === 'queueError').length, 0);
+});
+
+test('a matched group gets a started room with the balanced teams', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const io = createIo();
+    const reconnectTokens = new ReconnectTokens({ secret: 'test-secret' });
+    const roomManager = new RoomManager(io, { reconnectTokens, engineOptions: { monitorEventLoop: false } });
+    t.after(() => {
+        for (const roomCode of Array.from(roomManager.rooms.keys())) {
+            roomManager.closeRoom(roomCode);
+        }
+    });
+    const matchmaker = new Matchmaker({ io, roomManager });
+    await matchmaker.joinQueue('socket-a', { gameMode: '1v1', playerId: 'alice' });
+    await matchmaker.joinQueue('socket-b', { gameMode: '1v1', playerId: 'bob' });
+
+    await matchmaker.startMatch(matchmaker.modes[0], matchmaker.findMatch(matchmaker.modes[0], Date.now()));
+
+    const found = io.emitted.filter(e => e.event === 'matchFound');
+    assert.deepStrictEqual(found.map(e => [e.target, e.data.team]), [['socket-a', 1], ['socket-b', 2]]);
+    const room = roomManager.getRoom(found[0].data.roomCode);
+    assert.strictEqual(room.status, 'playing');
+    assert.ok(io.emitted.some(e => e.event === 'gameStarted' && e.target === room.roomCode));
+});
@@ -0,0 +1,95 @@
+/**
+ * Movement routing: PathFinder around obstacles, unreachable targets and the
+ * waypoints the engine acknowledges and walks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const PathFinder = require('../PathFinder');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+
+// A 40x40 room with a wall from z=-20 up to z=10 across x in [-2, 2]
+const area = [[-20, -20], [20, -20], [20, 20], [-20, 20]];
+const isWalkable = (x, z) => Math.abs(x) <= 20 && Math.abs(z) <= 20 && !(Math.abs(x) <= 2 && z <= 10);
+
+function assertWalkablePath(pathFinder, from, waypoints) {
+    let previous = from;
+    for (const point of waypoints) {
+        assert.ok(pathFinder.hasLineOfSight(previous.x, previous.z, point.x, point.z),
+            `no straight walk from (${previous.x}, ${previous.z}) to (${point.x}, ${point.z})`);
+        previous = point;
+    }
+}
+
+test('a path around a wall keeps every leg walkable and ends at the target', () => {
+    const pathFinder = new PathFinder({ isWalkable, area });
+    const path = pathFinder.findPath(-10, -10, 10, -10);
+
+    assert.strictEqual(path.adjusted, false);
+    assert.ok(path.waypoints.length > 1);
+    assert.deepStrictEqual(path.waypoints[path.waypoints.length - 1], { x: 10, z: -10 });
+    assert.ok(path.waypoints.some(p => p.z > 10), 'the path goes over the top of the wall');
+    assertWalkablePath(pathFinder, { x: -10, z: -10 }, path.waypoints);
+});
+
+test('a path with a clear line is a single waypoint', () => {
+    const pathFinder = new PathFinder({ isWalkable, area });
+    assert.deepStrictEqual(pathFinder.findPath(-10, 15, 10, 15).waypoints, [{ x: 10, z: 15 }]);
+});
+
+test('a target outside the walkable area is moved to the nearest reachable point', () => {
+    const pathFinder = new PathFinder({ isWalkable, area });
+    const path = pathFinder.findPath(-10, 0, -10, 35);
+
+    assert.strictEqual(path.adjusted, true);
+    assert.ok(isWalkable(path.target.x, path.target.z));
+    assert.ok(path.target.z > 19 && Math.abs(path.target.x - -10) < 1, `target (${path.target.x}, ${path.target.z})`);
+    assert.strictEqual(pathFinder.findPath(100, 100, 0, 0), null);
+});
+
+function createEngine(t) {
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', { clock, monitorEventLoop: false, logger: GameEngine.SILENT_LOGGER, map: 'pillars' });
+    t.after(() => engine.dispose());
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    engine.beginGame(sink);
+    const step = () => {
+        clock.advance(1000 / engine.TICK_RATE);
+        engine.step(sink);
+    };
+    return { engine, sink, step };
+}
+
+test('the engine acknowledges the routed waypoints and walks them around a pillar', (t) => {
+    const { engine, sink, step } = createEngine(t);
+    const player = engine.players.get('socket-a');
+    // The west-north pillar (x in [-34, -26], z in [36, 44]) is in the way
+    engine.setPlayerPosition('socket-a', -45, 40);
+
+    engine.handlePlayerMove('socket-a', -20, 40, 'move-1', sink);
+
+    const [ack] = sink.filter('serverMoveAck');
+    assert.ok(ack.data.waypoints.length > 1);
+    assert.deepStrictEqual(ack.data.waypoints[ack.data.waypoints.length - 1], { x: -20, z: 40 });
+
+    for (let i = 0; i < 2000 && player.isMoving; i++) {
+        step();
+        assert.ok(engine.map.isWalkable(player.x, player.z), `walked into (${player.x}, ${player.z})`);
+    }
+    assert.strictEqual(player.isMoving, false);
+    assert.ok(Math.hypot(player.x - -20, player.z - 40) < 1e-6);
+});
+
+test('a move into the enemy half stops at the edge of the team zone', (t) => {
+    const { engine, sink } = createEngine(t);
+    engine.setPlayerPosition('socket-a', -45, 20);
+
+    const result = engine.handlePlayerMove('socket-a', 45, 20, 'move-1', sink);
+
+    assert.ok(Math.abs(result.targetX - -18) < 0.1, `target x ${result.targetX}`);
+    assert.ok(engine.isWithinMapBounds(result.targetX, result.targetZ, 1));
+});
@@ -0,0 +1,46 @@
+/**
+ * Player REST routes: the per-IP limit on issuing identities
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const createPlayerRoutes = require('../playerRoutes');
+const ReconnectTokens = require('../ReconnectTokens');
+const { MemoryPlayerStore } = require('../PlayerStore');
+
+async function startServer(t, options) {
+    t.mock.method(console, 'log', () => {});
+    const app = express();
+    app.use(createPlayerRoutes({
+        store: new MemoryPlayerStore(),
+        playerTokens: new ReconnectTokens({ secret: 'test-secret' }),
+        ...options
+    }));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('POST /players issues up to the limit per window, then answers 429 with Retry-After', async (t) => {
+    let time = 1700000000000;
+    const baseUrl = await startServer(t, { issueLimit: { max: 2, windowMs: 60000 }, now: () => time });
+    const issue = () => fetch(`${baseUrl}/players`, { method: 'POST' });
+
+    const first = await issue();
+    assert.strictEqual(first.status, 201);
+    assert.match((await first.json()).playerId, /^p_/);
+    assert.strictEqual((await issue()).status, 201);
+
+    time += 15000;
+    const limited = await issue();
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.headers.get('retry-after'), '45');
+    assert.match((await limited.json()).error, /Too many players issued/);
+
+    time += 45000;
+    assert.strictEqual((await issue()).status, 201);
+});
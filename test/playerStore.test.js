@@ -0,0 +1,105 @@
+/**
+ * FilePlayerStore's snapshot + journal persistence and the match record cap
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryPlayerStore, FilePlayerStore } = require('../PlayerStore');
+
+function createMatch(n, winningTeam = 1) {
+    const result = (team) => (team === winningTeam ? 'win' : 'loss');
+    return {
+        matchId: `match-${n}`,
+        roomCode: '123456',
+        gameMode: '1v1',
+        mapId: 'arena',
+        matchRules: 'elimination',
+        startedAt: 1700000000000 + n * 60000,
+        endedAt: 1700000030000 + n * 60000,
+        winningTeam,
+        scores: {},
+        players: [
+            { playerId: 'p_alice', team: 1, result: result(1), stats: { kills: 1, knivesThrown: 4, hits: 2 } },
+            { playerId: 'p_bob', team: 2, result: result(2), stats: { kills: 0, knivesThrown: 3, hits: 1 } }
+        ]
+    };
+}
+
+function createDataDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'players.json');
+}
+
+function silence(t) {
+    t.mock.method(console, 'log', () => {});
+}
+
+test('each match is appended to the journal and survives a restart', async (t) => {
+    silence(t);
+    const filePath = createDataDir(t);
+    const store = new FilePlayerStore({ filePath });
+    await store.recordMatch(createMatch(1));
+    await store.recordMatch(createMatch(2, 2));
+
+    const lines = fs.readFileSync(store.journalPath(0), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line).matchId), ['match-1', 'match-2']);
+    assert.strictEqual(fs.existsSync(filePath), false);
+
+    const reloaded = new FilePlayerStore({ filePath });
+    assert.deepStrictEqual(await reloaded.getPlayer('p_alice'), await store.getPlayer('p_alice'));
+    assert.deepStrictEqual(await reloaded.getMatch('match-2'), createMatch(2, 2));
+});
+
+test('the journal is folded into a snapshot every compactEvery matches', async (t) => {
+    silence(t);
+    const filePath = createDataDir(t);
+    const store = new FilePlayerStore({ filePath, compactEvery: 2 });
+    for (let n = 1; n <= 5; n++) {
+        await store.recordMatch(createMatch(n, n % 2 + 1));
+    }
+
+    assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).generation, 2);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)).sort(), ['players.2.jsonl', 'players.json']);
+
+    const reloaded = new FilePlayerStore({ filePath, compactEvery: 2 });
+    assert.deepStrictEqual(await reloaded.getPlayer('p_bob'), await store.getPlayer('p_bob'));
+    assert.deepStrictEqual(await reloaded.getLeaderboard({ mode: '1v1', sort: 'rating' }), await store.getLeaderboard({ mode: '1v1', sort: 'rating' }));
+    assert.strictEqual((await reloaded.listPlayerMatches('p_bob')).length, 5);
+});
+
+test('a snapshot in the old format is replayed', async (t) => {
+    silence(t);
+    const filePath = createDataDir(t);
+    fs.writeFileSync(filePath, JSON.stringify({ matches: [createMatch(1), createMatch(2)] }));
+
+    const store = new FilePlayerStore({ filePath });
+    await store.recordMatch(createMatch(3));
+
+    const reloaded = new FilePlayerStore({ filePath });
+    assert.strictEqual((await reloaded.getPlayer('p_alice')).totals.matches, 3);
+});
+
+test('a corrupt snapshot stops the store with an error naming the file, and is left untouched', (t) => {
+    silence(t);
+    const filePath = createDataDir(t);
+    fs.writeFileSync(filePath, '{"generation": 3, "players": [');
+
+    assert.throws(() => new FilePlayerStore({ filePath }), (err) => err.message.includes(`Player store snapshot ${filePath} is not valid JSON`));
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"generation": 3, "players": [');
+});
+
+test('only the most recent maxMatches records are kept, but profiles count every match', async () => {
+    const store = new MemoryPlayerStore({ maxMatches: 2 });
+    for (let n = 1; n <= 3; n++) {
+        await store.recordMatch(createMatch(n));
+    }
+
+    assert.strictEqual(await store.getMatch('match-1'), null);
+    assert.deepStrictEqual((await store.listPlayerMatches('p_alice')).map(m => m.matchId), ['match-3', 'match-2']);
+    assert.strictEqual((await store.getPlayer('p_alice')).totals.matches, 3);
+    assert.strictEqual((await store.getPlayer('p_alice')).totals.wins, 3);
+});
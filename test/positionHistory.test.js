@@ -0,0 +1,64 @@
+/**
+ * PositionHistory rewinds: bracketing search over the ring buffer,
+ * interpolation and the per-tick rewind cache
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PositionHistory = require('../PositionHistory');
+
+function players(entries) {
+    return new Map(Object.entries(entries).map(([socketId, p]) => [socketId, { team: 1, isDead: false, ...p }]));
+}
+
+test('a rewind between two snapshots is interpolated', () => {
+    const history = new PositionHistory(10);
+    history.recordSnapshot(players({ a: { x: 0, z: 0 } }), 1000);
+    history.recordSnapshot(players({ a: { x: 10, z: -20 } }), 1100);
+
+    assert.deepStrictEqual(history.getPlayerAt('a', 1025), { x: 2.5, z: -5, team: 1, isDead: false });
+    assert.deepStrictEqual(history.getPlayerAt('a', 1100), { x: 10, z: -20, team: 1, isDead: false });
+});
+
+test('rewinds outside the buffered range clamp to the oldest or newest snapshot', () => {
+    const history = new PositionHistory(10);
+    assert.strictEqual(history.getPositionsAt(1000), null);
+
+    history.recordSnapshot(players({ a: { x: 1, z: 1 } }), 1000);
+    history.recordSnapshot(players({ a: { x: 2, z: 2 } }), 1010);
+
+    assert.strictEqual(history.getPlayerAt('a', 500).x, 1);
+    assert.strictEqual(history.getPlayerAt('a', 5000).x, 2);
+    assert.strictEqual(history.getPlayerAt('missing', 1005), null);
+});
+
+test('the search finds the right snapshots after the ring buffer wraps', () => {
+    const history = new PositionHistory(4);
+    for (let i = 0; i < 10; i++) {
+        history.recordSnapshot(players({ a: { x: i * 10, z: 0 } }), 1000 + i * 10);
+    }
+
+    assert.deepStrictEqual(history.getTimeRange(), { oldest: 1060, newest: 1090 });
+    assert.strictEqual(history.getPlayerAt('a', 1075).x, 75);
+    assert.strictEqual(history.getPlayerAt('a', 1000).x, 60);
+});
+
+test('a player only in one of the bracketing snapshots is not interpolated', () => {
+    const history = new PositionHistory(10);
+    history.recordSnapshot(players({ a: { x: 0, z: 0 } }), 1000);
+    history.recordSnapshot(players({ a: { x: 10, z: 0 }, b: { x: 5, z: 5 } }), 1100);
+
+    assert.deepStrictEqual(history.getPlayerAt('b', 1050), { x: 5, z: 5, team: 1, isDead: false });
+});
+
+test('rewinds are cached until the next snapshot is recorded', () => {
+    const history = new PositionHistory(10);
+    history.recordSnapshot(players({ a: { x: 0, z: 0 } }), 1000);
+    history.recordSnapshot(players({ a: { x: 10, z: 0 } }), 1100);
+
+    const first = history.getPositionsAt(1050);
+    assert.strictEqual(history.getPositionsAt(1050), first);
+
+    history.recordSnapshot(players({ a: { x: 20, z: 0 } }), 1200);
+    assert.notStrictEqual(history.getPositionsAt(1050), first);
+});
@@ -0,0 +1,119 @@
+/**
+ * Reconnecting with a reconnect token: the grace period, token rotation and
+ * what the engine keeps for the player across the socket change
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../RoomManager');
+const GameEngine = require('../gameEngine');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+const { ABILITIES } = require('../abilities');
+
+const fakeIo = {
+    to: () => ({ emit() {} }),
+    in: () => ({ socketsJoin() {}, socketsLeave() {} })
+};
+
+async function createRunningRoom(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const manager = new RoomManager(fakeIo, { engineOptions: { monitorEventLoop: false }, ...options });
+    t.after(() => {
+        for (const roomCode of Array.from(manager.rooms.keys())) {
+            manager.closeRoom(roomCode);
+        }
+    });
+
+    const created = await manager.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice', team: 1 });
+    const joined = manager.joinRoom('socket-b', { roomCode: created.room.roomCode, playerId: 'bob', team: 2 });
+    manager.startRoom('socket-a');
+    return { manager, room: created.room, aliceToken: created.reconnectToken, bobToken: joined.reconnectToken };
+}
+
+test('a player who drops mid-game is frozen and can rejoin on a new socket', async (t) => {
+    const { manager, room, bobToken } = await createRunningRoom(t);
+
+    assert.strictEqual(manager.handleDisconnect('socket-b').graced, true);
+    assert.strictEqual(room.engine.players.get('socket-b').isDisconnected, true);
+    assert.strictEqual(manager.authorizeCommand('socket-b', room.roomCode).error, 'Not a member of this room');
+
+    const result = manager.rejoinRoom('socket-b2', { roomCode: room.roomCode, reconnectToken: bobToken });
+
+    assert.deepStrictEqual(result.player, { playerId: 'bob', team: 2 });
+    assert.strictEqual(room.engine.players.has('socket-b'), false);
+    assert.strictEqual(room.engine.players.get('socket-b2').isDisconnected, false);
+    assert.ok(manager.authorizeCommand('socket-b2', room.roomCode).room);
+});
+
+test('each rejoin rotates the token, and the previous one stops working', async (t) => {
+    const { manager, room, bobToken } = await createRunningRoom(t);
+    manager.handleDisconnect('socket-b');
+    const { reconnectToken } = manager.rejoinRoom('socket-b2', { roomCode: room.roomCode, reconnectToken: bobToken });
+    manager.handleDisconnect('socket-b2');
+
+    assert.strictEqual(manager.rejoinRoom('socket-b3', { roomCode: room.roomCode, reconnectToken: bobToken }).error,
+        'Reconnect token has been superseded');
+    assert.strictEqual(manager.rejoinRoom('socket-b3', { roomCode: '999999', reconnectToken }).error, 'Invalid reconnect token');
+    assert.ok(manager.rejoinRoom('socket-b3', { roomCode: room.roomCode, reconnectToken }).room);
+});
+
+test('a player who does not come back within the grace period is removed', async (t) => {
+    const { manager, room, bobToken } = await createRunningRoom(t, { reconnectGraceMs: 10 });
+    manager.handleDisconnect('socket-b');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.deepStrictEqual(Array.from(room.engine.players.values()).map(p => p.playerId), ['alice']);
+    assert.ok(manager.rejoinRoom('socket-b2', { roomCode: room.roomCode, reconnectToken: bobToken }).error);
+});
+
+test('leaving the lobby by disconnecting takes no grace period', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const manager = new RoomManager(fakeIo, { engineOptions: { monitorEventLoop: false } });
+    const { room } = await manager.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice' });
+    manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob' });
+    t.after(() => manager.closeRoom(room.roomCode));
+
+    assert.strictEqual(manager.handleDisconnect('socket-b').graced, undefined);
+    assert.strictEqual(room.engine.players.size, 1);
+});
+
+test('lag compensation rewinds a player who rejoined to where they were before', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', {
+        clock,
+        monitorEventLoop: false,
+        abilities: { ...ABILITIES, knife: { ...ABILITIES.knife, speed: 200 } }
+    });
+    t.after(() => engine.dispose());
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    const tickMs = 1000 / engine.TICK_RATE;
+    const step = (ticks) => {
+        for (let i = 0; i < ticks; i++) {
+            clock.advance(tickMs);
+            engine.step(sink);
+        }
+    };
+
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    engine.beginGame(sink);
+    engine.setPlayerPosition('socket-a', -30, 0);
+    engine.setPlayerPosition('socket-b', 30, 0);
+    step(25);
+    const seenAt = clock.now();
+
+    // b moved out of the knife's path and rejoined on another socket since a saw them
+    step(12);
+    engine.setPlayerPosition('socket-b', 30, 40);
+    engine.updatePlayerSocket('socket-b', 'socket-b2');
+    step(1);
+
+    engine.handleKnifeThrow('socket-a', 30, 0, null, sink, seenAt);
+    step(60);
+
+    assert.strictEqual(sink.filter('serverKnifeHit').length, 1);
+    assert.strictEqual(engine.players.get('socket-b2').health, engine.MAX_HEALTH - 1);
+});
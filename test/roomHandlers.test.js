@@ -0,0 +1,91 @@
+/**
+ * playerMove / knifeThrow routed by the room handlers into the room's GameEngine
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../RoomManager');
+const createRoomHandlers = require('../roomHandlers');
+
+/**
+ * socket.io stand-in recording every emit as { target, event, data }
+ */
+function createIo() {
+    const emitted = [];
+    return {
+        emitted,
+        to: (target) => ({ emit: (event, data) => emitted.push({ target, event, data }) }),
+        in: () => ({ socketsJoin() {}, socketsLeave() {} })
+    };
+}
+
+async function createRoom(t, { start = true } = {}) {
+    t.mock.method(console, 'log', () => {});
+    const io = createIo();
+    const roomManager = new RoomManager(io, { engineOptions: { monitorEventLoop: false }, reconnectGraceMs: 0 });
+    const handlers = createRoomHandlers({ io, roomManager });
+    t.after(() => {
+        for (const roomCode of Array.from(roomManager.rooms.keys())) {
+            roomManager.closeRoom(roomCode);
+        }
+    });
+
+    const { room } = await roomManager.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice', team: 1 });
+    roomManager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob', team: 2 });
+    if (start) {
+        roomManager.startRoom('socket-a');
+    }
+    io.emitted.length = 0;
+    return { io, roomManager, handlers, room };
+}
+
+function emittedTo(io, target, event) {
+    return io.emitted.filter(e => e.target === target && e.event === event).map(e => e.data);
+}
+
+test('playerMove is acknowledged with its actionId and clientTime', async (t) => {
+    const { io, handlers, room } = await createRoom(t);
+    const alice = room.engine.players.get('socket-a');
+
+    handlers.playerMove('socket-a', { roomCode: room.roomCode, targetX: alice.x, targetZ: alice.z + 5, actionId: 'move-1', clientTime: 1234 });
+
+    const [ack] = emittedTo(io, 'socket-a', 'serverMoveAck');
+    assert.strictEqual(ack.actionId, 'move-1');
+    assert.strictEqual(ack.clientTime, 1234);
+    assert.strictEqual(alice.isMoving, true);
+});
+
+test('knifeThrow spawns a knife for the whole room', async (t) => {
+    const { io, handlers, room } = await createRoom(t);
+
+    handlers.knifeThrow('socket-a', { roomCode: room.roomCode, targetX: 30, targetZ: 0, actionId: 'throw-1', clientTimestamp: Date.now() });
+
+    const [spawn] = emittedTo(io, room.roomCode, 'serverKnifeSpawn');
+    assert.strictEqual(spawn.actionId, 'throw-1');
+    assert.strictEqual(room.engine.knives.size, 1);
+});
+
+test('malformed commands are rejected with their actionId', async (t) => {
+    const { io, handlers, room } = await createRoom(t);
+
+    handlers.playerMove('socket-a', { roomCode: room.roomCode, targetX: 'left', targetZ: 0, actionId: 'move-1' });
+    handlers.playerMove('socket-a', { roomCode: room.roomCode, targetX: 0, targetZ: 0, actionId: 'move-2', clientTime: 'now' });
+    handlers.knifeThrow('socket-a', { roomCode: room.roomCode, targetX: 5000, targetZ: 0, actionId: 'throw-1' });
+
+    assert.deepStrictEqual(emittedTo(io, 'socket-a', 'commandRejected'), [
+        { command: 'playerMove', actionId: 'move-1', reason: 'Invalid target coordinates' },
+        { command: 'playerMove', actionId: 'move-2', reason: 'Invalid clientTime' },
+        { command: 'knifeThrow', actionId: 'throw-1', reason: 'Invalid target coordinates' }
+    ]);
+    assert.strictEqual(room.engine.knives.size, 0);
+});
+
+test('commands for another room or before the game starts are rejected', async (t) => {
+    const { io, handlers, room } = await createRoom(t, { start: false });
+
+    handlers.knifeThrow('socket-a', { roomCode: room.roomCode, targetX: 30, targetZ: 0, actionId: 'early' });
+    handlers.knifeThrow('socket-c', { roomCode: room.roomCode, targetX: 30, targetZ: 0, actionId: 'outsider' });
+
+    assert.deepStrictEqual(emittedTo(io, 'socket-a', 'commandRejected').map(r => r.reason), ['Game not in progress']);
+    assert.deepStrictEqual(emittedTo(io, 'socket-c', 'commandRejected').map(r => r.reason), ['Not a member of this room']);
+});
@@ -0,0 +1,157 @@
+/**
+ * RedisRoomRegistry against an in-process fake client, shared by several
+ * RoomManager instances the way a Redis deployment shares one server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const RoomManager = require('../RoomManager');
+const { RedisRoomRegistry } = require('../RoomRegistry');
+
+/**
+ * The subset of the node-redis client RedisRoomRegistry uses; expiry is
+ * recorded but never applied
+ */
+class FakeRedisClient {
+    constructor() {
+        this.strings = new Map();
+        this.hashes = new Map();
+        this.sets = new Map();
+        this.ttls = new Map();
+    }
+
+    async set(key, value, { condition } = {}) {
+        if (condition === 'NX' && this.strings.has(key)) {
+            return null;
+        }
+        this.strings.set(key, String(value));
+        return 'OK';
+    }
+
+    async hSet(key, fields) {
+        this.hashes.set(key, { ...(this.hashes.get(key) || {}), ...fields });
+    }
+
+    async hGetAll(key) {
+        return { ...(this.hashes.get(key) || {}) };
+    }
+
+    async expire(key, seconds) {
+        this.ttls.set(key, seconds);
+    }
+
+    async del(key) {
+        this.strings.delete(key);
+        this.hashes.delete(key);
+        this.ttls.delete(key);
+    }
+
+    async sAdd(key, member) {
+        if (!this.sets.has(key)) {
+            this.sets.set(key, new Set());
+        }
+        this.sets.get(key).add(member);
+    }
+
+    async sRem(key, member) {
+        if (this.sets.has(key)) {
+            this.sets.get(key).delete(member);
+        }
+    }
+
+    async sMembers(key) {
+        return Array.from(this.sets.get(key) || []);
+    }
+}
+
+const fakeIo = {
+    to: () => ({ emit() {} }),
+    in: () => ({ socketsJoin() {}, socketsLeave() {} })
+};
+
+function createInstance(client, instanceId) {
+    return new RoomManager(fakeIo, { registry: new RedisRoomRegistry(client), instanceId });
+}
+
+/**
+ * Make crypto.randomInt return the given values in order, then fall back to random
+ */
+function drawCodes(t, codes) {
+    const randomInt = crypto.randomInt;
+    const queue = codes.slice();
+    t.mock.method(crypto, 'randomInt', (...args) => (queue.length > 0 ? queue.shift() : randomInt(...args)));
+}
+
+function silence(t) {
+    t.mock.method(console, 'log', () => {});
+}
+
+function closeAll(...managers) {
+    for (const manager of managers) {
+        for (const roomCode of Array.from(manager.rooms.keys())) {
+            manager.closeRoom(roomCode);
+        }
+    }
+}
+
+test('a room code is reserved for exactly one instance until its room is removed', async () => {
+    const client = new FakeRedisClient();
+    const a = new RedisRoomRegistry(client);
+    const b = new RedisRoomRegistry(client);
+
+    assert.strictEqual(await a.reserveRoomCode('123456', 'a'), true);
+    assert.strictEqual(await b.reserveRoomCode('123456', 'b'), false);
+
+    await a.removeRoom('123456');
+    assert.strictEqual(await b.reserveRoomCode('123456', 'b'), true);
+});
+
+test('an instance drawing a code another instance holds draws again', async (t) => {
+    silence(t);
+    drawCodes(t, [111111, 111111, 222222]);
+    const client = new FakeRedisClient();
+    const first = createInstance(client, 'instance-a');
+    const second = createInstance(client, 'instance-b');
+
+    const created = await first.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice' });
+    const other = await second.createRoom('socket-b', { gameMode: '1v1', playerId: 'bob' });
+
+    assert.strictEqual(created.room.roomCode, '111111');
+    assert.strictEqual(other.room.roomCode, '222222');
+    assert.strictEqual((await second.registry.getRoom('111111')).instanceId, 'instance-a');
+
+    closeAll(first, second);
+});
+
+test('instances creating rooms at the same time never share a code', async (t) => {
+    silence(t);
+    drawCodes(t, [333333, 333333, 333333, 333333, 444444, 555555]);
+    const client = new FakeRedisClient();
+    const instances = [createInstance(client, 'instance-a'), createInstance(client, 'instance-b'), createInstance(client, 'instance-c')];
+
+    const results = await Promise.all(instances.map((manager, i) =>
+        manager.createRoom(`socket-${i}`, { gameMode: '1v1', playerId: `player-${i}` })));
+
+    const codes = results.map(result => result.room.roomCode);
+    assert.strictEqual(new Set(codes).size, codes.length);
+    assert.ok(codes.includes('333333'));
+
+    closeAll(...instances);
+});
+
+test('a socket that disconnects while its code is reserved gets no room and frees the code', async (t) => {
+    silence(t);
+    drawCodes(t, [666666]);
+    const client = new FakeRedisClient();
+    const manager = createInstance(client, 'instance-a');
+
+    const pending = manager.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice' });
+    assert.strictEqual(manager.isBusy('socket-a'), true);
+    manager.handleDisconnect('socket-a');
+
+    assert.ok((await pending).error);
+    assert.strictEqual(manager.rooms.size, 0);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(await manager.registry.reserveRoomCode('666666', 'instance-b'), true);
+});
@@ -0,0 +1,54 @@
+/**
+ * RoomRouter running async handlers, locally and for forwarded actions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomRouter = require('../RoomRouter');
+
+function createRouter(handlers, { forwarding = false } = {}) {
+    const memberships = new Map();
+    const io = { on() {} };
+    const roomManager = {
+        instanceId: 'instance-a',
+        getRoom: () => null,
+        getMembership: (socketId) => memberships.get(socketId) || null,
+        registry: { getRoom: async () => null }
+    };
+    return { router: new RoomRouter({ io, roomManager, handlers, forwarding }), memberships };
+}
+
+test('a rejected async handler is caught by dispatch', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const { router } = createRouter({ createRoom: async () => { throw new Error('registry down'); } });
+
+    await router.dispatch('socket-a', 'createRoom', {});
+
+    assert.strictEqual(errors.mock.callCount(), 1);
+});
+
+test('a forwarded action is acknowledged once its async handler finished', async (t) => {
+    const { router, memberships } = createRouter({
+        createRoom: async (socketId) => {
+            await new Promise(resolve => setImmediate(resolve));
+            memberships.set(socketId, '123456');
+        }
+    }, { forwarding: true });
+
+    const response = await new Promise(resolve => {
+        router.handleForwarded({ instanceId: 'instance-a', socketId: 'socket-a', action: 'createRoom', data: {} }, resolve);
+    });
+
+    assert.deepStrictEqual(response, { handled: true, roomCode: '123456' });
+});
+
+test('a forwarded action whose handler rejects is still acknowledged', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { router } = createRouter({ createRoom: async () => { throw new Error('registry down'); } }, { forwarding: true });
+
+    const response = await new Promise(resolve => {
+        router.handleForwarded({ instanceId: 'instance-a', socketId: 'socket-a', action: 'createRoom', data: {} }, resolve);
+    });
+
+    assert.deepStrictEqual(response, { handled: true, roomCode: null });
+});
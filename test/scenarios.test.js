@@ -0,0 +1,39 @@
+/**
+ * Runs every scenario fixture in scenarios/ through ScenarioRunner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ScenarioRunner = require('../ScenarioRunner');
+
+const SCENARIO_DIR = path.join(__dirname, '..', 'scenarios');
+
+for (const file of fs.readdirSync(SCENARIO_DIR).filter(name => name.endsWith('.json')).sort()) {
+    test(`scenario ${file}`, () => {
+        const scenario = JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, file), 'utf8'));
+        const result = new ScenarioRunner().run(scenario);
+        assert.ok(result.passed, result.failures.join('\n'));
+    });
+}
+
+test('a silent run keeps the engine off the console without replacing console.log', (t) => {
+    const log = t.mock.method(console, 'log');
+    const scenario = JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, 'knife-hit.json'), 'utf8'));
+
+    new ScenarioRunner().run(scenario);
+
+    assert.ok(!log.mock.calls.some(call => String(call.arguments[0]).startsWith('[GAME-ENGINE]')));
+    assert.strictEqual(console.log, log);
+});
+
+test('engine output goes to the logger passed in engineOptions', () => {
+    const lines = [];
+    const logger = { log: (...args) => lines.push(args.join(' ')), error: (...args) => lines.push(args.join(' ')) };
+    const scenario = JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, 'knife-hit.json'), 'utf8'));
+
+    new ScenarioRunner({ engineOptions: { logger } }).run(scenario);
+
+    assert.ok(lines.some(line => line.includes('[GAME-ENGINE] 🎯 Knife')));
+});
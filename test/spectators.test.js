@@ -0,0 +1,99 @@
+/**
+ * Spectators: the delayed SpectatorFeed and the read-only spectator role
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameEngine = require('../gameEngine');
+const RoomManager = require('../RoomManager');
+const SpectatorFeed = require('../SpectatorFeed');
+const RecordingEventSink = require('../RecordingEventSink');
+const { ManualClock } = require('../clock');
+
+const fakeIo = {
+    to: () => ({ emit() {} }),
+    in: () => ({ socketsJoin() {}, socketsLeave() {} })
+};
+
+function createFeed(t, engineOptions = {}) {
+    const clock = new ManualClock(1700000000000);
+    const engine = new GameEngine('000000', '1v1', { clock, monitorEventLoop: false, logger: GameEngine.SILENT_LOGGER, ...engineOptions });
+    const sink = new RecordingEventSink({ getTick: () => engine.serverTick });
+    const spectators = new RecordingEventSink();
+    const feed = new SpectatorFeed({ io: spectators, engine, delayMs: 1000 });
+    t.after(() => {
+        feed.dispose();
+        engine.dispose();
+    });
+
+    engine.addPlayer('socket-a', 'a', 1);
+    engine.addPlayer('socket-b', 'b', 2);
+    return { clock, engine, sink, spectators, feed };
+}
+
+test('spectator events are released after the delay on the engine clock', (t) => {
+    const { clock, engine, sink, spectators, feed } = createFeed(t);
+    engine.beginGame(sink);
+
+    clock.advance(999);
+    feed.release();
+    assert.strictEqual(spectators.events.length, 0);
+
+    clock.advance(1);
+    feed.release();
+    assert.deepStrictEqual(spectators.events.map(e => [e.target, e.event]),
+        [['000000:spectators', 'serverGameState'], ['000000:spectators', 'serverRoundStart']]);
+    assert.strictEqual(feed.lastState, spectators.events[0].data);
+});
+
+test('due events go out with the next captured event', (t) => {
+    const { clock, engine, sink, spectators } = createFeed(t);
+    engine.beginGame(sink);
+
+    clock.advance(1000);
+    engine.handleKnifeThrow('socket-a', 30, 0, null, sink);
+
+    assert.deepStrictEqual(spectators.events.map(e => e.event), ['serverGameState', 'serverRoundStart']);
+});
+
+test('events sent to a single player are not relayed to spectators', (t) => {
+    const { clock, engine, sink, spectators, feed } = createFeed(t);
+    engine.beginGame(sink);
+    engine.handlePlayerMove('socket-a', -30, 10, 'move-1', sink);
+
+    clock.advance(1000);
+    feed.release();
+
+    assert.ok(sink.filter('serverMoveAck').length > 0);
+    assert.ok(!spectators.events.some(e => e.event === 'serverMoveAck'));
+});
+
+test('spectators of a compact-broadcast room get full serverGameState', (t) => {
+    const { clock, engine, sink, spectators, feed } = createFeed(t, { broadcast: 'compact' });
+    engine.beginGame(sink);
+
+    clock.advance(1000);
+    feed.release();
+
+    const state = spectators.events[0].data;
+    assert.deepStrictEqual(state.players.map(p => p.playerId), ['a', 'b']);
+    assert.notDeepStrictEqual(state, sink.filter('serverGameState')[0].data);
+});
+
+test('spectators cannot command, take no player slot and need the room password', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const manager = new RoomManager(fakeIo, { engineOptions: { monitorEventLoop: false } });
+    const { room } = await manager.createRoom('socket-a', { gameMode: '1v1', playerId: 'alice', password: 'secret' });
+    t.after(() => manager.closeRoom(room.roomCode));
+
+    assert.strictEqual(manager.spectateRoom('watcher', { roomCode: room.roomCode }).error, 'Password required');
+    assert.ok(manager.spectateRoom('watcher', { roomCode: room.roomCode, password: 'secret' }).room);
+
+    assert.ok(manager.joinRoom('socket-b', { roomCode: room.roomCode, playerId: 'bob', password: 'secret' }).room);
+    manager.startRoom('socket-a');
+
+    assert.strictEqual(manager.authorizeCommand('watcher', room.roomCode).error, 'Spectators cannot issue commands');
+    assert.strictEqual(room.engine.handlePlayerMove('watcher', 0, 0, null, fakeIo), null);
+    assert.strictEqual(room.engine.handleUseAbility('watcher', 'knife', 0, 0, null, fakeIo), null);
+    assert.strictEqual(manager.joinRoom('watcher', { roomCode: room.roomCode, playerId: 'watcher' }).error, 'Already in a room');
+});